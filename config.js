@@ -17,6 +17,12 @@ module.exports = {
   ARRANGER_FEE: FEE_MULTIPLIER * 0.01 * 1e18,            // Charge 0.01 ETH per basket minted
   FEE_DECIMALS: 18,
 
+  // KYC approvals lapse after this many seconds unless renewed
+  KYC_VALIDITY_PERIOD: 365 * 86400,
+
+  // Oracle prices older than this many seconds are reported as stale
+  ORACLE_MAX_PRICE_AGE: 86400,
+
   // Zero address
   ZERO_ADDRESS: '0x0000000000000000000000000000000000000000',
 
@@ -17,62 +17,13 @@
 
 pragma solidity 0.4.21;
 
-import "./zeppelin/SafeMath.sol";
-import "./zeppelin/StandardToken.sol";
-import "./zeppelin/ERC20.sol";
-
-import "./BasketRegistry.sol";
-import "./KYC.sol";
-
-contract IBasket {
-  // Called by BasketEscrow
-  function isWhitelistedHolder(address _address) public view returns (bool) {}
-}
+import "./BasketBase.sol";
 
 /// @title Basket -- Basket contract for bundling and debundling tokens
 /// @author CoinAlpha, Inc. <contact@coinalpha.com>
-contract Basket is StandardToken {
-  using SafeMath for uint;
-
-  // Constants set at contract inception
-  string                  public name;
-  string                  public symbol;
-  uint                    public decimals;
-  address[]               public tokens;
-  uint[]                  public weights;
-
-  address                 public arranger;
-  address                 public arrangerFeeRecipient;
-  uint                    public arrangerFee;
-  bool                    public kycEnabled;
-
-  // mapping of token addresses to mapping of account balances
-  // ADDRESS USER  || ADDRESS TOKEN || UINT BALANCE
-  mapping(address => mapping(address => uint)) public outstandingBalance;
-
-  // Modules
-  IBasketRegistry         public basketRegistry;
-  IKYC                    public kyc;
-
-  // Modifiers
-  modifier onlyArranger {
-    require(msg.sender == arranger);                // Check: "Only the Arranger can call this function"
-    _;
-  }
-
-  /// @dev For transactions resulting in token transfers, check that the token recipient is whitelisted
-  modifier onlyWhitelistedHolder(address _to) {
-    require(isWhitelistedHolder(_to));
-    _;
-  }
-
-  // Events
-  event LogDepositAndBundle(address indexed holder, uint indexed quantity);
-  event LogDebundleAndWithdraw(address indexed holder, uint indexed quantity);
-  event LogPartialDebundle(address indexed holder, uint indexed quantity);
-  event LogWithdraw(address indexed holder, address indexed token, uint indexed quantity);
-  event LogArrangerFeeRecipientChange(address indexed oldRecipient, address indexed newRecipient);
-  event LogArrangerFeeChange(uint indexed oldFee, uint indexed newFee);
+/// @dev Basket and its extension together exceed the contract size limit, so the rebalance, meta-transaction,
+///      distribution, status and partial redemption functions are run by BasketExtension through _delegate
+contract Basket is BasketBase {
 
   /// @dev Basket constructor
   /// @param  _name                                Token name
@@ -82,7 +33,8 @@ contract Basket is StandardToken {
   /// @param  _basketRegistryAddress               Address of basket registry
   /// @param  _arranger                            Address of arranger
   /// @param  _arrangerFeeRecipient                Address to send arranger fees
-  /// @param  _arrangerFee                         Amount of fee in ETH for every basket minted
+  /// @param  _arrangerFee                         Amount of fee in ETH (or in arrangerFeeToken) for every basket minted
+  /// @param  _eligibilityRule                     KYC eligibility rule holders must satisfy (0 = whitelist only)
   function Basket(
     string    _name,
     string    _symbol,
@@ -92,10 +44,13 @@ contract Basket is StandardToken {
     address   _kycAddress,
     address   _arranger,
     address   _arrangerFeeRecipient,
-    uint      _arrangerFee                         // in wei, i.e. 1e18 = 1 ETH
+    uint      _arrangerFee,                        // in wei, i.e. 1e18 = 1 ETH
+    uint      _eligibilityRule
   ) public {
     // Check: "Constructor: invalid number of tokens and weights"
     require(_tokens.length > 0 && _tokens.length == _weights.length);
+    // Check: "Constructor: eligibility rules require a KYC contract"
+    require(_eligibilityRule == 0 || _kycAddress != address(0));
 
     name = _name;
     symbol = _symbol;
@@ -113,105 +68,145 @@ contract Basket is StandardToken {
     arranger = _arranger;
     arrangerFeeRecipient = _arrangerFeeRecipient;
     arrangerFee = _arrangerFee;
+    eligibilityRule = _eligibilityRule;
+    basketFactory = msg.sender;
 
     decimals = 18;
+    creationUnit = _minCreationUnit(_weights);
   }
 
   /// @dev Combined deposit of all component tokens (not yet deposited) and bundle
   /// @param  _quantity                            Quantity of basket tokens to mint
   /// @return success                              Operation successful
-  function depositAndBundle(uint _quantity) public onlyWhitelistedHolder(msg.sender) payable returns (bool success) {
-
-    for (uint i = 0; i < tokens.length; i++) {
-      address t = tokens[i];
-      uint w = weights[i];
-      ERC20(t).transferFrom(msg.sender, this, w.mul(_quantity).div(10 ** decimals));
-    }
-
-    // charging suppliers a fee for every new basket minted
-    // skip fees if tokens are minted through swaps
-    if (arrangerFee > 0) {
-      // Check: "Insufficient ETH for arranger fee to bundle"
-      require(msg.value >= arrangerFee.mul(_quantity).div(10 ** decimals));
-      arrangerFeeRecipient.transfer(msg.value);
-    } else {
-      // prevent transfers of unnecessary ether into the contract
-      require(msg.value == 0);
-    }
-
-    balances[msg.sender] = balances[msg.sender].add(_quantity);
-    totalSupply_ = totalSupply_.add(_quantity);
-
-    basketRegistry.incrementBasketsMinted(_quantity, msg.sender);
+  function depositAndBundle(uint _quantity) public whenActive onlyWhitelistedHolder(msg.sender) payable returns (bool success) {
+    require(_depositAndBundle(msg.sender, msg.sender, _quantity));
     emit LogDepositAndBundle(msg.sender, _quantity);
     return true;
   }
 
+  /// @dev Combined deposit of all component tokens from the sender and bundle, minting to a beneficiary
+  ///      The beneficiary ends up holding the basket tokens and is subject to the whitelist; the sender must not be frozen
+  ///      While a lock-up period is set, only the arranger can mint for others, so that nobody can pile lock-ups on a holder
+  /// @param  _beneficiary                         Address to mint basket tokens to
+  /// @param  _quantity                            Quantity of basket tokens to mint
+  /// @return success                              Operation successful
+  function depositAndBundleFor(address _beneficiary, uint _quantity)
+    public
+    whenActive
+    notFrozen(msg.sender)
+    onlyWhitelistedHolder(_beneficiary)
+    payable
+    returns (bool success)
+  {
+    // Check: "Only the arranger can mint locked-up tokens for another holder"
+    require(lockupPeriod == 0 || msg.sender == _beneficiary || msg.sender == arranger);
+    require(_depositAndBundle(msg.sender, _beneficiary, _quantity));
+    emit LogDepositAndBundleFor(msg.sender, _beneficiary, _quantity);
+    return true;
+  }
+
   /// @dev Convert basketTokens back to original tokens and transfer to requester
+  ///      No whitelist check, so holders whose whitelist approval has lapsed can still redeem; frozen holders can not
   /// @param  _quantity                            Quantity of basket tokens to convert back to original tokens
   /// @return success                              Operation successful
-  function debundleAndWithdraw(uint _quantity) public returns (bool success) {
-    require(debundle(_quantity, msg.sender, msg.sender));
+  function debundleAndWithdraw(uint _quantity) public notFrozen(msg.sender) returns (bool success) {
+    require(debundle(_quantity, msg.sender, msg.sender, 0));
     emit LogDebundleAndWithdraw(msg.sender, _quantity);
     return true;
   }
 
-  /// @dev Convert basketTokens back to original tokens and transfer to specified recipient
-  /// @param  _quantity                            Quantity of basket tokens to swap
-  /// @param  _sender                              Address of transaction sender
-  /// @param  _recipient                           Address of token recipient
+  /// @dev Convert basketTokens back to original tokens, paying out every component that can currently be transferred
+  ///      Components whose transfer fails (e.g. a paused token) are credited to the holder's outstanding balance
+  /// @param  _quantity                            Quantity of basket tokens to convert back to original tokens
   /// @return success                              Operation successful
-  function debundle(
-    uint      _quantity,
-    address   _sender,
-    address   _recipient
-  ) internal returns (bool success) {
-    require(balances[_sender] >= _quantity);      // Check: "Insufficient basket balance to debundle"
-    // decrease holder balance and total supply by _quantity
-    balances[_sender] = balances[_sender].sub(_quantity);
-    totalSupply_ = totalSupply_.sub(_quantity);
-
-    // transfer tokens back to _recipient
-    for (uint i = 0; i < tokens.length; i++) {
-      address t = tokens[i];
-      uint w = weights[i];
-      ERC20(t).transfer(_recipient, w.mul(_quantity).div(10 ** decimals));
-    }
+  function debundleAndWithdrawAvailable(uint _quantity) public returns (bool success) { _delegate(); }
 
-    basketRegistry.incrementBasketsBurned(_quantity, _sender);
+  /// @dev Convert basketTokens back to original tokens and transfer them to another address
+  ///      Neither the holder nor the recipient may be frozen
+  /// @param  _recipient                           Address to send the component tokens to
+  /// @param  _quantity                            Quantity of basket tokens to convert back to original tokens
+  /// @return success                              Operation successful
+  function debundleTo(address _recipient, uint _quantity)
+    public
+    notFrozen(msg.sender)
+    notFrozen(_recipient)
+    returns (bool success)
+  {
+    require(_recipient != address(0));              // Check: "Invalid recipient"
+    require(debundle(_quantity, msg.sender, _recipient, 0));
+    emit LogDebundleTo(msg.sender, _recipient, _quantity);
     return true;
   }
 
-  /// @dev Allow holder to convert baskets to its underlying tokens and withdraw them individually
-  /// @param  _quantity                            quantity of tokens to burn
+  /// @dev Convert basketTokens back to the underlying ERC20 tokens of a fund-of-baskets and transfer them to a recipient
+  ///      Components that are registered baskets are debundled in turn, up to _depth levels down; baskets further down
+  ///      are transferred as they are
+  /// @param  _recipient                           Address to send the underlying tokens to
+  /// @param  _quantity                            Quantity of basket tokens to convert back to original tokens
+  /// @param  _depth                               Levels of basket components to unwrap (0 = same as debundleTo)
   /// @return success                              Operation successful
-  function burn(uint _quantity) public returns (bool success) {
-    balances[msg.sender] = balances[msg.sender].sub(_quantity);
-    totalSupply_ = totalSupply_.sub(_quantity);
-
-    // increase outstanding balance of each of the tokens by their weights
-    for (uint i = 0; i < tokens.length; i++) {
-      address t = tokens[i];
-      uint w = weights[i];
-      outstandingBalance[msg.sender][t] = outstandingBalance[msg.sender][t].add(w.mul(_quantity).div(10 ** decimals));
-    }
-
-    basketRegistry.incrementBasketsBurned(_quantity, msg.sender);
+  function debundleNested(address _recipient, uint _quantity, uint _depth)
+    public
+    notFrozen(msg.sender)
+    notFrozen(_recipient)
+    returns (bool success)
+  {
+    require(_recipient != address(0));              // Check: "Invalid recipient"
+    require(_depth <= MAX_NESTING_DEPTH);           // Check: "Nesting depth above the maximum"
+    require(debundle(_quantity, msg.sender, _recipient, _depth));
+    emit LogDebundleNested(msg.sender, _recipient, _quantity, _depth);
     return true;
   }
 
+  /// @dev Convert basketTokens back to original tokens, withdrawing only some of the components straight away
+  ///      The remaining components are credited to the holder's outstanding balance, to be claimed later with withdraw
+  /// @param  _quantity                            Quantity of basket tokens to convert back to original tokens
+  /// @param  _tokensToWithdraw                    Components to transfer now
+  /// @return success                              Operation successful
+  function partialDebundle(uint _quantity, address[] _tokensToWithdraw) public returns (bool success) { _delegate(); }
+
+  /// @dev Allow holder to convert baskets to its underlying tokens and withdraw them individually
+  /// @param  _quantity                            quantity of tokens to burn
+  /// @return success                              Operation successful
+  function burn(uint _quantity) public returns (bool success) { _delegate(); }
+
   /// @dev Allow holder to withdraw outstanding balances from contract (such as previously paused tokens)
   /// @param  _token                               Address of token to withdraw
   /// @return success                              Operation successful
-  function withdraw(address _token) public returns (bool success) {
-    uint bal = outstandingBalance[msg.sender][_token];
-    require(bal > 0);
-    outstandingBalance[msg.sender][_token] = 0;
-    ERC20(_token).transfer(msg.sender, bal);
+  function withdraw(address _token) public returns (bool success) { _delegate(); }
 
-    emit LogWithdraw(msg.sender, _token, bal);
-    return true;
-  }
+  /// @dev Retry every outstanding balance of the current components; balances that still fail to transfer are kept
+  ///      Components removed by a rebalance can still be claimed individually with withdraw
+  /// @return success                              Operation successful
+  function withdrawAll() public returns (bool success) { _delegate(); }
+
+  /// @dev Share the basket's surplus of a token, such as an airdrop or income paid to the basket, among holders in
+  ///      proportion to their current balances; later transfers do not change the shares. Baskets listing this basket
+  ///      as a component and basket escrows get no share, as they hold their balances for others
+  /// @param  _token                               Address of the token to distribute
+  /// @return success                              Operation successful
+  function createDistribution(address _token) public returns (bool success) { _delegate(); }
+
+  /// @dev Claim the caller's share of a distribution
+  /// @param  _distributionId                      Id of the distribution
+  /// @return success                              Operation successful
+  function claimDistribution(uint _distributionId) public returns (bool success) { _delegate(); }
+
+  /// @dev Release what holders have not claimed of a distribution, rounding dust included, once
+  ///      DISTRIBUTION_CLAIM_PERIOD has passed since its creation; the remainder becomes surplus again, which can be
+  ///      distributed anew or recovered
+  /// @param  _distributionId                      Id of the distribution
+  /// @return success                              Operation successful
+  function closeDistribution(uint _distributionId) public returns (bool success) { _delegate(); }
+
+  /// @dev Send tokens that are not backing any basket tokens, such as tokens sent to the basket by mistake or excess
+  ///      collateral, to a recipient; only the surplus reported by surplusOf can be released. Tokens other than the
+  ///      components may be airdrops or income owed to holders, so only the protocol admin can recover them
+  /// @param  _token                               Address of the token to recover
+  /// @param  _recipient                           Address to send the tokens to
+  /// @param  _quantity                            Quantity to send
+  /// @return success                              Operation successful
+  function recoverTokens(address _token, address _recipient, uint _quantity) public returns (bool success) { _delegate(); }
 
   /// @dev Change recipient of arranger fees
   /// @param  _newRecipient                        New fee recipient
@@ -237,32 +232,342 @@ contract Basket is StandardToken {
     return true;
   }
 
-  /// @dev ERC20 transfer with restrictions on receiver
+  /// @dev Change the annual management fee; the fee accrued at the old rate is collected first
+  /// @param  _newFee                              New fee in basis points per year
+  /// @return success                              Operation successful
+  function changeManagementFee(uint _newFee) public returns (bool success) { _delegate(); }
+
+  /// @dev Mint the management fee accrued since the last collection to arrangerFeeRecipient
+  ///      Also collected whenever basket tokens are minted or redeemed
+  /// @return success                              Operation successful
+  function collectManagementFee() public returns (bool success) {
+    _collectManagementFee();
+    return true;
+  }
+
+  /// @dev Change the token arranger fees are charged in; the fee amount is then denominated in that token
+  /// @param  _newFeeToken                         ERC20 token address (0x0 = ETH)
+  /// @return success                              Operation successful
+  function changeArrangerFeeToken(address _newFeeToken) public returns (bool success) {
+    // Check: "Only the arranger or the basket factory can change the fee token"
+    require(msg.sender == arranger || msg.sender == basketFactory);
+    address oldFeeToken = arrangerFeeToken;
+    arrangerFeeToken = _newFeeToken;
+
+    emit LogArrangerFeeTokenChange(oldFeeToken, arrangerFeeToken);
+    return true;
+  }
+
+  /// @dev Set the lock-up period for tokens minted from now on; can only be set once, before the basket has any supply
+  /// @param  _lockupPeriod                        Seconds for which minted tokens can not be transferred
+  /// @return success                              Operation successful
+  function setLockupPeriod(uint _lockupPeriod) public returns (bool success) {
+    // Check: "Only the arranger or the basket factory can set the lock-up period"
+    require(msg.sender == arranger || msg.sender == basketFactory);
+    require(lockupPeriod == 0 && totalSupply_ == 0);  // Check: "Lock-up period already set or tokens already minted"
+    lockupPeriod = _lockupPeriod;
+
+    emit LogLockupPeriodSet(lockupPeriod);
+    return true;
+  }
+
+  /// @dev Flag components whose deposits are measured by the change in the basket's balance, so that minting is
+  ///      rejected when a fee-on-transfer token delivers less than required; can only be set before any tokens are minted
+  /// @param  _componentMask                       Bit i set = tokens[i] is balance-checked
+  /// @return success                              Operation successful
+  function setBalanceCheckedComponents(uint _componentMask) public returns (bool success) {
+    // Check: "Only the arranger or the basket factory can flag components"
+    require(msg.sender == arranger || msg.sender == basketFactory);
+    require(totalSupply_ == 0);                     // Check: "Tokens already minted"
+    for (uint i = 0; i < tokens.length; i++) {
+      balanceChecked[tokens[i]] = (_componentMask >> i) & 1 == 1;
+    }
+
+    emit LogBalanceCheckedComponentsSet(_componentMask);
+    return true;
+  }
+
+  /// @dev Flag or unflag a token whose deposits are measured by the change in the basket's balance, such as a
+  ///      fee-on-transfer component a rebalance brings in; tokens the basket already holds can not be changed
+  /// @param  _token                               Address of the token
+  /// @param  _balanceChecked                      Whether the token is balance-checked
+  /// @return success                              Operation successful
+  function setBalanceCheckedToken(address _token, bool _balanceChecked) public returns (bool success) { _delegate(); }
+
+  /// @dev Set the BasketExtension this basket delegates to; can only be set once, by the basket factory
+  /// @param  _basketExtension                     Address of the BasketExtension
+  /// @return success                              Operation successful
+  function setBasketExtension(address _basketExtension) public returns (bool success) {
+    require(msg.sender == basketFactory);           // Check: "Only the basket factory can set the extension"
+    require(basketExtension == address(0));         // Check: "Extension already set"
+    basketExtension = _basketExtension;
+
+    emit LogBasketExtensionSet(basketExtension);
+    return true;
+  }
+
+  /// @dev Change the creation unit; can only be set before any tokens are minted
+  /// @param  _creationUnit                        New creation unit, for which every component's quantity must be non-zero
+  /// @return success                              Operation successful
+  function setCreationUnit(uint _creationUnit) public returns (bool success) {
+    // Check: "Only the arranger or the basket factory can set the creation unit"
+    require(msg.sender == arranger || msg.sender == basketFactory);
+    require(totalSupply_ == 0);                     // Check: "Tokens already minted"
+    require(_creationUnit >= _minCreationUnit(weights));  // Check: "A component quantity rounds to zero"
+    creationUnit = _creationUnit;
+
+    emit LogCreationUnitSet(creationUnit);
+    return true;
+  }
+
+  /// @dev Set the maximum number of holders; lowering it below holderCount only blocks new holders
+  /// @param  _newMaxHolders                       New maximum holder count (0 = unlimited)
+  /// @return success                              Operation successful
+  function setMaxHolders(uint _newMaxHolders) public onlyArranger returns (bool success) {
+    uint oldMaxHolders = maxHolders;
+    maxHolders = _newMaxHolders;
+
+    emit LogMaxHoldersChange(oldMaxHolders, maxHolders);
+    return true;
+  }
+
+  /// @dev Stop bundling and transfers until unpaused; holders can still redeem
+  /// @return success                              Operation successful
+  function pause() public returns (bool success) { _delegate(); }
+
+  /// @dev Resume bundling and transfers after a pause
+  /// @return success                              Operation successful
+  function unpause() public returns (bool success) { _delegate(); }
+
+  /// @dev Permanently stop bundling and transfers, leaving redemptions as the only way out of the basket
+  ///      The management fee accrued so far is collected and no further fee accrues
+  /// @return success                              Operation successful
+  function shutdown() public returns (bool success) { _delegate(); }
+
+  /// @dev Propose new components and weights, which can be executed once REBALANCE_TIMELOCK has passed
+  ///      Holders who disagree can debundleAndWithdraw at the current composition in the meantime
+  /// @param  _tokens                              Array of ERC20 token addresses
+  /// @param  _weights                             Array of ERC20 token quantities
+  /// @return success                              Operation successful
+  function proposeRebalance(address[] _tokens, uint[] _weights) public returns (bool success) { _delegate(); }
+
+  /// @dev Withdraw a pending rebalance proposal
+  /// @return success                              Operation successful
+  function cancelRebalance() public returns (bool success) { _delegate(); }
+
+  /// @dev Apply the proposed rebalance once its timelock has passed
+  ///      The caller supplies the additional component tokens the outstanding supply needs, which must be approved
+  ///      beforehand, and receives the component tokens it no longer needs
+  /// @return success                              Operation successful
+  function executeRebalance() public returns (bool success) { _delegate(); }
+
+  /// @dev Get the current components and weights
+  /// @return tokens                               Array of ERC20 token addresses
+  /// @return weights                              Array of ERC20 token quantities
+  function getComposition() public view returns (address[], uint[]) {
+    return (tokens, weights);
+  }
+
+  /// @dev Compare what the basket holds of each component with what its supply and outstanding balances require
+  /// @return tokens                               Array of ERC20 token addresses
+  /// @return held                                 Quantity of each token held by the basket
+  /// @return required                             Quantity of each token backing totalSupply_, outstanding balances and
+  ///                                              unclaimed distributions
+  function getHoldings() public view returns (address[], uint[] held, uint[] required) {
+    held = new uint[](tokens.length);
+    required = new uint[](tokens.length);
+    for (uint i = 0; i < tokens.length; i++) {
+      held[i] = ERC20(tokens[i]).balanceOf(this);
+      required[i] = _required(tokens[i], weights[i]);
+    }
+    return (tokens, held, required);
+  }
+
+  /// @dev Get the number of distributions
+  /// @return count                                Number of distributions
+  function getDistributionCount() public view returns (uint count) {
+    return distributions.list.length;
+  }
+
+  /// @dev Get the details of a distribution
+  /// @param  _distributionId                      Id of the distribution
+  /// @return token                                Address of the distributed token
+  /// @return amount                               Quantity shared among holders
+  /// @return totalSupply                          Basket tokens in issue when the distribution was created
+  /// @return claimed                              Quantity paid out so far
+  /// @return closeTime                            Unix timestamp from which the unclaimed remainder can be released
+  /// @return closed                               Unclaimed remainder released; nothing more can be claimed
+  function getDistribution(uint _distributionId) public view returns (address, uint, uint, uint, uint, bool) {
+    Distributions.Distribution storage d = distributions.list[_distributionId];
+    return (d.token, d.amount, d.totalSupply, d.claimed, d.closeTime, d.closed);
+  }
+
+  /// @dev Get a holder's unclaimed share of a distribution
+  /// @param  _holder                              holder address
+  /// @param  _distributionId                      Id of the distribution
+  /// @return amount                               Quantity the holder can claim
+  function getClaimableAmount(address _holder, uint _distributionId) public view returns (uint amount) {
+    return distributions.claimable(_holder, balances[_holder], _distributionId);
+  }
+
+  /// @dev Value one basket token at the prices reported by the oracle registry set in the basket registry
+  /// @return nav                                  Value in wei of 10 ** decimals units of the basket
+  /// @return stale                                Some component has no price or a price older than maxPriceAge
+  function getNav() public view returns (uint nav, bool stale) {
+    return Valuation.getNav(tokens, weights, basketRegistry.oracleRegistry());
+  }
+
+  /// @dev Get the pending rebalance proposal
+  /// @return tokens                               Proposed ERC20 token addresses
+  /// @return weights                              Proposed ERC20 token quantities
+  /// @return rebalanceTime                        Unix timestamp from which the proposal can be executed (0 = none)
+  function getProposedRebalance() public view returns (address[], uint[], uint) {
+    return (proposedTokens, proposedWeights, rebalanceTime);
+  }
+
+  /// @dev ERC20 transfer with restrictions on sender and receiver
+  ///      Baskets listing this basket as a component can still transfer it while it is paused or shut down, so that
+  ///      their own holders can redeem
   /// @param  _to                                  receiver
   /// @param  _value                               value to be transferred
   /// @return success                              Operation successful
-  function transfer(address _to, uint256 _value) public onlyWhitelistedHolder(_to) returns (bool) {
-    super.transfer(_to, _value);
+  function transfer(
+    address   _to,
+    uint256   _value
+  ) public notFrozen(msg.sender) onlyUnlocked(msg.sender, _value) onlyWhitelistedHolder(_to) returns (bool) {
+    // Check: "Basket is paused or shut down"
+    require(status == ACTIVE || basketRegistry.tokenBasketIndex(this, msg.sender) > 0);
+    _transfer(msg.sender, _to, _value);
     return true;
   }
 
-  /// @dev ERC20 transferFrom with restrictions on receiver
+  /// @dev ERC20 transferFrom with restrictions on sender and receiver
   /// @param  _from                                sender
   /// @param  _to                                  receiver
   /// @param  _value                               value to be transferred
   /// @return success                              Operation successful
-  function transferFrom(address _from, address _to, uint256 _value) public onlyWhitelistedHolder(_to) returns (bool) {
-    super.transferFrom(_from, _to, _value);
+  function transferFrom(
+    address   _from,
+    address   _to,
+    uint256   _value
+  ) public whenActive notFrozen(_from) notFrozen(msg.sender) onlyUnlocked(_from, _value) onlyWhitelistedHolder(_to) returns (bool) {
+    require(_value <= allowed[_from][msg.sender]);  // Check: "Insufficient allowance"
+    allowed[_from][msg.sender] = allowed[_from][msg.sender].sub(_value);
+    _transfer(_from, _to, _value);
     return true;
   }
 
-  /// @dev Check if the basket is kycEnabled and if _address is whitelisted
-  /// @return isWhitelisted                        Return if holder is whitelisted
-  function isWhitelistedHolder(address _address) public view returns (bool) {
-    if (kycEnabled) {
-      return kyc.isWhitelistedHolder(_address);
-    } else {
-      return true;
+  /// @dev Move tokens out of a lost, compromised or sanctioned account; only callable by a KYC compliance officer
+  ///      The source account may be frozen or locked up, the recipient must be whitelisted and not frozen
+  /// @param  _from                                account to take tokens from
+  /// @param  _to                                  replacement account
+  /// @param  _value                               value to be transferred
+  /// @param  _reasonCode                          compliance reason recorded in the event
+  /// @return success                              Operation successful
+  function forceTransfer(
+    address   _from,
+    address   _to,
+    uint      _value,
+    bytes32   _reasonCode
+  ) public onlyWhitelistedHolder(_to) returns (bool success) {
+    // Check: "Only a compliance officer of the KYC module responsible for the account can force transfers"
+    require(kycEnabled && kyc.isComplianceOfficerFor(msg.sender, _from));
+    _transfer(_from, _to, _value);
+    emit LogForceTransfer(_from, _to, _value, _reasonCode, msg.sender);
+    return true;
+  }
+
+  /// @dev depositAndBundle on behalf of a signer, submitted by a relayer
+  ///      Component tokens (and a token arranger fee) come from the signer, who must be whitelisted; an ETH arranger fee
+  ///      is paid by the relayer. The relayer fee is paid in basket tokens from the signer's unlocked balance
+  /// @param  _signer                              Address that signed the request
+  /// @param  _quantity                            Quantity of basket tokens to mint
+  /// @param  _relayerFee                          Quantity of basket tokens paid to the relayer
+  /// @param  _expiry                              Unix timestamp after which the request can not be submitted
+  /// @param  _nonce                               Nonce chosen by the signer, usable once
+  /// @param  _signature                           65-byte signature of getMetaTransactionHash
+  /// @return success                              Operation successful
+  function depositAndBundleBySig(
+    address   _signer,
+    uint      _quantity,
+    uint      _relayerFee,
+    uint      _expiry,
+    uint      _nonce,
+    bytes     _signature
+  )
+    public
+    payable
+    returns (bool success)
+  {
+    _delegate();
+  }
+
+  /// @dev debundleAndWithdraw on behalf of a signer, submitted by a relayer; components are sent to the signer
+  /// @param  _signer                              Address that signed the request
+  /// @param  _quantity                            Quantity of basket tokens to convert back to original tokens
+  /// @param  _relayerFee                          Quantity of basket tokens paid to the relayer
+  /// @param  _expiry                              Unix timestamp after which the request can not be submitted
+  /// @param  _nonce                               Nonce chosen by the signer, usable once
+  /// @param  _signature                           65-byte signature of getMetaTransactionHash
+  /// @return success                              Operation successful
+  function debundleAndWithdrawBySig(
+    address   _signer,
+    uint      _quantity,
+    uint      _relayerFee,
+    uint      _expiry,
+    uint      _nonce,
+    bytes     _signature
+  )
+    public
+    returns (bool success)
+  {
+    _delegate();
+  }
+
+  /// @dev transfer on behalf of a signer, submitted by a relayer
+  /// @param  _signer                              Address that signed the request
+  /// @param  _to                                  receiver
+  /// @param  _value                               value to be transferred
+  /// @param  _relayerFee                          Quantity of basket tokens paid to the relayer
+  /// @param  _expiry                              Unix timestamp after which the request can not be submitted
+  /// @param  _nonce                               Nonce chosen by the signer, usable once
+  /// @param  _signature                           65-byte signature of getMetaTransactionHash
+  /// @return success                              Operation successful
+  function transferBySig(
+    address   _signer,
+    address   _to,
+    uint      _value,
+    uint      _relayerFee,
+    uint      _expiry,
+    uint      _nonce,
+    bytes     _signature
+  )
+    public
+    returns (bool success)
+  {
+    _delegate();
+  }
+
+  /// @dev Get the number of lock-ups recorded for a holder, including released ones; read them with lockups(holder, index)
+  /// @param  _holder                              holder address
+  /// @return count                                Number of lock-ups
+  function getLockupCount(address _holder) public view returns (uint count) {
+    return lockups[_holder].length;
+  }
+
+  /// @dev Contract internal function to run the called function in BasketExtension against this basket's storage
+  ///      Returns or reverts with the extension's return data
+  function _delegate() internal {
+    address extension = basketExtension;
+    require(extension != address(0));               // Check: "Basket extension not set"
+    assembly {
+      let ptr := mload(0x40)
+      calldatacopy(ptr, 0, calldatasize())
+      let result := delegatecall(gas(), extension, ptr, calldatasize(), 0, 0)
+      returndatacopy(ptr, 0, returndatasize())
+      switch result
+      case 0 { revert(ptr, returndatasize()) }
+      default { return(ptr, returndatasize()) }
     }
   }
 
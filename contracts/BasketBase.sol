@@ -0,0 +1,497 @@
+/*
+
+  Copyright 2018 CoinAlpha, Inc.
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+
+*/
+
+pragma solidity 0.4.21;
+
+import "./zeppelin/SafeMath.sol";
+import "./zeppelin/StandardToken.sol";
+import "./zeppelin/ERC20.sol";
+import "./SafeTransfer.sol";
+import "./Distributions.sol";
+import "./Valuation.sol";
+
+import "./BasketRegistry.sol";
+import "./KYC.sol";
+
+contract IBasket {
+  // Called by BasketEscrow
+  function isWhitelistedHolder(address _address) public view returns (bool) {}
+  function isFrozen(address _address) public view returns (bool) {}
+  function unlockedBalanceOf(address _holder) public view returns (uint) {}
+  function status() public view returns (uint) {}
+  function getNav() public view returns (uint, bool) {}
+  function debundleTo(address _recipient, uint _quantity) public returns (bool) {}
+
+  // Called by parent Basket
+  function debundleNested(address _recipient, uint _quantity, uint _depth) public returns (bool) {}
+}
+
+/// @title BasketBase -- State, modifiers and shared functions of Basket and BasketExtension
+/// @author CoinAlpha, Inc. <contact@coinalpha.com>
+/// @dev BasketExtension runs against a basket's storage through DELEGATECALL, so both contracts must share this
+///      storage layout and neither may declare state variables of its own
+contract BasketBase is StandardToken {
+  using SafeMath for uint;
+  using SafeTransfer for address;
+  using Distributions for Distributions.Data;
+
+  uint                    public constant REBALANCE_TIMELOCK = 7 days;  // Delay between a rebalance proposal and its execution
+  uint                    public constant MAX_MANAGEMENT_FEE = 500;     // Cap on the management fee, in basis points per year
+  uint                    public constant BASIS_POINTS = 10000;
+  uint                    public constant MAX_NESTING_DEPTH = 3;        // Levels of basket components debundleNested unwraps at most
+  uint                    public constant DISTRIBUTION_CLAIM_PERIOD = 365 days;  // Time holders have to claim a distribution
+
+  // Meta-transaction actions, part of the signed request
+  uint                    public constant META_BUNDLE = 1;
+  uint                    public constant META_DEBUNDLE = 2;
+  uint                    public constant META_TRANSFER = 3;
+
+  // Basket states
+  uint                    public constant ACTIVE = 0;     // Bundling, transfers and redemptions allowed
+  uint                    public constant PAUSED = 1;     // Only redemptions allowed, until unpaused
+  uint                    public constant SHUTDOWN = 2;   // Only redemptions allowed, permanently
+
+  // Constants set at contract inception
+  string                  public name;
+  string                  public symbol;
+  uint                    public decimals;
+  address[]               public tokens;
+  uint[]                  public weights;
+
+  address                 public arranger;
+  address                 public arrangerFeeRecipient;
+  uint                    public arrangerFee;
+  address                 public arrangerFeeToken;    // ERC20 token arranger fees are charged in (0x0 = ETH)
+  uint                    public managementFee;       // Annual management fee in basis points, paid by minting to arrangerFeeRecipient
+  uint                    public lastFeeCollection;   // Unix timestamp up to which the management fee has been collected
+  bool                    public kycEnabled;
+  uint                    public eligibilityRule;     // KYC eligibility rule holders must satisfy (0 = whitelist only)
+  uint                    public holderCount;         // Number of addresses with a non-zero balance
+  uint                    public maxHolders;          // Maximum holderCount allowed by the arranger (0 = unlimited)
+  uint                    public lockupPeriod;        // Seconds for which newly minted tokens can not be transferred (0 = none)
+  address                 public basketFactory;       // Deployer (BasketDeployer), allowed to configure the basket alongside the arranger
+  uint                    public status;              // ACTIVE, PAUSED or SHUTDOWN
+  uint                    public creationUnit;        // Quantities minted and debundled must be multiples of this
+
+  // Pending rebalance proposed by the arranger
+  address[]               public proposedTokens;
+  uint[]                  public proposedWeights;
+  uint                    public rebalanceTime;       // Unix timestamp from which the proposal can be executed (0 = none)
+
+  // mapping of token addresses to mapping of account balances
+  // ADDRESS USER  || ADDRESS TOKEN || UINT BALANCE
+  mapping(address => mapping(address => uint)) public outstandingBalance;
+
+  // mapping of component tokens to the sum of every holder's outstanding balance
+  // ADDRESS TOKEN || UINT BALANCE
+  mapping(address => uint) public totalOutstanding;
+
+  // mapping of component tokens whose deposits are measured by the change in the basket's balance
+  // (fee-on-transfer and rebasing tokens)
+  // ADDRESS TOKEN || BOOL BALANCE CHECKED
+  mapping(address => bool) public balanceChecked;
+
+  // mapping of signers to the meta-transaction nonces they have used
+  // ADDRESS SIGNER || UINT NONCE || BOOL USED
+  mapping(address => mapping(uint => bool)) public usedMetaNonces;
+
+  // mapping of holders to the quantities they minted and when each becomes transferable, oldest first
+  // ADDRESS USER  || LOCKUP[] LOCKUPS
+  mapping(address => Lockup[]) public lockups;
+
+  // Distributions of airdropped and income tokens, with the balance checkpoints holders claim against
+  Distributions.Data internal distributions;
+
+  // Structs
+  struct Lockup {
+    uint      quantity;
+    uint      releaseTime;                          // Unix timestamp at which the quantity becomes transferable
+  }
+
+  // Modules
+  IBasketRegistry         public basketRegistry;
+  IKYC                    public kyc;
+  address                 public basketExtension;     // BasketExtension, which runs the less frequently used functions
+
+  // Modifiers
+  modifier onlyArranger {
+    require(msg.sender == arranger);                // Check: "Only the Arranger can call this function"
+    _;
+  }
+
+  /// @dev For state changes, allow the arranger and the protocol admin (the admin of the basket registry)
+  modifier onlyArrangerOrAdmin {
+    // Check: "Only the arranger or the protocol admin can call this function"
+    require(_isArrangerOrAdmin(msg.sender));
+    _;
+  }
+
+  /// @dev For bundling and transfers, check that the basket is neither paused nor shut down
+  modifier whenActive {
+    require(status == ACTIVE);                      // Check: "Basket is paused or shut down"
+    _;
+  }
+
+  /// @dev For transactions resulting in token transfers, check that the token recipient is whitelisted
+  modifier onlyWhitelistedHolder(address _to) {
+    require(isWhitelistedHolder(_to));
+    _;
+  }
+
+  /// @dev For transfers, check that the holder's unlocked balance covers the value
+  modifier onlyUnlocked(address _holder, uint _value) {
+    require(_value <= unlockedBalanceOf(_holder));  // Check: "Tokens are still locked up"
+    _;
+  }
+
+  /// @dev For transactions moving or redeeming an existing balance, check that the holder is not frozen
+  modifier notFrozen(address _holder) {
+    require(!isFrozen(_holder));                    // Check: "Account is frozen"
+    _;
+  }
+
+  // Events
+  event LogDepositAndBundle(address indexed holder, uint indexed quantity);
+  event LogDebundleAndWithdraw(address indexed holder, uint indexed quantity);
+  event LogDepositAndBundleFor(address indexed sender, address indexed beneficiary, uint indexed quantity);
+  event LogDebundleTo(address indexed holder, address indexed recipient, uint indexed quantity);
+  event LogPartialDebundle(address indexed holder, uint indexed quantity);
+  event LogDebundleNested(address indexed holder, address indexed recipient, uint indexed quantity, uint depth);
+  event LogWithdraw(address indexed holder, address indexed token, uint indexed quantity);
+  event LogComponentSkipped(address indexed holder, address indexed token, uint quantity);
+  event LogArrangerFeeRecipientChange(address indexed oldRecipient, address indexed newRecipient);
+  event LogArrangerFeeChange(uint indexed oldFee, uint indexed newFee);
+  event LogManagementFeeChange(uint indexed oldFee, uint indexed newFee);
+  event LogManagementFeeCollected(address indexed recipient, uint quantity);
+  event LogArrangerFeeTokenChange(address indexed oldFeeToken, address indexed newFeeToken);
+  event LogLockupPeriodSet(uint lockupPeriod);
+  event LogBalanceCheckedComponentsSet(uint componentMask);
+  event LogBalanceCheckedTokenSet(address indexed token, bool balanceChecked);
+  event LogCreationUnitSet(uint creationUnit);
+  event LogBasketExtensionSet(address basketExtension);
+  event LogMaxHoldersChange(uint oldMaxHolders, uint newMaxHolders);
+  event LogRebalanceProposed(address[] tokens, uint[] weights, uint rebalanceTime);
+  event LogRebalanceCancelled();
+  event LogRebalance(address indexed supplier, address[] tokens, uint[] weights);
+  event LogMetaTransaction(address indexed signer, address indexed relayer, uint action, uint nonce, uint relayerFee);
+  event LogStatusChange(uint oldStatus, uint newStatus, address indexed changedBy);
+  event LogForceTransfer(address indexed from, address indexed to, uint quantity, bytes32 reasonCode, address indexed officer);
+  // emitted by the Distributions library
+  event LogDistributionCreated(uint indexed distributionId, address indexed token, uint amount, uint totalSupply, address createdBy);
+  event LogDistributionClaimed(uint indexed distributionId, address indexed holder, uint amount);
+  event LogDistributionClosed(uint indexed distributionId, uint remainder, address closedBy);
+  event LogTokensRecovered(address indexed token, address indexed recipient, uint quantity, address indexed recoveredBy);
+
+  /// @dev Contract internal function to take in component tokens from a funder and mint to a holder
+  ///      An ETH arranger fee is paid from msg.value, with any excess refunded to msg.sender; a token fee by the funder
+  /// @param  _funder                              Address to take component tokens from
+  /// @param  _holder                              Address to mint basket tokens to
+  /// @param  _quantity                            Quantity of basket tokens to mint
+  /// @return success                              Operation successful
+  function _depositAndBundle(address _funder, address _holder, uint _quantity) internal returns (bool success) {
+    // Check: "Quantity must be a non-zero multiple of the creation unit"
+    require(_quantity > 0 && _quantity % creationUnit == 0);
+    _collectManagementFee();
+    for (uint i = 0; i < tokens.length; i++) {
+      uint amount = weights[i].mul(_quantity).div(10 ** decimals);
+      require(amount > 0);                          // Check: "Component quantity rounds to zero"
+      _deposit(_funder, tokens[i], amount);
+    }
+
+    // charging suppliers a fee for every new basket minted, in ETH or in arrangerFeeToken
+    uint fee = arrangerFee.mul(_quantity).div(10 ** decimals);
+    if (arrangerFeeToken != address(0)) {
+      if (fee > 0) { arrangerFeeToken.safeTransferFrom(_funder, arrangerFeeRecipient, fee); }
+      fee = 0;
+    }
+    require(msg.value >= fee);                      // Check: "Insufficient ETH for arranger fee to bundle"
+    if (fee > 0) { arrangerFeeRecipient.transfer(fee); }
+    // refund any ether sent above the fee
+    if (msg.value > fee) { msg.sender.transfer(msg.value - fee); }
+
+    _increaseBalance(_holder, _quantity);
+    totalSupply_ = totalSupply_.add(_quantity);
+    if (lockupPeriod > 0) {
+      lockups[_holder].push(Lockup(_quantity, now.add(lockupPeriod)));
+    }
+
+    basketRegistry.incrementBasketsMinted(_quantity, _funder, _holder);
+    return true;
+  }
+
+  /// @dev Convert basketTokens back to original tokens and transfer to specified recipient
+  /// @param  _quantity                            Quantity of basket tokens to swap
+  /// @param  _sender                              Address of transaction sender
+  /// @param  _recipient                           Address of token recipient
+  /// @param  _depth                               Levels of basket components to debundle rather than transfer
+  /// @return success                              Operation successful
+  function debundle(
+    uint      _quantity,
+    address   _sender,
+    address   _recipient,
+    uint      _depth
+  ) internal returns (bool success) {
+    require(balances[_sender] >= _quantity);      // Check: "Insufficient basket balance to debundle"
+    // decrease holder balance and total supply by _quantity
+    _burn(_sender, _quantity, _recipient);
+
+    // transfer tokens back to _recipient
+    for (uint i = 0; i < tokens.length; i++) {
+      address t = tokens[i];
+      uint amount = weights[i].mul(_quantity).div(10 ** decimals);
+      if (_depth > 0 && basketRegistry.checkBasketExists(t)) {
+        require(IBasket(t).debundleNested(_recipient, amount, _depth - 1));
+      } else {
+        t.safeTransfer(_recipient, amount);
+      }
+    }
+
+    return true;
+  }
+
+  /// @dev Get the management fee accrued since the last collection
+  /// @return quantity                             Quantity of basket tokens that would be minted to arrangerFeeRecipient
+  function accruedManagementFee() public view returns (uint) {
+    return totalSupply_.mul(managementFee).mul(now.sub(lastFeeCollection)).div(BASIS_POINTS).div(365 days);
+  }
+
+  /// @dev Get the quantity of a token the basket holds beyond what backs its supply, outstanding balances and
+  ///      unclaimed distributions
+  /// @param  _token                               Address of the token
+  /// @return surplus                              Quantity not owed to anyone
+  function surplusOf(address _token) public view returns (uint surplus) {
+    uint i = _indexOf(tokens, _token);
+    uint required = _required(_token, i < tokens.length ? weights[i] : 0);
+    uint held = ERC20(_token).balanceOf(this);
+    return held > required ? held - required : 0;
+  }
+
+  /// @dev Hash of the meta-transaction fields that a signer signs (as an Ethereum signed message)
+  /// @param  _action                              META_BUNDLE, META_DEBUNDLE or META_TRANSFER
+  /// @param  _to                                  Transfer receiver (0x0 for other actions)
+  /// @param  _quantity                            Quantity of basket tokens to mint, debundle or transfer
+  /// @param  _relayerFee                          Quantity of basket tokens paid to the relayer
+  /// @param  _expiry                              Unix timestamp after which the request can not be submitted
+  /// @param  _nonce                               Nonce chosen by the signer
+  /// @return metaTransactionHash
+  function getMetaTransactionHash(
+    uint      _action,
+    address   _to,
+    uint      _quantity,
+    uint      _relayerFee,
+    uint      _expiry,
+    uint      _nonce
+  ) public view returns (bytes32) {
+    return keccak256(this, _action, _to, _quantity, _relayerFee, _expiry, _nonce);
+  }
+
+  /// @dev Quantity of a holder's balance that is still within its lock-up period
+  ///      Debundled or burned tokens are taken from the unlocked balance first
+  /// @param  _holder                              holder address
+  /// @return locked                               Quantity that can not be transferred yet
+  function lockedBalanceOf(address _holder) public view returns (uint locked) {
+    Lockup[] storage holderLockups = lockups[_holder];
+    // lockups are pushed in release order, so only the most recent ones can still be active
+    for (uint i = holderLockups.length; i > 0 && holderLockups[i - 1].releaseTime > now; i--) {
+      locked = locked.add(holderLockups[i - 1].quantity);
+    }
+    if (locked > balances[_holder]) { locked = balances[_holder]; }
+    return locked;
+  }
+
+  /// @dev Quantity of a holder's balance that can be transferred
+  /// @param  _holder                              holder address
+  /// @return unlocked                             Quantity that can be transferred now
+  function unlockedBalanceOf(address _holder) public view returns (uint unlocked) {
+    return balances[_holder].sub(lockedBalanceOf(_holder));
+  }
+
+  /// @dev Contract internal function to mint the accrued management fee to arrangerFeeRecipient
+  ///      Weights are scaled down by supply / (supply + fee), so that the new tokens are backed by the existing holdings
+  ///      and every basket token is diluted in proportion. The fee for the period is forgone if a creation unit would then
+  ///      take less than one base unit of a component, as that component's quantities would round to zero
+  function _collectManagementFee() internal {
+    if (managementFee == 0 || lastFeeCollection == now) { return; }
+    uint fee = accruedManagementFee();
+    lastFeeCollection = now;
+    if (fee == 0) { return; }
+
+    // a pending rebalance is scaled alike, so that executing it does not restore the weights from before the fee
+    uint[] memory scaledWeights = _scaleWeights(weights, fee);
+    uint[] memory scaledProposedWeights = _scaleWeights(proposedWeights, fee);
+    if (scaledWeights.length < weights.length || scaledProposedWeights.length < proposedWeights.length) { return; }
+    weights = scaledWeights;
+    proposedWeights = scaledProposedWeights;
+    // not subject to maxHolders, so that a full basket can still be minted and redeemed
+    _checkpoint(arrangerFeeRecipient);
+    if (balances[arrangerFeeRecipient] == 0) { holderCount = holderCount.add(1); }
+    balances[arrangerFeeRecipient] = balances[arrangerFeeRecipient].add(fee);
+    totalSupply_ = totalSupply_.add(fee);
+
+    basketRegistry.incrementBasketsFeeMinted(fee, arrangerFeeRecipient);
+    basketRegistry.updateBasketWeights(weights);
+    emit LogManagementFeeCollected(arrangerFeeRecipient, fee);
+  }
+
+  /// @dev Contract internal function to scale weights down by the share a fee minted on top of the supply takes
+  /// @param  _weights                             Weights to scale
+  /// @param  _fee                                 Quantity of basket tokens minted as the fee
+  /// @return scaled                               Scaled weights, or no weights if a component quantity would round to zero
+  function _scaleWeights(uint[] storage _weights, uint _fee) internal view returns (uint[] scaled) {
+    scaled = new uint[](_weights.length);
+    for (uint i = 0; i < _weights.length; i++) {
+      scaled[i] = _weights[i].mul(totalSupply_).div(totalSupply_.add(_fee));
+      if (scaled[i].mul(creationUnit) < 10 ** decimals) { return new uint[](0); }
+    }
+  }
+
+  /// @dev Contract internal function to check for the arranger or the protocol admin; kept out of the modifier,
+  ///      which is inlined into every function it guards
+  /// @param  _account                             account to check
+  /// @return isArrangerOrAdmin
+  function _isArrangerOrAdmin(address _account) internal view returns (bool) {
+    return _account == arranger || _account == basketRegistry.admin();
+  }
+
+  /// @dev Contract internal function to take in a component token from an approving address
+  ///      For balance-checked components, the quantity the basket actually receives must cover _amount
+  /// @param  _from                                Address to take the tokens from
+  /// @param  _token                               Address of the component token
+  /// @param  _amount                              Quantity the basket needs to receive
+  function _deposit(address _from, address _token, uint _amount) internal {
+    if (!balanceChecked[_token]) {
+      _token.safeTransferFrom(_from, this, _amount);
+      return;
+    }
+    uint balanceBefore = ERC20(_token).balanceOf(this);
+    _token.safeTransferFrom(_from, this, _amount);
+    // Check: "Quantity received is short of the quantity required"
+    require(ERC20(_token).balanceOf(this).sub(balanceBefore) >= _amount);
+  }
+
+  /// @dev Contract internal function to burn basket tokens being redeemed, collecting the management fee first
+  /// @param  _holder                              holder address
+  /// @param  _quantity                            quantity of basket tokens to burn
+  /// @param  _recipient                           Address the components are sent to, recorded in the registry
+  function _burn(address _holder, uint _quantity, address _recipient) internal {
+    // Check: "Quantity must be a multiple of the creation unit"; parent baskets and the escrow redeem whatever their
+    // holders and sellers redeem
+    require(_quantity % creationUnit == 0 || basketRegistry.isCustodian(this, _holder));
+    _collectManagementFee();
+    _decreaseBalance(_holder, _quantity);
+    totalSupply_ = totalSupply_.sub(_quantity);
+    basketRegistry.incrementBasketsBurned(_quantity, _holder, _recipient);
+  }
+
+  /// @dev Contract internal function to find the smallest creation unit for which no component quantity rounds to zero
+  /// @param  _weights                             Array of ERC20 token quantities, in base units per 10 ** decimals baskets
+  /// @return unit                                 Smallest quantity of basket tokens that takes at least one base unit of each
+  function _minCreationUnit(uint[] _weights) internal view returns (uint unit) {
+    unit = 1;
+    for (uint i = 0; i < _weights.length; i++) {
+      require(_weights[i] > 0);                     // Check: "Weights must be non-zero"
+      uint needed = (10 ** decimals).add(_weights[i]).sub(1).div(_weights[i]);
+      if (needed > unit) { unit = needed; }
+    }
+    return unit;
+  }
+
+  /// @dev Contract internal function to get the quantity of a token owed to holders
+  /// @param  _token                               Address of the token
+  /// @param  _weight                              Weight of the token (0 = not a component)
+  /// @return required                             Quantity backing totalSupply_, outstanding balances and unclaimed
+  ///                                              distributions
+  function _required(address _token, uint _weight) internal view returns (uint required) {
+    return _weight.mul(totalSupply_).div(10 ** decimals)
+      .add(totalOutstanding[_token])
+      .add(distributions.reserved[_token]);
+  }
+
+  /// @dev Contract internal function to find a token in a list
+  /// @param  _list                                Array of token addresses
+  /// @param  _token                               Token address to look for
+  /// @return index                                Position of the token, or _list.length if it is not listed
+  function _indexOf(address[] _list, address _token) internal pure returns (uint index) {
+    for (index = 0; index < _list.length; index++) {
+      if (_list[index] == _token) { break; }
+    }
+    return index;
+  }
+
+  /// @dev Contract internal function to move basket tokens between holders
+  /// @param  _from                                sender
+  /// @param  _to                                  receiver
+  /// @param  _value                               value to be transferred
+  function _transfer(address _from, address _to, uint _value) internal {
+    require(_to != address(0));                     // Check: "Recipient address is 0x0"
+    require(_value <= balances[_from]);             // Check: "Insufficient basket balance"
+    _decreaseBalance(_from, _value);
+    _increaseBalance(_to, _value);
+    emit Transfer(_from, _to, _value);
+  }
+
+  /// @dev Contract internal function to record a holder's balance for earlier distributions before it changes
+  /// @param  _holder                              holder address
+  function _checkpoint(address _holder) internal {
+    if (distributions.list.length > 0) { distributions.checkpoint(_holder, balances[_holder]); }
+  }
+
+  /// @dev Contract internal function to credit a balance, counting the holder if it was empty
+  /// @param  _holder                              holder address
+  /// @param  _quantity                            quantity of basket tokens to add
+  function _increaseBalance(address _holder, uint _quantity) internal {
+    _checkpoint(_holder);
+    if (balances[_holder] == 0 && _quantity > 0) {
+      holderCount = holderCount.add(1);
+      require(maxHolders == 0 || holderCount <= maxHolders);  // Check: "Maximum number of holders reached"
+    }
+    balances[_holder] = balances[_holder].add(_quantity);
+  }
+
+  /// @dev Contract internal function to debit a balance, no longer counting the holder once it is empty
+  /// @param  _holder                              holder address
+  /// @param  _quantity                            quantity of basket tokens to remove
+  function _decreaseBalance(address _holder, uint _quantity) internal {
+    _checkpoint(_holder);
+    balances[_holder] = balances[_holder].sub(_quantity);
+    if (balances[_holder] == 0 && _quantity > 0) {
+      holderCount = holderCount.sub(1);
+    }
+  }
+
+  /// @dev Check if the basket is kycEnabled and if _address is whitelisted, not frozen and meets the basket's eligibility rule
+  /// @return isWhitelisted                        Return if holder is whitelisted
+  function isWhitelistedHolder(address _address) public view returns (bool) {
+    if (kycEnabled) {
+      // baskets listing this basket as a component hold it on behalf of their own holders
+      if (basketRegistry.isParentBasket(this, _address)) { return true; }
+      if (kyc.isFrozen(_address)) { return false; }
+      if (eligibilityRule == 0) {
+        return kyc.isWhitelistedHolder(_address);
+      }
+      return kyc.isEligibleHolder(_address, eligibilityRule);
+    } else {
+      return true;
+    }
+  }
+
+  /// @dev Check if the basket is kycEnabled and _address has been frozen by the KYC module
+  /// @return isFrozen                             Return if holder is frozen
+  function isFrozen(address _address) public view returns (bool) {
+    return kycEnabled && kyc.isFrozen(_address);
+  }
+}
@@ -0,0 +1,95 @@
+/*
+
+  Copyright 2018 CoinAlpha, Inc.
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+
+*/
+
+pragma solidity 0.4.21;
+
+import "./Basket.sol";
+
+/**
+  * @title BasketDeployer -- Deploys and configures baskets on behalf of BasketFactory
+  * @author CoinAlpha, Inc. <contact@coinalpha.com>
+  * @dev Kept apart from BasketFactory, so that the factory does not embed Basket's bytecode and both stay under
+  *      the 24KB contract size limit. Baskets are fully configured within deployBasket, so the deployer holds no
+  *      lasting rights over them
+  */
+contract BasketDeployer {
+  address                 public basketExtension;     // BasketExtension every deployed basket delegates to
+
+  // Events
+  event LogBasketDeployed(address indexed basketAddress, address indexed deployer);
+
+  /// @dev BasketDeployer constructor
+  /// @param  _basketExtension                     Address of the BasketExtension deployed baskets delegate to
+  function BasketDeployer(address _basketExtension) public {
+    basketExtension = _basketExtension;
+  }
+
+  /// @dev Deploy a new basket and apply the settings that do not fit in its constructor
+  /// @param  _name                                Name of new basket
+  /// @param  _symbol                              Symbol of new basket
+  /// @param  _tokens                              Token addresses of new basket
+  /// @param  _weights                             Weight ratio addresses of new basket
+  /// @param  _addresses                           basketRegistry, kyc, arranger, arrangerFeeRecipient, arrangerFeeToken
+  /// @param  _settings                            arrangerFee, eligibilityRule, lockupPeriod, balanceCheckedMask,
+  ///                                              creationUnit (0 = keep the default)
+  /// @return deployed basket
+  function deployBasket(
+    string      _name,
+    string      _symbol,
+    address[]   _tokens,
+    uint[]      _weights,
+    address[5]  _addresses,
+    uint[5]     _settings
+  )
+    public
+    returns (address newBasket)
+  {
+    Basket b = new Basket(
+      _name,
+      _symbol,
+      _tokens,
+      _weights,
+      _addresses[0],                               // basket registry
+      _addresses[1],                               // kyc
+      _addresses[2],                               // arranger
+      _addresses[3],                               // arranger fee recipient
+      _settings[0],                                // arranger fee
+      _settings[1]                                 // eligibility rule
+    );
+    // set after deployment, as more constructor arguments would not fit on the stack
+    b.setBasketExtension(basketExtension);
+    if (_settings[2] > 0) {
+      b.setLockupPeriod(_settings[2]);
+    }
+    if (_settings[3] > 0) {
+      b.setBalanceCheckedComponents(_settings[3]);
+    }
+    if (_settings[4] > 0) {
+      b.setCreationUnit(_settings[4]);
+    }
+    if (_addresses[4] != address(0)) {
+      b.changeArrangerFeeToken(_addresses[4]);
+    }
+
+    emit LogBasketDeployed(b, msg.sender);
+    return b;
+  }
+
+  /// @dev Fallback to reject any ether sent to contract
+  //  Check: "BasketDeployer does not accept ETH transfers"
+  function () public payable { revert(); }
+}
@@ -18,7 +18,7 @@
 pragma solidity 0.4.21;
 
 import "./zeppelin/SafeMath.sol";
-import "./zeppelin/ERC20.sol";
+import "./SafeTransfer.sol";
 import "./BasketRegistry.sol";
 import "./Basket.sol";
 
@@ -26,12 +26,17 @@ import "./Basket.sol";
 /// @author CoinAlpha, Inc. <contact@coinalpha.com>
 contract BasketEscrow {
   using SafeMath for uint;
+  using SafeTransfer for address;
 
   // Constants set at contract inception
   address                 public admin;
   address                 public transactionFeeRecipient;
   uint                    public transactionFee;
   uint                    public FEE_DECIMALS;
+  uint                    public maxNavDeviation;             // Largest deviation of an order's price from NAV, in FEE_DECIMALS (0 = unchecked)
+  uint                    public constant BASKET_ACTIVE = 0;  // Basket.ACTIVE
+
+  bool                    public paused;                      // New orders and fills are refused while paused
 
   uint                    public orderIndex;
   address                 public basketRegistryAddress;
@@ -72,6 +77,18 @@ contract BasketEscrow {
     _;
   }
 
+  /// @dev For order creation and fills, check that the escrow is not paused
+  modifier whenNotPaused {
+    require(!paused);                                   // Check: "Escrow is paused"
+    _;
+  }
+
+  /// @dev For order creation, check that the basket is neither paused nor shut down
+  modifier onlyActiveBasket(address _basket) {
+    require(IBasket(_basket).status() == BASKET_ACTIVE);  // Check: "Basket is paused or shut down"
+    _;
+  }
+
   /// @dev For transactions resulting in token transfers, check that token recipient is whitelisted
   modifier onlyWhitelistedHolder(address _basket, address _address) {
     require(IBasket(_basket).isWhitelistedHolder(_address));
@@ -87,6 +104,9 @@ contract BasketEscrow {
   event LogSellOrderFilled(uint filledOrderIndex, address indexed sellOrderFiller, address indexed orderCreator, address basket, uint amountEth, uint amountBasket);
   event LogTransactionFeeRecipientChange(address oldRecipient, address newRecipient);
   event LogTransactionFeeChange(uint oldFee, uint newFee);
+  event LogPause(address indexed admin);
+  event LogUnpause(address indexed admin);
+  event LogMaxNavDeviationChange(uint oldMaxNavDeviation, uint newMaxNavDeviation);
 
   /// @dev BasketEscrow constructor
   /// @param  _basketRegistryAddress                     Address of basket registry
@@ -122,9 +142,12 @@ contract BasketEscrow {
   )
     public
     payable
+    whenNotPaused
+    onlyActiveBasket(_basketAddress)
     onlyWhitelistedHolder(_basketAddress, msg.sender)
     returns (bool success)
   {
+    _checkNavDeviation(_basketAddress, msg.value, _amountBasket);
     uint index = _createOrder(msg.sender, _basketAddress, _amountBasket, ETH_ADDRESS, msg.value, _expiration, _nonce);
 
     emit LogBuyOrderCreated(index, msg.sender, _basketAddress, msg.value, _amountBasket, _expiration, _nonce);
@@ -146,10 +169,13 @@ contract BasketEscrow {
     uint      _nonce
   )
     public
+    whenNotPaused
+    onlyActiveBasket(_basketAddress)
     onlyWhitelistedHolder(_basketAddress, msg.sender)
     returns (bool success)
   {
-    ERC20(_basketAddress).transferFrom(msg.sender, this, _amountBasket);
+    _checkNavDeviation(_basketAddress, _amountEth, _amountBasket);
+    _basketAddress.safeTransferFrom(msg.sender, this, _amountBasket);
     uint index = _createOrder(msg.sender, ETH_ADDRESS, _amountEth, _basketAddress, _amountBasket, _expiration, _nonce);
 
     emit LogSellOrderCreated(index, msg.sender, _basketAddress, _amountEth, _amountBasket, _expiration, _nonce);
@@ -192,6 +218,22 @@ contract BasketEscrow {
     return orderIndex.sub(1);
   }
 
+  /// @dev Contract internal function to check that an order is priced within maxNavDeviation of the basket's NAV
+  /// @param  _basketAddress                             Address of basket in the order
+  /// @param  _amountEth                                 Amount of ETH in the order
+  /// @param  _amountBasket                              Amount of baskets in the order
+  function _checkNavDeviation(address _basketAddress, uint _amountEth, uint _amountBasket) internal view {
+    if (maxNavDeviation == 0) { return; }
+    uint nav;
+    bool stale;
+    (nav, stale) = IBasket(_basketAddress).getNav();
+    require(!stale && nav > 0);                          // Check: "No current NAV for this basket"
+
+    uint price = _amountEth.mul(10 ** 18).div(_amountBasket);   // in wei per basket token
+    uint deviation = price > nav ? price - nav : nav - price;
+    require(deviation <= nav.mul(maxNavDeviation).div(10 ** FEE_DECIMALS));  // Check: "Order priced too far from NAV"
+  }
+
   /// @dev Cancel an existing buy order
   /// @param  _basketAddress                             Address of basket to purchase in original order
   /// @param  _amountBasket                              Amount of baskets to purchase in original order
@@ -221,6 +263,8 @@ contract BasketEscrow {
   }
 
   /// @dev Cancel an existing sell order
+  ///      If the basket has since been paused or shut down, the seller is no longer whitelisted, or the escrow can not
+  ///      transfer the baskets, the escrowed baskets are redeemed to the seller instead
   /// @param  _basketAddress                             Address of basket to sell in original order
   /// @param  _amountBasket                              Amount of baskets to sell in original order
   /// @param  _amountEth                                 Amount of ETH to receive in original order
@@ -236,7 +280,16 @@ contract BasketEscrow {
   ) public returns (bool success) {
     uint cancelledOrderIndex = _cancelOrder(msg.sender, ETH_ADDRESS, _amountEth, _basketAddress, _amountBasket, _expiration, _nonce);
 
-    ERC20(_basketAddress).transfer(msg.sender, _amountBasket);
+    IBasket basket = IBasket(_basketAddress);
+    if (
+      basket.status() == BASKET_ACTIVE &&
+      basket.isWhitelistedHolder(msg.sender) &&
+      basket.unlockedBalanceOf(this) >= _amountBasket
+    ) {
+      _basketAddress.safeTransfer(msg.sender, _amountBasket);
+    } else {
+      require(basket.debundleTo(msg.sender, _amountBasket));
+    }
 
     emit LogSellOrderCancelled(cancelledOrderIndex, msg.sender, _basketAddress, _amountEth, _amountBasket);
     return true;
@@ -289,9 +342,9 @@ contract BasketEscrow {
     uint      _amountEth,
     uint      _expiration,
     uint      _nonce
-  ) public onlyWhitelistedHolder(_basketAddress, msg.sender) returns (bool success) {
+  ) public whenNotPaused onlyWhitelistedHolder(_basketAddress, msg.sender) returns (bool success) {
     uint filledOrderIndex = _fillOrder(_orderCreator, _basketAddress, _amountBasket, ETH_ADDRESS, _amountEth, _expiration, _nonce);
-    ERC20(_basketAddress).transferFrom(msg.sender, _orderCreator, _amountBasket);
+    _basketAddress.safeTransferFrom(msg.sender, _orderCreator, _amountBasket);
 
     uint fee = _amountEth.mul(transactionFee).div(10 ** FEE_DECIMALS);
     msg.sender.transfer(_amountEth.sub(fee));
@@ -314,9 +367,10 @@ contract BasketEscrow {
     uint      _amountBasket,
     uint      _expiration,
     uint      _nonce
-  ) public payable onlyWhitelistedHolder(_basketAddress, msg.sender) returns (bool success) {
+  ) public payable whenNotPaused onlyWhitelistedHolder(_basketAddress, msg.sender) returns (bool success) {
+    require(!IBasket(_basketAddress).isFrozen(_orderCreator));  // Check: "Seller account is frozen"
     uint filledOrderIndex = _fillOrder(_orderCreator, ETH_ADDRESS, msg.value, _basketAddress, _amountBasket, _expiration, _nonce);
-    ERC20(_basketAddress).transfer(msg.sender, _amountBasket);
+    _basketAddress.safeTransfer(msg.sender, _amountBasket);
 
     uint fee = msg.value.mul(transactionFee).div(10 ** FEE_DECIMALS);
     _orderCreator.transfer(msg.value.sub(fee));
@@ -403,6 +457,37 @@ contract BasketEscrow {
     return true;
   }
 
+  /// @dev Change how far an order's price may deviate from the basket's NAV when it is created
+  /// @param  _newMaxNavDeviation                  New maximum deviation in FEE_DECIMALS, e.g. 5e16 = 5% (0 = unchecked)
+  /// @return success                              Operation successful
+  function changeMaxNavDeviation(uint _newMaxNavDeviation) public onlyAdmin returns (bool success) {
+    uint oldMaxNavDeviation = maxNavDeviation;
+    maxNavDeviation = _newMaxNavDeviation;
+
+    emit LogMaxNavDeviationChange(oldMaxNavDeviation, maxNavDeviation);
+    return true;
+  }
+
+  /// @dev Stop new orders and fills; orders can still be cancelled
+  /// @return success                              Operation successful
+  function pause() public onlyAdmin returns (bool success) {
+    require(!paused);                                    // Check: "Escrow is already paused"
+    paused = true;
+
+    emit LogPause(msg.sender);
+    return true;
+  }
+
+  /// @dev Resume new orders and fills
+  /// @return success                              Operation successful
+  function unpause() public onlyAdmin returns (bool success) {
+    require(paused);                                     // Check: "Escrow is not paused"
+    paused = false;
+
+    emit LogUnpause(msg.sender);
+    return true;
+  }
+
   /// @dev Fallback to reject any ether sent directly to contract
   //  Check: "BasketEscrow does not accept ETH transfers"
   function () public payable { revert(); }
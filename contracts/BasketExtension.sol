@@ -0,0 +1,441 @@
+/*
+
+  Copyright 2018 CoinAlpha, Inc.
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+
+*/
+
+pragma solidity 0.4.21;
+
+import "./BasketBase.sol";
+
+/// @title BasketExtension -- Functions Basket runs through DELEGATECALL, against the basket's own storage
+/// @author CoinAlpha, Inc. <contact@coinalpha.com>
+/// @dev Deployed once and shared by every basket; calling it directly only changes its own, unused storage
+contract BasketExtension is BasketBase {
+
+  /// @dev Convert basketTokens back to original tokens, paying out every component that can currently be transferred
+  ///      Components whose transfer fails (e.g. a paused token) are credited to the holder's outstanding balance
+  /// @param  _quantity                            Quantity of basket tokens to convert back to original tokens
+  /// @return success                              Operation successful
+  function debundleAndWithdrawAvailable(uint _quantity) public notFrozen(msg.sender) returns (bool success) {
+    _burn(msg.sender, _quantity, msg.sender);
+
+    for (uint i = 0; i < tokens.length; i++) {
+      address t = tokens[i];
+      uint amount = weights[i].mul(_quantity).div(10 ** decimals);
+      if (!t.tryTransfer(msg.sender, amount)) {
+        _creditOutstanding(msg.sender, t, amount);
+        emit LogComponentSkipped(msg.sender, t, amount);
+      }
+    }
+
+    emit LogDebundleAndWithdraw(msg.sender, _quantity);
+    return true;
+  }
+
+  /// @dev Convert basketTokens back to original tokens, withdrawing only some of the components straight away
+  ///      The remaining components are credited to the holder's outstanding balance, to be claimed later with withdraw
+  /// @param  _quantity                            Quantity of basket tokens to convert back to original tokens
+  /// @param  _tokensToWithdraw                    Components to transfer now
+  /// @return success                              Operation successful
+  function partialDebundle(uint _quantity, address[] _tokensToWithdraw) public notFrozen(msg.sender) returns (bool success) {
+    _burn(msg.sender, _quantity, msg.sender);
+
+    for (uint i = 0; i < tokens.length; i++) {
+      address t = tokens[i];
+      uint amount = weights[i].mul(_quantity).div(10 ** decimals);
+      if (_indexOf(_tokensToWithdraw, t) < _tokensToWithdraw.length) {
+        t.safeTransfer(msg.sender, amount);
+      } else {
+        _creditOutstanding(msg.sender, t, amount);
+      }
+    }
+
+    emit LogPartialDebundle(msg.sender, _quantity);
+    return true;
+  }
+
+  /// @dev Allow holder to convert baskets to its underlying tokens and withdraw them individually
+  /// @param  _quantity                            quantity of tokens to burn
+  /// @return success                              Operation successful
+  function burn(uint _quantity) public notFrozen(msg.sender) returns (bool success) {
+    _burn(msg.sender, _quantity, msg.sender);
+
+    // increase outstanding balance of each of the tokens by their weights
+    for (uint i = 0; i < tokens.length; i++) {
+      _creditOutstanding(msg.sender, tokens[i], weights[i].mul(_quantity).div(10 ** decimals));
+    }
+
+    return true;
+  }
+
+  /// @dev Allow holder to withdraw outstanding balances from contract (such as previously paused tokens)
+  /// @param  _token                               Address of token to withdraw
+  /// @return success                              Operation successful
+  function withdraw(address _token) public notFrozen(msg.sender) returns (bool success) {
+    uint bal = outstandingBalance[msg.sender][_token];
+    require(bal > 0);
+    outstandingBalance[msg.sender][_token] = 0;
+    totalOutstanding[_token] = totalOutstanding[_token].sub(bal);
+    _token.safeTransfer(msg.sender, bal);
+
+    emit LogWithdraw(msg.sender, _token, bal);
+    return true;
+  }
+
+  /// @dev Retry every outstanding balance of the current components; balances that still fail to transfer are kept
+  ///      Components removed by a rebalance can still be claimed individually with withdraw
+  /// @return success                              Operation successful
+  function withdrawAll() public notFrozen(msg.sender) returns (bool success) {
+    for (uint i = 0; i < tokens.length; i++) {
+      address t = tokens[i];
+      uint bal = outstandingBalance[msg.sender][t];
+      if (bal == 0) { continue; }
+
+      outstandingBalance[msg.sender][t] = 0;
+      if (t.tryTransfer(msg.sender, bal)) {
+        totalOutstanding[t] = totalOutstanding[t].sub(bal);
+        emit LogWithdraw(msg.sender, t, bal);
+      } else {
+        outstandingBalance[msg.sender][t] = bal;
+        emit LogComponentSkipped(msg.sender, t, bal);
+      }
+    }
+    return true;
+  }
+
+  /// @dev Share the basket's surplus of a token, such as an airdrop or income paid to the basket, among holders in
+  ///      proportion to their current balances; later transfers do not change the shares. Baskets listing this basket
+  ///      as a component and basket escrows get no share, as they hold their balances for others
+  /// @param  _token                               Address of the token to distribute
+  /// @return success                              Operation successful
+  function createDistribution(address _token) public onlyArrangerOrAdmin returns (bool success) {
+    _collectManagementFee();
+    distributions.create(_token, surplusOf(_token), totalSupply_, basketRegistry, now.add(DISTRIBUTION_CLAIM_PERIOD));
+    return true;
+  }
+
+  /// @dev Claim the caller's share of a distribution
+  /// @param  _distributionId                      Id of the distribution
+  /// @return success                              Operation successful
+  function claimDistribution(uint _distributionId) public notFrozen(msg.sender) returns (bool success) {
+    distributions.claim(msg.sender, balances[msg.sender], _distributionId);
+    return true;
+  }
+
+  /// @dev Release what holders have not claimed of a distribution, rounding dust included, once
+  ///      DISTRIBUTION_CLAIM_PERIOD has passed since its creation; the remainder becomes surplus again, which can be
+  ///      distributed anew or recovered
+  /// @param  _distributionId                      Id of the distribution
+  /// @return success                              Operation successful
+  function closeDistribution(uint _distributionId) public onlyArrangerOrAdmin returns (bool success) {
+    distributions.close(_distributionId);
+    return true;
+  }
+
+  /// @dev Send tokens that are not backing any basket tokens, such as tokens sent to the basket by mistake or excess
+  ///      collateral, to a recipient; only the surplus reported by surplusOf can be released. Tokens other than the
+  ///      components may be airdrops or income owed to holders, so only the protocol admin can recover them
+  /// @param  _token                               Address of the token to recover
+  /// @param  _recipient                           Address to send the tokens to
+  /// @param  _quantity                            Quantity to send
+  /// @return success                              Operation successful
+  function recoverTokens(address _token, address _recipient, uint _quantity) public onlyArrangerOrAdmin returns (bool success) {
+    require(_recipient != address(0));              // Check: "Invalid recipient"
+    // Check: "Only the protocol admin can recover tokens that are not components"
+    require(_indexOf(tokens, _token) < tokens.length || msg.sender == basketRegistry.admin());
+    // Check: "Quantity exceeds the surplus"
+    require(_quantity > 0 && _quantity <= surplusOf(_token));
+    _token.safeTransfer(_recipient, _quantity);
+
+    emit LogTokensRecovered(_token, _recipient, _quantity, msg.sender);
+    return true;
+  }
+
+  /// @dev Change the annual management fee; the fee accrued at the old rate is collected first
+  /// @param  _newFee                              New fee in basis points per year
+  /// @return success                              Operation successful
+  function changeManagementFee(uint _newFee) public onlyArranger returns (bool success) {
+    require(_newFee <= MAX_MANAGEMENT_FEE);         // Check: "Management fee above the maximum"
+    require(status != SHUTDOWN);                    // Check: "Basket is shut down"
+    _collectManagementFee();
+    lastFeeCollection = now;
+    uint oldFee = managementFee;
+    managementFee = _newFee;
+
+    emit LogManagementFeeChange(oldFee, managementFee);
+    return true;
+  }
+
+  /// @dev Stop bundling and transfers until unpaused; holders can still redeem
+  /// @return success                              Operation successful
+  function pause() public onlyArrangerOrAdmin returns (bool success) {
+    require(status == ACTIVE);                      // Check: "Basket is not active"
+    _setStatus(PAUSED);
+    return true;
+  }
+
+  /// @dev Resume bundling and transfers after a pause
+  /// @return success                              Operation successful
+  function unpause() public onlyArrangerOrAdmin returns (bool success) {
+    require(status == PAUSED);                      // Check: "Basket is not paused"
+    _setStatus(ACTIVE);
+    return true;
+  }
+
+  /// @dev Permanently stop bundling and transfers, leaving redemptions as the only way out of the basket
+  ///      The management fee accrued so far is collected and no further fee accrues
+  /// @return success                              Operation successful
+  function shutdown() public onlyArrangerOrAdmin returns (bool success) {
+    require(status != SHUTDOWN);                    // Check: "Basket is already shut down"
+    _collectManagementFee();
+    if (managementFee > 0) {
+      emit LogManagementFeeChange(managementFee, 0);
+      managementFee = 0;
+    }
+    _setStatus(SHUTDOWN);
+    return true;
+  }
+
+  /// @dev Propose new components and weights, which can be executed once REBALANCE_TIMELOCK has passed
+  ///      Holders who disagree can debundleAndWithdraw at the current composition in the meantime
+  /// @param  _tokens                              Array of ERC20 token addresses
+  /// @param  _weights                             Array of ERC20 token quantities
+  /// @return success                              Operation successful
+  function proposeRebalance(address[] _tokens, uint[] _weights) public onlyArranger returns (bool success) {
+    // Check: "Invalid number of tokens and weights"
+    require(_tokens.length > 0 && _tokens.length == _weights.length);
+    for (uint i = 0; i < _tokens.length; i++) {
+      // Check: "Tokens can only be listed once"
+      require(_indexOf(_tokens, _tokens[i]) == i);
+    }
+    require(_minCreationUnit(_weights) <= creationUnit);  // Check: "A component quantity rounds to zero"
+    // weights are proposed against the current supply, so the fee accrued up to now is scaled out of the old weights only
+    _collectManagementFee();
+
+    proposedTokens = _tokens;
+    proposedWeights = _weights;
+    rebalanceTime = now.add(REBALANCE_TIMELOCK);
+
+    emit LogRebalanceProposed(_tokens, _weights, rebalanceTime);
+    return true;
+  }
+
+  /// @dev Withdraw a pending rebalance proposal
+  /// @return success                              Operation successful
+  function cancelRebalance() public onlyArranger returns (bool success) {
+    require(rebalanceTime > 0);                     // Check: "No rebalance has been proposed"
+    delete proposedTokens;
+    delete proposedWeights;
+    rebalanceTime = 0;
+
+    emit LogRebalanceCancelled();
+    return true;
+  }
+
+  /// @dev Flag or unflag a token whose deposits are measured by the change in the basket's balance, such as a
+  ///      fee-on-transfer component a rebalance brings in; tokens the basket already holds can not be changed
+  /// @param  _token                               Address of the token
+  /// @param  _balanceChecked                      Whether the token is balance-checked
+  /// @return success                              Operation successful
+  function setBalanceCheckedToken(address _token, bool _balanceChecked) public onlyArranger returns (bool success) {
+    // Check: "Component already held"
+    require(totalSupply_ == 0 || _indexOf(tokens, _token) == tokens.length);
+    balanceChecked[_token] = _balanceChecked;
+
+    emit LogBalanceCheckedTokenSet(_token, _balanceChecked);
+    return true;
+  }
+
+  /// @dev Apply the proposed rebalance once its timelock has passed
+  ///      The caller supplies the additional component tokens the outstanding supply needs, which must be approved
+  ///      beforehand, and receives the component tokens it no longer needs
+  /// @return success                              Operation successful
+  function executeRebalance() public whenActive returns (bool success) {
+    require(rebalanceTime > 0 && now >= rebalanceTime);  // Check: "No rebalance is due"
+    _collectManagementFee();
+    uint i;
+    uint j;
+    uint held;
+    uint needed;
+
+    // take in the additional quantity of every component whose holdings increase
+    for (i = 0; i < proposedTokens.length; i++) {
+      j = _indexOf(tokens, proposedTokens[i]);
+      held = j < tokens.length ? weights[j].mul(totalSupply_).div(10 ** decimals) : 0;
+      needed = proposedWeights[i].mul(totalSupply_).div(10 ** decimals);
+      if (needed > held) {
+        _deposit(msg.sender, proposedTokens[i], needed - held);
+      }
+    }
+
+    // hand out the excess of every component whose holdings decrease
+    for (i = 0; i < tokens.length; i++) {
+      j = _indexOf(proposedTokens, tokens[i]);
+      held = weights[i].mul(totalSupply_).div(10 ** decimals);
+      needed = j < proposedTokens.length ? proposedWeights[j].mul(totalSupply_).div(10 ** decimals) : 0;
+      if (held > needed) {
+        tokens[i].safeTransfer(msg.sender, held - needed);
+      }
+    }
+
+    tokens = proposedTokens;
+    weights = proposedWeights;
+    delete proposedTokens;
+    delete proposedWeights;
+    rebalanceTime = 0;
+
+    basketRegistry.updateBasketComposition(tokens, weights);
+    emit LogRebalance(msg.sender, tokens, weights);
+    return true;
+  }
+
+  /// @dev depositAndBundle on behalf of a signer, submitted by a relayer
+  ///      Component tokens (and a token arranger fee) come from the signer, who must be whitelisted; an ETH arranger fee
+  ///      is paid by the relayer. The relayer fee is paid in basket tokens from the signer's unlocked balance
+  /// @param  _signer                              Address that signed the request
+  /// @param  _quantity                            Quantity of basket tokens to mint
+  /// @param  _relayerFee                          Quantity of basket tokens paid to the relayer
+  /// @param  _expiry                              Unix timestamp after which the request can not be submitted
+  /// @param  _nonce                               Nonce chosen by the signer, usable once
+  /// @param  _signature                           65-byte signature of getMetaTransactionHash
+  /// @return success                              Operation successful
+  function depositAndBundleBySig(
+    address   _signer,
+    uint      _quantity,
+    uint      _relayerFee,
+    uint      _expiry,
+    uint      _nonce,
+    bytes     _signature
+  ) public whenActive onlyWhitelistedHolder(_signer) payable returns (bool success) {
+    bytes32 hash = getMetaTransactionHash(META_BUNDLE, address(0), _quantity, _relayerFee, _expiry, _nonce);
+    _useMetaTransaction(_signer, hash, _expiry, _nonce, _signature);
+    require(_depositAndBundle(_signer, _signer, _quantity));
+    _payRelayer(_signer, _relayerFee);
+
+    emit LogDepositAndBundle(_signer, _quantity);
+    emit LogMetaTransaction(_signer, msg.sender, META_BUNDLE, _nonce, _relayerFee);
+    return true;
+  }
+
+  /// @dev debundleAndWithdraw on behalf of a signer, submitted by a relayer; components are sent to the signer
+  /// @param  _signer                              Address that signed the request
+  /// @param  _quantity                            Quantity of basket tokens to convert back to original tokens
+  /// @param  _relayerFee                          Quantity of basket tokens paid to the relayer
+  /// @param  _expiry                              Unix timestamp after which the request can not be submitted
+  /// @param  _nonce                               Nonce chosen by the signer, usable once
+  /// @param  _signature                           65-byte signature of getMetaTransactionHash
+  /// @return success                              Operation successful
+  function debundleAndWithdrawBySig(
+    address   _signer,
+    uint      _quantity,
+    uint      _relayerFee,
+    uint      _expiry,
+    uint      _nonce,
+    bytes     _signature
+  ) public notFrozen(_signer) returns (bool success) {
+    bytes32 hash = getMetaTransactionHash(META_DEBUNDLE, address(0), _quantity, _relayerFee, _expiry, _nonce);
+    _useMetaTransaction(_signer, hash, _expiry, _nonce, _signature);
+    _payRelayer(_signer, _relayerFee);
+    require(debundle(_quantity, _signer, _signer, 0));
+
+    emit LogDebundleAndWithdraw(_signer, _quantity);
+    emit LogMetaTransaction(_signer, msg.sender, META_DEBUNDLE, _nonce, _relayerFee);
+    return true;
+  }
+
+  /// @dev transfer on behalf of a signer, submitted by a relayer
+  /// @param  _signer                              Address that signed the request
+  /// @param  _to                                  receiver
+  /// @param  _value                               value to be transferred
+  /// @param  _relayerFee                          Quantity of basket tokens paid to the relayer
+  /// @param  _expiry                              Unix timestamp after which the request can not be submitted
+  /// @param  _nonce                               Nonce chosen by the signer, usable once
+  /// @param  _signature                           65-byte signature of getMetaTransactionHash
+  /// @return success                              Operation successful
+  function transferBySig(
+    address   _signer,
+    address   _to,
+    uint      _value,
+    uint      _relayerFee,
+    uint      _expiry,
+    uint      _nonce,
+    bytes     _signature
+  ) public whenActive notFrozen(_signer) onlyUnlocked(_signer, _value) onlyWhitelistedHolder(_to) returns (bool success) {
+    bytes32 hash = getMetaTransactionHash(META_TRANSFER, _to, _value, _relayerFee, _expiry, _nonce);
+    _useMetaTransaction(_signer, hash, _expiry, _nonce, _signature);
+    _transfer(_signer, _to, _value);
+    _payRelayer(_signer, _relayerFee);
+
+    emit LogMetaTransaction(_signer, msg.sender, META_TRANSFER, _nonce, _relayerFee);
+    return true;
+  }
+
+  /// @dev Contract internal function to change the basket state and record it in the registry
+  /// @param  _newStatus                           ACTIVE, PAUSED or SHUTDOWN
+  function _setStatus(uint _newStatus) internal {
+    uint oldStatus = status;
+    status = _newStatus;
+
+    basketRegistry.updateBasketStatus(status);
+    emit LogStatusChange(oldStatus, status, msg.sender);
+  }
+
+  /// @dev Contract internal function to credit a component to a holder's outstanding balance
+  /// @param  _holder                              Address of the holder
+  /// @param  _token                               Address of the component token
+  /// @param  _amount                              Quantity to credit
+  function _creditOutstanding(address _holder, address _token, uint _amount) internal {
+    outstandingBalance[_holder][_token] = outstandingBalance[_holder][_token].add(_amount);
+    totalOutstanding[_token] = totalOutstanding[_token].add(_amount);
+  }
+
+  /// @dev Contract internal function to check a meta-transaction signature and consume its nonce
+  /// @param  _signer                              Address that must have signed the request
+  /// @param  _hash                                getMetaTransactionHash of the request
+  /// @param  _expiry                              Unix timestamp after which the request can not be submitted
+  /// @param  _nonce                               Nonce chosen by the signer
+  /// @param  _signature                           65-byte signature
+  function _useMetaTransaction(address _signer, bytes32 _hash, uint _expiry, uint _nonce, bytes _signature) internal {
+    require(now <= _expiry);                        // Check: "Meta-transaction has expired"
+    require(!usedMetaNonces[_signer][_nonce]);      // Check: "Meta-transaction nonce has already been used"
+    require(_signature.length == 65);               // Check: "Invalid signature length"
+
+    bytes32 r;
+    bytes32 s;
+    uint8 v;
+    assembly {
+      r := mload(add(_signature, 32))
+      s := mload(add(_signature, 64))
+      v := byte(0, mload(add(_signature, 96)))
+    }
+    if (v < 27) { v += 27; }
+    address signer = ecrecover(keccak256("\x19Ethereum Signed Message:\n32", _hash), v, r, s);
+    require(signer != address(0) && signer == _signer);  // Check: "Meta-transaction not signed by the signer"
+
+    usedMetaNonces[_signer][_nonce] = true;
+  }
+
+  /// @dev Contract internal function to pay a relayer in basket tokens from a signer's unlocked balance
+  ///      Only while the basket is active, as basket tokens can not be transferred otherwise
+  /// @param  _signer                              Address paying the fee
+  /// @param  _relayerFee                          Quantity of basket tokens
+  function _payRelayer(address _signer, uint _relayerFee) internal {
+    if (_relayerFee == 0) { return; }
+    require(status == ACTIVE);                      // Check: "Relayer fees can not be paid while the basket is paused or shut down"
+    require(_relayerFee <= unlockedBalanceOf(_signer));  // Check: "Insufficient unlocked balance for relayer fee"
+    require(isWhitelistedHolder(msg.sender));        // Check: "Relayer must be whitelisted to receive basket tokens"
+    _transfer(_signer, msg.sender, _relayerFee);
+  }
+}
@@ -18,7 +18,8 @@
 pragma solidity 0.4.21;
 
 import "./zeppelin/SafeMath.sol";
-import "./Basket.sol";
+import "./SafeTransfer.sol";
+import "./BasketDeployer.sol";
 import "./BasketRegistry.sol";
 
 /**
@@ -27,15 +28,18 @@ import "./BasketRegistry.sol";
   */
 contract BasketFactory {
   using SafeMath for uint;
+  using SafeTransfer for address;
 
   address                       public admin;
   address                       public basketRegistryAddress;
+  address                       public basketDeployerAddress;
 
   address                       public productionFeeRecipient;
   uint                          public productionFee;
 
   // Modules
   IBasketRegistry               public basketRegistry;
+  BasketDeployer                public basketDeployer;
 
   // Modifiers
   modifier onlyAdmin {
@@ -50,8 +54,10 @@ contract BasketFactory {
 
   /// @dev BasketFactory constructor
   /// @param  _basketRegistryAddress               Address of basket registry
+  /// @param  _basketDeployerAddress               Address of basket deployer
   function BasketFactory(
     address   _basketRegistryAddress,
+    address   _basketDeployerAddress,
     address   _productionFeeRecipient,
     uint      _productionFee
   ) public {
@@ -59,12 +65,15 @@ contract BasketFactory {
 
     basketRegistryAddress = _basketRegistryAddress;
     basketRegistry = IBasketRegistry(_basketRegistryAddress);
+    basketDeployerAddress = _basketDeployerAddress;
+    basketDeployer = BasketDeployer(_basketDeployerAddress);
 
     productionFeeRecipient = _productionFeeRecipient;
     productionFee = _productionFee;
   }
 
   /// @dev Deploy a new basket
+  ///      Components that are registered baskets are recorded as such in the registry, which lets the new basket hold them
   /// @param  _name                                Name of new basket
   /// @param  _symbol                              Symbol of new basket
   /// @param  _tokens                              Token addresses of new basket
@@ -72,6 +81,13 @@ contract BasketFactory {
   /// @param  _arrangerFeeRecipient                Address to send arranger fees
   /// @param  _arrangerFee                         Amount of arranger fee to charge per basket minted
   /// @param  _kycAddress                          Address of the kyc contract
+  /// @param  _eligibilityRule                     KYC eligibility rule holders must satisfy (0 = whitelist only)
+  /// @param  _lockupPeriod                        Seconds for which minted tokens can not be transferred (0 = none)
+  /// @param  _balanceCheckedMask                  Bit i set = _tokens[i] is a fee-on-transfer or rebasing token whose
+  ///                                              deposits are measured by the change in the basket's balance
+  /// @param  _arrangerFeeToken                    ERC20 token the arranger fee is charged in (0x0 = ETH)
+  /// @param  _creationUnit                        Quantities minted and debundled must be multiples of this (0 = the
+  ///                                              smallest unit for which no component quantity rounds to zero)
   /// @return deployed basket
   function createBasket(
     string    _name,
@@ -80,7 +96,12 @@ contract BasketFactory {
     uint[]    _weights,
     address   _arrangerFeeRecipient,
     uint      _arrangerFee,
-    address   _kycAddress
+    address   _kycAddress,
+    uint      _eligibilityRule,
+    uint      _lockupPeriod,
+    uint      _balanceCheckedMask,
+    address   _arrangerFeeToken,
+    uint      _creationUnit
   )
     public
     payable
@@ -90,24 +111,74 @@ contract BasketFactory {
     require(msg.value >= productionFee);           // Check: "Insufficient ETH for basket creation fee"
     productionFeeRecipient.transfer(msg.value);
 
-    Basket b = new Basket(
+    // packed, as the parameters of this function already fill the stack
+    return _deployAndRegisterBasket(
       _name,
       _symbol,
       _tokens,
       _weights,
-      basketRegistryAddress,
-      _kycAddress,
-      msg.sender,                                  // arranger address
-      _arrangerFeeRecipient,
-      _arrangerFee
+      [basketRegistryAddress, _kycAddress, msg.sender, _arrangerFeeRecipient, _arrangerFeeToken],
+      [_arrangerFee, _eligibilityRule, _lockupPeriod, _balanceCheckedMask, _creationUnit]
     );
+  }
+
+  /// @dev Contract internal function to deploy a basket through the basket deployer and register it
+  /// @param  _name                                Name of new basket
+  /// @param  _symbol                              Symbol of new basket
+  /// @param  _tokens                              Token addresses of new basket
+  /// @param  _weights                             Weight ratio addresses of new basket
+  /// @param  _addresses                           basketRegistry, kyc, arranger, arrangerFeeRecipient, arrangerFeeToken
+  /// @param  _settings                            arrangerFee, eligibilityRule, lockupPeriod, balanceCheckedMask,
+  ///                                              creationUnit
+  /// @return deployed basket
+  function _deployAndRegisterBasket(
+    string      _name,
+    string      _symbol,
+    address[]   _tokens,
+    uint[]      _weights,
+    address[5]  _addresses,
+    uint[5]     _settings
+  )
+    internal
+    returns (address newBasket)
+  {
+    _checkComponents(_tokens, _weights, _settings[4]);
+    newBasket = basketDeployer.deployBasket(_name, _symbol, _tokens, _weights, _addresses, _settings);
+    _registerBasket(newBasket, _name, _symbol, _tokens, _weights);
+  }
 
+  /// @dev Contract internal function to check that every component is a contract, and that a creation unit of baskets
+  ///      takes at least one base unit of each; weights are in base units, so they already reflect each token's decimals
+  /// @param  _tokens                              Token addresses of new basket
+  /// @param  _weights                             Weight ratio addresses of new basket
+  /// @param  _creationUnit                        Creation unit of new basket (0 = the smallest safe unit)
+  function _checkComponents(address[] _tokens, uint[] _weights, uint _creationUnit) internal view {
+    require(_tokens.length == _weights.length);    // Check: "Invalid number of tokens and weights"
+    for (uint i = 0; i < _tokens.length; i++) {
+      require(_tokens[i].isContract());            // Check: "Component is not a contract"
+      // Check: "A component quantity rounds to zero"; baskets have 18 decimals
+      require(_weights[i] > 0 && (_creationUnit == 0 || _weights[i].mul(_creationUnit).div(10 ** 18) > 0));
+    }
+  }
+
+  /// @dev Contract internal function to add a newly deployed basket to the registry
+  /// @param  _basket                              Address of deployed basket
+  /// @param  _name                                Name of new basket
+  /// @param  _symbol                              Symbol of new basket
+  /// @param  _tokens                              Token addresses of new basket
+  /// @param  _weights                             Weight ratio addresses of new basket
+  function _registerBasket(
+    address   _basket,
+    string    _name,
+    string    _symbol,
+    address[] _tokens,
+    uint[]    _weights
+  ) internal {
     emit LogBasketCreated(
-      basketRegistry.registerBasket(b, msg.sender, _name, _symbol, _tokens, _weights),
-      b,
+      basketRegistry.registerBasket(_basket, msg.sender, _name, _symbol, _tokens, _weights),
+      _basket,
       msg.sender
     );
-    return b;
   }
 
   /// @dev Change recipient of production fees
@@ -27,8 +27,28 @@ contract IBasketRegistry {
   function getBasketArranger (address) public returns (address) {}
 
   // Called by Basket
-  function incrementBasketsMinted (uint, address) public returns (bool) {}
-  function incrementBasketsBurned (uint, address) public returns (bool) {}
+  function incrementBasketsMinted (uint, address, address) public returns (bool) {}
+  function incrementBasketsBurned (uint, address, address) public returns (bool) {}
+  function incrementBasketsFeeMinted (uint, address) public returns (bool) {}
+  function updateBasketComposition (address[], uint[]) public returns (bool) {}
+  function updateBasketWeights (uint[]) public returns (bool) {}
+  function updateBasketStatus (uint) public returns (bool) {}
+  function admin () public view returns (address) {}
+  function oracleRegistry () public view returns (address) {}
+  function isParentBasket (address, address) public view returns (bool) {}
+  function tokenBasketIndex (address, address) public view returns (uint) {}
+  function isCustodian (address, address) public view returns (bool) {}
+  function tokenBaskets (address, uint) public view returns (address) {}
+  function getTokenBasketCount (address) public view returns (uint) {}
+  function basketEscrows (uint) public view returns (address) {}
+  function getBasketEscrowCount () public view returns (uint) {}
+}
+
+contract IRegisteredBasket {
+  // Called by BasketRegistry
+  function holderCount() public view returns (uint) {}
+  function kyc() public view returns (address) {}
+  function eligibilityRule() public view returns (uint) {}
 }
 
 
@@ -42,6 +62,9 @@ contract BasketRegistry {
   // Constants set at contract inception
   address                           public admin;
   mapping(address => bool)          public basketFactoryMap;
+  mapping(address => bool)          public basketEscrowMap;       // BasketEscrow contracts holding baskets for sellers
+  address[]                         public basketEscrows;         // Whitelisted BasketEscrow contracts
+  address                           public oracleRegistry;        // OracleRegistry baskets value their components with
 
   uint                              public basketIndex;           // Baskets index starting from index = 1
   address[]                         public basketList;
@@ -53,6 +76,22 @@ contract BasketRegistry {
   mapping(address => uint)          public arrangerBasketCount;
   mapping(address => uint)          public arrangerIndexFromAddress;
 
+  // mapping of baskets to the baskets that list them as a component
+  // ADDRESS COMPONENT BASKET || ADDRESS PARENT BASKET || BOOL
+  mapping(address => mapping(address => bool)) public isParentBasket;
+
+  // mapping of arrangers to the baskets they created, oldest first
+  // ADDRESS ARRANGER || ADDRESS[] BASKETS
+  mapping(address => address[]) public arrangerBaskets;
+
+  // mapping of tokens to the baskets currently listing them as a component
+  // ADDRESS TOKEN || ADDRESS[] BASKETS
+  mapping(address => address[]) public tokenBaskets;
+
+  // mapping of tokens and baskets to the basket's position in tokenBaskets plus one (0 = not listed)
+  // ADDRESS TOKEN || ADDRESS BASKET || UINT INDEX
+  mapping(address => mapping(address => uint)) public tokenBasketIndex;
+
   // Structs
   struct BasketStruct {
     address   basketAddress;
@@ -63,6 +102,8 @@ contract BasketRegistry {
     uint[]    weights;
     uint      totalMinted;
     uint      totalBurned;
+    uint      totalFeeMinted;                        // basket tokens minted as management fees, not counted in totalMinted
+    uint      status;                                // Basket.ACTIVE, Basket.PAUSED or Basket.SHUTDOWN
   }
 
   // Modifiers
@@ -77,9 +118,16 @@ contract BasketRegistry {
 
   // Events
   event LogWhitelistBasketFactory(address basketFactory);
+  event LogWhitelistBasketEscrow(address basketEscrow);
+  event LogOracleRegistryChange(address oldOracleRegistry, address newOracleRegistry);
   event LogBasketRegistration(address basketAddress, uint basketIndex);
-  event LogIncrementBasketsMinted(address basketAddress, uint quantity, address sender);
-  event LogIncrementBasketsBurned(address basketAddress, uint quantity, address sender);
+  event LogIncrementBasketsMinted(address basketAddress, uint quantity, address sender, address holder);
+  event LogIncrementBasketsBurned(address basketAddress, uint quantity, address sender, address recipient);
+  event LogIncrementBasketsFeeMinted(address basketAddress, uint quantity, address recipient);
+  event LogBasketCompositionUpdate(address basketAddress, address[] tokens, uint[] weights);
+  event LogBasketWeightsUpdate(address basketAddress, uint[] weights);
+  event LogBasketStatusUpdate(address basketAddress, uint status);
+  event LogBasketComponentUpdate(address parentBasket, address componentBasket, bool isComponent);
 
   /// @dev BasketRegistry constructor
   function BasketRegistry() public {
@@ -98,6 +146,28 @@ contract BasketRegistry {
     return true;
   }
 
+  /// @dev Set basket escrow address after deployment, so that baskets let it redeem any quantity it holds for sellers
+  /// @param  _basketEscrow                        Basket escrow address
+  /// @return success                              Operation successful
+  function whitelistBasketEscrow(address _basketEscrow) public returns (bool success) {
+    require(msg.sender == admin);                  // Check: "Only an admin can call this function"
+    if (!basketEscrowMap[_basketEscrow]) { basketEscrows.push(_basketEscrow); }
+    basketEscrowMap[_basketEscrow] = true;
+    emit LogWhitelistBasketEscrow(_basketEscrow);
+    return true;
+  }
+
+  /// @dev Set the oracle registry used by Basket.getNav
+  /// @param  _oracleRegistry                      OracleRegistry address
+  /// @return success                              Operation successful
+  function setOracleRegistry(address _oracleRegistry) public returns (bool success) {
+    require(msg.sender == admin);                  // Check: "Only an admin can call this function"
+    address oldOracleRegistry = oracleRegistry;
+    oracleRegistry = _oracleRegistry;
+    emit LogOracleRegistryChange(oldOracleRegistry, oracleRegistry);
+    return true;
+  }
+
   /// @dev Add new basket to registry after being created in the basketFactory
   /// @param  _basketAddress                       Address of deployed basket
   /// @param  _arranger                            Address of basket admin
@@ -119,10 +189,15 @@ contract BasketRegistry {
     returns (uint index)
   {
     basketMap[_basketAddress] = BasketStruct(
-      _basketAddress, _arranger, _name, _symbol, _tokens, _weights, 0, 0
+      _basketAddress, _arranger, _name, _symbol, _tokens, _weights, 0, 0, 0, 0
     );
     basketList.push(_basketAddress);
     basketIndexFromAddress[_basketAddress] = basketIndex;
+    for (uint i = 0; i < _tokens.length; i++) {
+      _setParentBasket(_tokens[i], _basketAddress, true);
+      _setTokenBasket(_tokens[i], _basketAddress, true);
+    }
+    arrangerBaskets[_arranger].push(_basketAddress);
 
     if (arrangerBasketCount[_arranger] == 0) {
       arrangerList.push(_arranger);
@@ -143,6 +218,15 @@ contract BasketRegistry {
     return basketIndexFromAddress[_basketAddress] > 0;
   }
 
+  /// @dev Check if an address holds a basket's tokens on behalf of others: a basket listing it as a component, or a
+  ///      whitelisted basket escrow
+  /// @param  _basketAddress                       Address of the basket
+  /// @param  _holder                              Address holding the basket's tokens
+  /// @return isCustodian
+  function isCustodian(address _basketAddress, address _holder) public view returns (bool) {
+    return tokenBasketIndex[_basketAddress][_holder] > 0 || basketEscrowMap[_holder];
+  }
+
   /// @dev Retrieve basket info from the registry
   /// @param  _basketAddress                       Address of basket to check
   /// @return basketDetails
@@ -157,11 +241,22 @@ contract BasketRegistry {
       address[] tokens,
       uint[]    weights,
       uint      totalMinted,
-      uint      totalBurned
+      uint      totalBurned,
+      uint      holderCount
     )
   {
     BasketStruct memory b = basketMap[_basketAddress];
-    return (b.basketAddress, b.arranger, b.name, b.symbol, b.tokens, b.weights, b.totalMinted, b.totalBurned);
+    if (b.basketAddress != address(0)) {
+      holderCount = IRegisteredBasket(b.basketAddress).holderCount();
+    }
+    return (b.basketAddress, b.arranger, b.name, b.symbol, b.tokens, b.weights, b.totalMinted, b.totalBurned, holderCount);
+  }
+
+  /// @dev Look up whether a basket is active, paused or shut down
+  /// @param  _basketAddress                       Address of basket to check
+  /// @return status                               Basket.ACTIVE (0), Basket.PAUSED (1) or Basket.SHUTDOWN (2)
+  function getBasketStatus(address _basketAddress) public view returns (uint) {
+    return basketMap[_basketAddress].status;
   }
 
   /// @dev Look up a basket's arranger
@@ -171,26 +266,220 @@ contract BasketRegistry {
     return basketMap[_basketAddress].arranger;
   }
 
+  /// @dev Get the number of registered baskets
+  /// @return count                                Number of baskets
+  function getBasketCount() public view returns (uint count) {
+    return basketList.length;
+  }
+
+  /// @dev Get the number of whitelisted basket escrows
+  /// @return count                                Number of basket escrows
+  function getBasketEscrowCount() public view returns (uint count) {
+    return basketEscrows.length;
+  }
+
+  /// @dev Get the number of baskets currently listing a token as a component
+  /// @param  _token                               Token address
+  /// @return count                                Number of baskets
+  function getTokenBasketCount(address _token) public view returns (uint count) {
+    return tokenBaskets[_token].length;
+  }
+
+  /// @dev Read a page of registered baskets, in order of registration
+  /// @param  _start                               Index of the first basket to return
+  /// @param  _count                               Maximum number of baskets to return
+  /// @return baskets, arrangers, totalMinted, totalBurned, statuses of each basket
+  function getBaskets(uint _start, uint _count)
+    public
+    view
+    returns (address[], address[], uint[], uint[], uint[])
+  {
+    return _getBasketSummaries(basketList, _start, _count);
+  }
+
+  /// @dev Read a page of the baskets an arranger created, in order of registration; count them with arrangerBasketCount
+  /// @param  _arranger                            Arranger address
+  /// @param  _start                               Index of the first basket to return
+  /// @param  _count                               Maximum number of baskets to return
+  /// @return baskets, arrangers, totalMinted, totalBurned, statuses of each basket
+  function getBasketsByArranger(address _arranger, uint _start, uint _count)
+    public
+    view
+    returns (address[], address[], uint[], uint[], uint[])
+  {
+    return _getBasketSummaries(arrangerBaskets[_arranger], _start, _count);
+  }
+
+  /// @dev Read a page of the baskets currently listing a token as a component
+  ///      Removing a basket moves the last one into its place, so pages can shift when baskets rebalance
+  /// @param  _token                               Token address
+  /// @param  _start                               Index of the first basket to return
+  /// @param  _count                               Maximum number of baskets to return
+  /// @return baskets, arrangers, totalMinted, totalBurned, statuses of each basket
+  function getBasketsByToken(address _token, uint _start, uint _count)
+    public
+    view
+    returns (address[], address[], uint[], uint[], uint[])
+  {
+    return _getBasketSummaries(tokenBaskets[_token], _start, _count);
+  }
+
   /// @dev Increment totalMinted from BasketStruct
   /// @param  _quantity                            Quantity to increment
-  /// @param  _sender                              Address that bundled tokens
+  /// @param  _sender                              Address that supplied the component tokens
+  /// @param  _holder                              Address the basket tokens were minted to
   /// @return success                              Operation successful
-  function incrementBasketsMinted(uint _quantity, address _sender) public onlyBasket returns (bool) {
+  function incrementBasketsMinted(uint _quantity, address _sender, address _holder) public onlyBasket returns (bool) {
     basketMap[msg.sender].totalMinted = basketMap[msg.sender].totalMinted.add(_quantity);
-    emit LogIncrementBasketsMinted(msg.sender, _quantity, _sender);
+    emit LogIncrementBasketsMinted(msg.sender, _quantity, _sender, _holder);
     return true;
   }
 
   /// @dev Increment totalBurned from BasketStruct
   /// @param  _quantity                            Quantity to increment
-  /// @param  _sender                              Address that debundled tokens
+  /// @param  _sender                              Address whose basket tokens were burned
+  /// @param  _recipient                           Address the component tokens were sent or credited to
   /// @return success                              Operation successful
-  function incrementBasketsBurned(uint _quantity, address _sender) public onlyBasket returns (bool) {
+  function incrementBasketsBurned(uint _quantity, address _sender, address _recipient) public onlyBasket returns (bool) {
     basketMap[msg.sender].totalBurned = basketMap[msg.sender].totalBurned.add(_quantity);
-    emit LogIncrementBasketsBurned(msg.sender, _quantity, _sender);
+    emit LogIncrementBasketsBurned(msg.sender, _quantity, _sender, _recipient);
+    return true;
+  }
+
+  /// @dev Increment totalFeeMinted from BasketStruct
+  /// @param  _quantity                            Quantity to increment
+  /// @param  _recipient                           Address the management fee was minted to
+  /// @return success                              Operation successful
+  function incrementBasketsFeeMinted(uint _quantity, address _recipient) public onlyBasket returns (bool) {
+    basketMap[msg.sender].totalFeeMinted = basketMap[msg.sender].totalFeeMinted.add(_quantity);
+    emit LogIncrementBasketsFeeMinted(msg.sender, _quantity, _recipient);
+    return true;
+  }
+
+  /// @dev Replace the tokens and weights recorded for a basket after it rebalances
+  /// @param  _tokens                              Token address array
+  /// @param  _weights                             Weight ratio array
+  /// @return success                              Operation successful
+  function updateBasketComposition(address[] _tokens, uint[] _weights) public onlyBasket returns (bool) {
+    // unlist component baskets the parent no longer holds
+    address[] storage oldTokens = basketMap[msg.sender].tokens;
+    uint i;
+    bool kept;
+    for (i = 0; i < oldTokens.length; i++) {
+      kept = false;
+      for (uint j = 0; j < _tokens.length; j++) {
+        if (_tokens[j] == oldTokens[i]) { kept = true; }
+      }
+      if (!kept) {
+        _setParentBasket(oldTokens[i], msg.sender, false);
+        _setTokenBasket(oldTokens[i], msg.sender, false);
+      }
+    }
+    for (i = 0; i < _tokens.length; i++) {
+      _setParentBasket(_tokens[i], msg.sender, true);
+      _setTokenBasket(_tokens[i], msg.sender, true);
+    }
+    basketMap[msg.sender].tokens = _tokens;
+    basketMap[msg.sender].weights = _weights;
+    emit LogBasketCompositionUpdate(msg.sender, _tokens, _weights);
     return true;
   }
 
+  /// @dev Replace the weights recorded for a basket whose tokens are unchanged, e.g. after a management fee is minted
+  /// @param  _weights                             Weight ratio array, in the order of the recorded tokens
+  /// @return success                              Operation successful
+  function updateBasketWeights(uint[] _weights) public onlyBasket returns (bool) {
+    require(_weights.length == basketMap[msg.sender].tokens.length);  // Check: "Invalid number of weights"
+    basketMap[msg.sender].weights = _weights;
+    emit LogBasketWeightsUpdate(msg.sender, _weights);
+    return true;
+  }
+
+  /// @dev Record that a basket was paused, unpaused or shut down
+  /// @param  _status                              New basket status
+  /// @return success                              Operation successful
+  function updateBasketStatus(uint _status) public onlyBasket returns (bool) {
+    basketMap[msg.sender].status = _status;
+    emit LogBasketStatusUpdate(msg.sender, _status);
+    return true;
+  }
+
+  /// @dev Contract internal function to record whether a parent basket lists a component, if the component is a basket
+  ///      Parents are only recorded if they apply the component's holder checks, as recorded parents are exempt from them
+  /// @param  _component                           Component token of the parent basket
+  /// @param  _parent                              Parent basket
+  /// @param  _isComponent                         Whether the parent now lists the component
+  function _setParentBasket(address _component, address _parent, bool _isComponent) internal {
+    if (basketIndexFromAddress[_component] == 0 || isParentBasket[_component][_parent] == _isComponent) { return; }
+    if (_isComponent && !_appliesHolderChecks(_parent, _component)) { return; }
+
+    isParentBasket[_component][_parent] = _isComponent;
+    emit LogBasketComponentUpdate(_parent, _component, _isComponent);
+  }
+
+  /// @dev Contract internal function to check that a parent basket is at least as strict with its holders as a component
+  ///      basket: it uses the same KYC module and, if the component has an eligibility rule, the same rule
+  /// @param  _parent                              Parent basket
+  /// @param  _component                           Component basket
+  /// @return appliesHolderChecks
+  function _appliesHolderChecks(address _parent, address _component) internal view returns (bool) {
+    address componentKyc = IRegisteredBasket(_component).kyc();
+    if (componentKyc == address(0)) { return true; }
+    uint componentRule = IRegisteredBasket(_component).eligibilityRule();
+    return IRegisteredBasket(_parent).kyc() == componentKyc &&
+      (componentRule == 0 || IRegisteredBasket(_parent).eligibilityRule() == componentRule);
+  }
+
+  /// @dev Contract internal function to record whether a basket currently lists a token as a component
+  /// @param  _token                               Component token
+  /// @param  _basket                              Basket address
+  /// @param  _listed                              Whether the basket now lists the token
+  function _setTokenBasket(address _token, address _basket, bool _listed) internal {
+    address[] storage baskets = tokenBaskets[_token];
+    uint index = tokenBasketIndex[_token][_basket];
+    if (_listed && index == 0) {
+      baskets.push(_basket);
+      tokenBasketIndex[_token][_basket] = baskets.length;
+    } else if (!_listed && index > 0) {
+      // move the last basket into the vacated slot
+      address lastBasket = baskets[baskets.length - 1];
+      baskets[index - 1] = lastBasket;
+      tokenBasketIndex[_token][lastBasket] = index;
+      baskets.length--;
+      tokenBasketIndex[_token][_basket] = 0;
+    }
+  }
+
+  /// @dev Contract internal function to read a page of a list of baskets with their registry data
+  /// @param  _list                                Basket addresses
+  /// @param  _start                               Index of the first basket to return
+  /// @param  _count                               Maximum number of baskets to return
+  /// @return baskets, arrangers, totalMinted, totalBurned, statuses of each basket
+  function _getBasketSummaries(address[] storage _list, uint _start, uint _count)
+    internal
+    view
+    returns (address[] baskets, address[] arrangers, uint[] totalMinted, uint[] totalBurned, uint[] statuses)
+  {
+    uint end = _start.add(_count);
+    if (end > _list.length) { end = _list.length; }
+    if (_start >= end) { return (baskets, arrangers, totalMinted, totalBurned, statuses); }
+
+    baskets = new address[](end - _start);
+    arrangers = new address[](end - _start);
+    totalMinted = new uint[](end - _start);
+    totalBurned = new uint[](end - _start);
+    statuses = new uint[](end - _start);
+    for (uint i = _start; i < end; i++) {
+      BasketStruct storage b = basketMap[_list[i]];
+      baskets[i - _start] = b.basketAddress;
+      arrangers[i - _start] = b.arranger;
+      totalMinted[i - _start] = b.totalMinted;
+      totalBurned[i - _start] = b.totalBurned;
+      statuses[i - _start] = b.status;
+    }
+    return (baskets, arrangers, totalMinted, totalBurned, statuses);
+  }
+
   /// @dev Fallback to reject any ether sent to contract
   //  CHeck: "BasketRegistry does not accept ETH transfers"
   function () public payable { revert(); }
@@ -0,0 +1,233 @@
+/*
+
+  Copyright 2018 CoinAlpha, Inc.
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+
+*/
+
+pragma solidity 0.4.21;
+
+import "./zeppelin/Ownable.sol";
+import "./KYC.sol";
+
+/// @title ComplianceRegistry -- Combines several KYC providers and deny lists behind the IKYC interface
+/// @author CoinAlpha, Inc. <contact@coinalpha.com>
+contract ComplianceRegistry is Ownable {
+
+  // Provider combination modes
+  uint                    public constant ALL_OF = 0;   // Holders must be approved by every provider
+  uint                    public constant ANY_OF = 1;   // Holders must be approved by at least one provider
+
+  // public variables
+  uint                    public mode;
+  address[]               public providers;           // IKYC contracts whose approvals are combined
+  address[]               public denyLists;           // KYC contracts whose listed holders are denied
+
+  // mapping of providers and deny lists to their position in providers / denyLists plus one (0 = not added)
+  // ADDRESS PROVIDER || UINT INDEX
+  mapping(address => uint) public providerIndex;
+  mapping(address => uint) public denyListIndex;
+
+  // mapping of providers that only implement isWhitelistedHolder, detected when they are added
+  // ADDRESS PROVIDER || BOOL LEGACY
+  mapping(address => bool) public legacyProvider;
+
+  // Events
+  event LogProviderAdded(address indexed provider);
+  event LogProviderRemoved(address indexed provider);
+  event LogDenyListAdded(address indexed denyList);
+  event LogDenyListRemoved(address indexed denyList);
+  event LogModeChange(uint oldMode, uint newMode);
+
+  /// @dev ComplianceRegistry constructor; the deployer (usually the basket arranger) manages providers
+  /// @param  _mode                                ALL_OF or ANY_OF
+  function ComplianceRegistry(uint _mode) public {
+    require(_mode == ALL_OF || _mode == ANY_OF);   // Check: "Unknown mode"
+    owner = msg.sender;
+    mode = _mode;
+  }
+
+  /// @dev Check if a holder is approved by the providers under the current mode and is not on any deny list
+  /// @param  _holder                              holder address
+  /// @return isWhitelisted                        is whitelisted
+  function isWhitelistedHolder(address _holder) public view returns (bool) {
+    return isEligibleHolder(_holder, 0);
+  }
+
+  /// @dev Check if a holder satisfies an eligibility rule under the current mode and is not on any deny list
+  ///      The rule id is passed to every provider, so providers combined with a rule must share it. Legacy providers can
+  ///      not check rules: under ALL_OF they only add a whitelist check, under ANY_OF they only approve for rule 0
+  /// @param  _holder                              holder address
+  /// @param  _ruleId                              eligibility rule to check against (0 = whitelist only)
+  /// @return isEligible                           is eligible
+  function isEligibleHolder(address _holder, uint _ruleId) public view returns (bool) {
+    if (providers.length == 0 || isDenied(_holder)) { return false; }
+
+    bool ruleChecked = _ruleId == 0;
+    for (uint i = 0; i < providers.length; i++) {
+      bool approved;
+      if (legacyProvider[providers[i]]) {
+        approved = (_ruleId == 0 || mode == ALL_OF) && IKYC(providers[i]).isWhitelistedHolder(_holder);
+      } else {
+        approved = IKYC(providers[i]).isEligibleHolder(_holder, _ruleId);
+        ruleChecked = true;
+      }
+      if (mode == ANY_OF && approved) { return true; }
+      if (mode == ALL_OF && !approved) { return false; }
+    }
+    // under ALL_OF, a rule must have been checked by at least one provider
+    return mode == ALL_OF && ruleChecked;
+  }
+
+  /// @dev Check if a holder appears on any deny list; listings are read without their expiry, so that a denial holds
+  ///      until the holder is removed from the list rather than lapsing with the list's validity period
+  /// @param  _holder                              holder address
+  /// @return denied                               holder is denied
+  function isDenied(address _holder) public view returns (bool) {
+    for (uint i = 0; i < denyLists.length; i++) {
+      if (IKYC(denyLists[i]).whitelistExpiry(_holder) > 0) { return true; }
+    }
+    return false;
+  }
+
+  /// @dev Check if a holder is frozen by any provider or appears on any deny list; legacy providers can not freeze
+  /// @param  _holder                              holder address
+  /// @return isFrozen                             account is frozen
+  function isFrozen(address _holder) public view returns (bool) {
+    for (uint i = 0; i < providers.length; i++) {
+      if (!legacyProvider[providers[i]] && IKYC(providers[i]).isFrozen(_holder)) { return true; }
+    }
+    return isDenied(_holder);
+  }
+
+  /// @dev Check if an account is a compliance officer of the registry itself, which only its owner is
+  /// @param  _account                             account to check
+  /// @return isComplianceOfficer                  account is the owner
+  function isComplianceOfficer(address _account) public view returns (bool) {
+    return _account == owner;
+  }
+
+  /// @dev Check if an account may force Basket transfers out of a holder's account: the owner, or a compliance officer
+  ///      of a provider that approves the holder, so that one provider's officers can not move other providers' holders
+  ///      Legacy providers have no compliance officers
+  /// @param  _account                             account to check
+  /// @param  _holder                              holder whose tokens would be moved
+  /// @return isComplianceOfficer                  account may force transfers from the holder
+  function isComplianceOfficerFor(address _account, address _holder) public view returns (bool) {
+    if (_account == owner) { return true; }
+    for (uint i = 0; i < providers.length; i++) {
+      IKYC provider = IKYC(providers[i]);
+      if (legacyProvider[provider]) { continue; }
+      if (provider.isComplianceOfficer(_account) && provider.isWhitelistedHolder(_holder)) { return true; }
+    }
+    return false;
+  }
+
+  /// @dev Get the number of providers
+  /// @return count                                Number of providers
+  function getProviderCount() public view returns (uint) {
+    return providers.length;
+  }
+
+  /// @dev Get the number of deny lists
+  /// @return count                                Number of deny lists
+  function getDenyListCount() public view returns (uint) {
+    return denyLists.length;
+  }
+
+  /// @dev Add a KYC provider
+  ///      Providers that do not implement isEligibleHolder, isFrozen and isComplianceOfficer are recorded as legacy
+  ///      providers and only asked isWhitelistedHolder
+  /// @param  _provider                            Address of an IKYC contract
+  /// @return success                              Operation successful
+  function addProvider(address _provider) public onlyOwner returns (bool success) {
+    // Check: "Invalid provider or provider already added"
+    require(_provider != address(0) && providerIndex[_provider] == 0);
+    providers.push(_provider);
+    providerIndex[_provider] = providers.length;
+    legacyProvider[_provider] = !(
+      _provider.call(bytes4(keccak256("isEligibleHolder(address,uint256)")), address(0), uint(0)) &&
+      _provider.call(bytes4(keccak256("isFrozen(address)")), address(0)) &&
+      _provider.call(bytes4(keccak256("isComplianceOfficer(address)")), address(0))
+    );
+
+    emit LogProviderAdded(_provider);
+    return true;
+  }
+
+  /// @dev Remove a KYC provider
+  /// @param  _provider                            Address of an IKYC contract
+  /// @return success                              Operation successful
+  function removeProvider(address _provider) public onlyOwner returns (bool success) {
+    uint index = providerIndex[_provider];
+    require(index > 0);                            // Check: "Provider has not been added"
+
+    // move the last provider into the vacated slot
+    address lastProvider = providers[providers.length - 1];
+    providers[index - 1] = lastProvider;
+    providerIndex[lastProvider] = index;
+    providers.length--;
+    providerIndex[_provider] = 0;
+    legacyProvider[_provider] = false;
+
+    emit LogProviderRemoved(_provider);
+    return true;
+  }
+
+  /// @dev Add a deny list; holders whitelisted on it are refused regardless of provider approvals
+  /// @param  _denyList                            Address of an IKYC contract
+  /// @return success                              Operation successful
+  function addDenyList(address _denyList) public onlyOwner returns (bool success) {
+    // Check: "Invalid deny list or deny list already added"
+    require(_denyList != address(0) && denyListIndex[_denyList] == 0);
+    denyLists.push(_denyList);
+    denyListIndex[_denyList] = denyLists.length;
+
+    emit LogDenyListAdded(_denyList);
+    return true;
+  }
+
+  /// @dev Remove a deny list
+  /// @param  _denyList                            Address of an IKYC contract
+  /// @return success                              Operation successful
+  function removeDenyList(address _denyList) public onlyOwner returns (bool success) {
+    uint index = denyListIndex[_denyList];
+    require(index > 0);                            // Check: "Deny list has not been added"
+
+    // move the last deny list into the vacated slot
+    address lastDenyList = denyLists[denyLists.length - 1];
+    denyLists[index - 1] = lastDenyList;
+    denyListIndex[lastDenyList] = index;
+    denyLists.length--;
+    denyListIndex[_denyList] = 0;
+
+    emit LogDenyListRemoved(_denyList);
+    return true;
+  }
+
+  /// @dev Change how provider approvals are combined
+  /// @param  _newMode                             ALL_OF or ANY_OF
+  /// @return success                              Operation successful
+  function setMode(uint _newMode) public onlyOwner returns (bool success) {
+    require(_newMode == ALL_OF || _newMode == ANY_OF);  // Check: "Unknown mode"
+    uint oldMode = mode;
+    mode = _newMode;
+
+    emit LogModeChange(oldMode, mode);
+    return true;
+  }
+
+  /// @dev Fallback to reject any ether sent to contract
+  //  Check: "ComplianceRegistry does not accept ETH transfers"
+  function () public payable { revert(); }
+}
@@ -0,0 +1,195 @@
+/*
+
+  Copyright 2018 CoinAlpha, Inc.
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+
+*/
+
+pragma solidity 0.4.21;
+
+import "./zeppelin/SafeMath.sol";
+import "./zeppelin/ERC20.sol";
+import "./SafeTransfer.sol";
+import "./BasketRegistry.sol";
+
+/// @title Distributions -- Pro-rata distributions of surplus tokens to basket holders, using balance checkpoints
+/// @author CoinAlpha, Inc. <contact@coinalpha.com>
+/// @dev Linked into Basket rather than inlined, to keep Basket under the contract size limit; functions run in the
+///      basket's context, so tokens are paid out of the basket's own balance
+library Distributions {
+  using SafeMath for uint;
+  using SafeTransfer for address;
+
+  // Structs
+  struct Distribution {
+    address   token;
+    uint      amount;                               // Quantity of token shared among holders
+    uint      totalSupply;                          // Basket tokens in issue when the distribution was created
+    uint      claimed;                              // Quantity of token paid out so far
+    uint      closeTime;                            // Unix timestamp from which the unclaimed remainder can be released
+    bool      closed;                               // Unclaimed remainder released; nothing more can be claimed
+  }
+
+  struct Checkpoint {
+    uint      distributionCount;                    // Number of distributions when the balance first changed afterwards
+    uint      balance;                              // Balance held before that change
+  }
+
+  struct Data {
+    Distribution[] list;
+    // ADDRESS HOLDER || CHECKPOINT[] CHECKPOINTS, oldest first
+    mapping(address => Checkpoint[]) checkpoints;
+    // ADDRESS HOLDER || UINT DISTRIBUTION ID || BOOL CLAIMED
+    mapping(address => mapping(uint => bool)) claimed;
+    // ADDRESS TOKEN || UINT QUANTITY distributed but not yet claimed
+    mapping(address => uint) reserved;
+  }
+
+  // Events, emitted from the basket's address
+  event LogDistributionCreated(uint indexed distributionId, address indexed token, uint amount, uint totalSupply, address createdBy);
+  event LogDistributionClaimed(uint indexed distributionId, address indexed holder, uint amount);
+  event LogDistributionClosed(uint indexed distributionId, uint remainder, address closedBy);
+
+  /// @dev Record a holder's balance before it changes, if it has not changed since the last distribution
+  /// @param  self                                 Distribution data of the basket
+  /// @param  _holder                              holder address
+  /// @param  _balance                             balance before the change
+  function checkpoint(Data storage self, address _holder, uint _balance) public {
+    uint count = self.list.length;
+    Checkpoint[] storage holderCheckpoints = self.checkpoints[_holder];
+    uint length = holderCheckpoints.length;
+    if (length > 0 && holderCheckpoints[length - 1].distributionCount == count) { return; }
+    holderCheckpoints.push(Checkpoint(count, _balance));
+  }
+
+  /// @dev Register a quantity of tokens held by the basket as a new distribution among holders other than the custodians
+  ///      recorded in the basket registry, which can not claim for the holders they hold basket tokens for
+  /// @param  self                                 Distribution data of the basket
+  /// @param  _token                               Address of the distributed token
+  /// @param  _amount                              Quantity to distribute
+  /// @param  _totalSupply                         Basket tokens in issue
+  /// @param  _basketRegistry                      Basket registry recording parent baskets and basket escrows
+  /// @param  _closeTime                           Unix timestamp from which the unclaimed remainder can be released
+  /// @return distributionId                       Id of the new distribution
+  function create(
+    Data storage self,
+    address _token,
+    uint _amount,
+    uint _totalSupply,
+    IBasketRegistry _basketRegistry,
+    uint _closeTime
+  ) public returns (uint distributionId) {
+    distributionId = self.list.length;
+    uint count = _basketRegistry.getTokenBasketCount(this);
+    for (uint i = 0; i < count; i++) {
+      _totalSupply = _exclude(self, _basketRegistry.tokenBaskets(this, i), _totalSupply);
+    }
+    count = _basketRegistry.getBasketEscrowCount();
+    for (i = 0; i < count; i++) {
+      _totalSupply = _exclude(self, _basketRegistry.basketEscrows(i), _totalSupply);
+    }
+
+    require(_amount > 0 && _totalSupply > 0);       // Check: "Nothing to distribute or no basket tokens in issue"
+    self.list.push(Distribution(_token, _amount, _totalSupply, 0, _closeTime, false));
+    self.reserved[_token] = self.reserved[_token].add(_amount);
+
+    emit LogDistributionCreated(distributionId, _token, _amount, _totalSupply, msg.sender);
+    return distributionId;
+  }
+
+  /// @dev Pay a holder its share of a distribution
+  /// @param  self                                 Distribution data of the basket
+  /// @param  _holder                              holder address
+  /// @param  _balance                             current balance of the holder
+  /// @param  _distributionId                      Id of the distribution
+  /// @return amount                               Quantity paid
+  function claim(Data storage self, address _holder, uint _balance, uint _distributionId) public returns (uint amount) {
+    require(!self.claimed[_holder][_distributionId]);  // Check: "Distribution already claimed"
+    amount = claimable(self, _holder, _balance, _distributionId);
+    require(amount > 0);                            // Check: "Nothing to claim"
+
+    Distribution storage d = self.list[_distributionId];
+    self.claimed[_holder][_distributionId] = true;
+    d.claimed = d.claimed.add(amount);
+    self.reserved[d.token] = self.reserved[d.token].sub(amount);
+    d.token.safeTransfer(_holder, amount);
+
+    emit LogDistributionClaimed(_distributionId, _holder, amount);
+    return amount;
+  }
+
+  /// @dev Release the unclaimed remainder of a distribution, rounding dust included, once its claim period is over
+  ///      Nothing more can be claimed from it; the remainder counts towards the basket's surplus again
+  /// @param  self                                 Distribution data of the basket
+  /// @param  _distributionId                      Id of the distribution
+  /// @return remainder                            Quantity released
+  function close(Data storage self, uint _distributionId) public returns (uint remainder) {
+    require(_distributionId < self.list.length);    // Check: "Distribution does not exist"
+    Distribution storage d = self.list[_distributionId];
+    require(!d.closed && now >= d.closeTime);       // Check: "Distribution closed or still open for claims"
+    d.closed = true;
+    remainder = d.amount.sub(d.claimed);
+    self.reserved[d.token] = self.reserved[d.token].sub(remainder);
+
+    emit LogDistributionClosed(_distributionId, remainder, msg.sender);
+    return remainder;
+  }
+
+  /// @dev Get a holder's unclaimed share of a distribution
+  /// @param  self                                 Distribution data of the basket
+  /// @param  _holder                              holder address
+  /// @param  _balance                             current balance of the holder
+  /// @param  _distributionId                      Id of the distribution
+  /// @return amount                               Quantity the holder can claim
+  function claimable(Data storage self, address _holder, uint _balance, uint _distributionId) public view returns (uint) {
+    Distribution storage d = self.list[_distributionId];
+    if (self.claimed[_holder][_distributionId] || d.closed) { return 0; }
+    return d.amount.mul(balanceAt(self, _holder, _balance, _distributionId)).div(d.totalSupply);
+  }
+
+  /// @dev Get a holder's balance at the time a distribution was created
+  /// @param  self                                 Distribution data of the basket
+  /// @param  _holder                              holder address
+  /// @param  _balance                             current balance of the holder
+  /// @param  _distributionId                      Id of the distribution
+  /// @return balance                              balance when the distribution was created
+  function balanceAt(Data storage self, address _holder, uint _balance, uint _distributionId) public view returns (uint) {
+    require(_distributionId < self.list.length);    // Check: "Distribution does not exist"
+    Checkpoint[] storage holderCheckpoints = self.checkpoints[_holder];
+
+    // the first checkpoint recorded after the distribution holds the balance at that time
+    uint low = 0;
+    uint high = holderCheckpoints.length;
+    while (low < high) {
+      uint mid = (low + high) / 2;
+      if (holderCheckpoints[mid].distributionCount > _distributionId) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low == holderCheckpoints.length ? _balance : holderCheckpoints[low].balance;
+  }
+
+  /// @dev Library internal function to leave a custodian out of the distribution being created
+  /// @param  self                                 Distribution data of the basket
+  /// @param  _custodian                           Address holding basket tokens for others
+  /// @param  _totalSupply                         Basket tokens sharing the distribution so far
+  /// @return totalSupply                          Basket tokens sharing the distribution without the custodian's
+  function _exclude(Data storage self, address _custodian, uint _totalSupply) internal returns (uint totalSupply) {
+    uint distributionId = self.list.length;
+    if (self.claimed[_custodian][distributionId]) { return _totalSupply; }
+    self.claimed[_custodian][distributionId] = true;
+    return _totalSupply.sub(ERC20(this).balanceOf(_custodian));
+  }
+}
@@ -0,0 +1,58 @@
+/*
+
+  Copyright 2018 CoinAlpha, Inc.
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+
+*/
+
+pragma solidity 0.4.21;
+
+import "./zeppelin/StandardToken.sol";
+
+/**
+ * @title FalseReturnToken -- test token whose transfer and transferFrom return false instead of reverting
+ * @author CoinAlpha, Inc. <contact@coinalpha.com>
+ */
+
+contract FalseReturnToken is StandardToken {
+  string public name;
+  string public symbol;
+  uint public decimals;
+
+  /// @dev Token constructor
+  /// @param  _name             Token name
+  /// @param  _symbol           Token symbol
+  /// @param  _decimals         Decimal precision
+  /// @param  _initialSupply    Initial total supply of tokens
+  function FalseReturnToken(string _name, string _symbol, uint _decimals, uint _initialSupply) public {
+    name = _name;
+    symbol = _symbol;
+    decimals = _decimals;
+    totalSupply_ = _initialSupply;
+    balances[msg.sender] = _initialSupply;
+  }
+
+  /// @dev Transfer a set amount of token to any address
+  /// @return success           Operation successful; false if the balance is insufficient
+  function transfer(address _to, uint _value) public returns (bool) {
+    if (_to == address(0) || _value > balances[msg.sender]) { return false; }
+    return super.transfer(_to, _value);
+  }
+
+  /// @dev Transfer a set amount of token from any address
+  /// @return success           Operation successful; false if the balance or allowance is insufficient
+  function transferFrom(address _from, address _to, uint _value) public returns (bool) {
+    if (_to == address(0) || _value > balances[_from] || _value > allowed[_from][msg.sender]) { return false; }
+    return super.transferFrom(_from, _to, _value);
+  }
+}
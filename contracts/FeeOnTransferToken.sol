@@ -0,0 +1,70 @@
+/*
+
+  Copyright 2018 CoinAlpha, Inc.
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+
+*/
+
+pragma solidity 0.4.21;
+
+import "./zeppelin/StandardToken.sol";
+
+/**
+ * @title FeeOnTransferToken -- test token that burns a fee from every transfer, so recipients receive less than sent
+ * @author CoinAlpha, Inc. <contact@coinalpha.com>
+ */
+
+contract FeeOnTransferToken is StandardToken {
+  uint public constant FEE_PERCENT = 1;
+
+  string public name;
+  string public symbol;
+  uint public decimals;
+
+  /// @dev Token constructor
+  /// @param  _name             Token name
+  /// @param  _symbol           Token symbol
+  /// @param  _decimals         Decimal precision
+  /// @param  _initialSupply    Initial total supply of tokens
+  function FeeOnTransferToken(string _name, string _symbol, uint _decimals, uint _initialSupply) public {
+    name = _name;
+    symbol = _symbol;
+    decimals = _decimals;
+    totalSupply_ = _initialSupply;
+    balances[msg.sender] = _initialSupply;
+  }
+
+  /// @dev Transfer a set amount of token to any address, less the fee
+  /// @return success           Operation successful
+  function transfer(address _to, uint _value) public returns (bool) {
+    super.transfer(_to, _value);
+    _burnFee(_to, _value);
+    return true;
+  }
+
+  /// @dev Transfer a set amount of token from any address, less the fee
+  /// @return success           Operation successful
+  function transferFrom(address _from, address _to, uint _value) public returns (bool) {
+    super.transferFrom(_from, _to, _value);
+    _burnFee(_to, _value);
+    return true;
+  }
+
+  /// @dev Burn FEE_PERCENT of a transferred amount from its recipient
+  function _burnFee(address _to, uint _value) internal {
+    uint fee = _value.mul(FEE_PERCENT).div(100);
+    balances[_to] = balances[_to].sub(fee);
+    totalSupply_ = totalSupply_.sub(fee);
+    emit Transfer(_to, address(0), fee);
+  }
+}
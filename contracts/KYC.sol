@@ -18,69 +18,427 @@
 pragma solidity 0.4.21;
 
 import "./zeppelin/Ownable.sol";
+import "./zeppelin/SafeMath.sol";
 
 contract IKYC {
   function isWhitelistedHolder (address) public view returns (bool) {}
+  function whitelistExpiry (address) public view returns (uint) {}
+  function isEligibleHolder (address, uint) public view returns (bool) {}
+  function isFrozen (address) public view returns (bool) {}
+  function isComplianceOfficer (address) public view returns (bool) {}
+  function isComplianceOfficerFor (address, address) public view returns (bool) {}
 }
 
 /// @title KYCWhitelist -- Whitelist contract to limit participants to KYCed individuals, to ensure legal compliance
 /// @author CoinAlpha, Inc. <contact@coinalpha.com>
 contract KYC is Ownable {
+  using SafeMath for uint;
+
+  // Roles
+  bytes32                 public constant ROLE_WHITELISTER = "whitelister";      // May whitelist, renew and set attributes of holders
+  bytes32                 public constant ROLE_UNWHITELISTER = "unwhitelister";  // May remove holders from the whitelist
+  bytes32                 public constant ROLE_AUDITOR = "auditor";              // Read-only; recorded so audits can list it
+  bytes32                 public constant ROLE_COMPLIANCE_OFFICER = "complianceOfficer";  // May freeze accounts and force Basket transfers
+
   // public variables
-  address                 public admin;
+  uint                    public validityPeriod;    // Seconds for which a whitelist approval remains valid
+  uint                    public eligibilityRuleIndex;  // Eligibility rules index starting from index = 1; 0 = whitelist only
 
   // Modifiers
-  modifier onlyOwnerOrAdmin {
-    require(msg.sender == admin || msg.sender == owner);  // Check: "Only the owner or permissied admin can call this function"
+  modifier onlyOwnerOrRole(bytes32 _role) {
+    require(msg.sender == owner || hasRole(msg.sender, _role));  // Check: "Only the owner or a permissioned role can call this function"
     _;
   }
 
   // Mappings
-  mapping(address => bool) public whitelistedHolders;
+  mapping(address => uint) public whitelistExpiry;  // Unix timestamp at which a holder's approval lapses (0 = never whitelisted)
+  mapping(address => HolderAttributes) public holderAttributes;
+  mapping(uint => EligibilityRule) public eligibilityRules;
+  mapping(address => bool) public frozen;           // Frozen accounts can not send, receive, bundle or redeem Basket tokens
+
+  // mapping of eligibility rules to mapping of jurisdictions barred by the rule
+  // UINT RULE || UINT JURISDICTION || BOOL EXCLUDED
+  mapping(uint => mapping(uint => bool)) public ruleExcludesJurisdiction;
+
+  // holders that are whitelisted (including lapsed approvals) and their position in holderList plus one (0 = not listed)
+  // ADDRESS HOLDER || UINT INDEX
+  address[] internal holderList;
+  mapping(address => uint) internal holderListIndex;
+
+  // mapping of roles to their current members
+  // BYTES32 ROLE || ADDRESS[] MEMBERS
+  mapping(bytes32 => address[]) internal roleMembers;
+
+  // mapping of roles to mapping of accounts to position in roleMembers plus one (0 = not a member)
+  // BYTES32 ROLE || ADDRESS ACCOUNT || UINT INDEX
+  mapping(bytes32 => mapping(address => uint)) internal roleMemberIndex;
+
+  // mapping of attestation signers to mapping of nonces to whether an attestation with that nonce has been used
+  // ADDRESS SIGNER || UINT NONCE   || BOOL USED
+  mapping(address => mapping(uint => bool)) public usedAttestationNonces;
+
+  // Structs
+  struct HolderAttributes {
+    uint      jurisdiction;                         // ISO 3166-1 numeric country code
+    uint      investorClass;                        // e.g. 1 = retail, 2 = professional, 3 = institutional
+    uint      accreditationLevel;                   // 0 = not accredited; higher levels meet stricter tests
+  }
+
+  struct EligibilityRule {
+    uint      minAccreditationLevel;
+    uint      investorClassMask;                    // bit n set = investor class n allowed; 0 = any class
+  }
 
   // Events
-  event LogWhitelistHolder(address indexed whitelistedHolder);
-  event LogUnwhitelistHolder(address indexed unwhitelistedHolder);
-  event LogSetAdmin(address indexed oldAdmin, address indexed newAdmin);
+  event LogWhitelistHolder(address indexed whitelistedHolder, uint expiry);
+  event LogUnwhitelistHolder(address indexed unwhitelistedHolder, uint expiry);
+  event LogAttestationUsed(address indexed signer, address indexed holder, uint expiry, uint nonce);
+  event LogRoleGranted(bytes32 indexed role, address indexed account, address indexed grantedBy);
+  event LogRoleRevoked(bytes32 indexed role, address indexed account, address indexed revokedBy);
+  event LogFreezeHolder(address indexed holder, address indexed frozenBy);
+  event LogUnfreezeHolder(address indexed holder, address indexed unfrozenBy);
+  event LogSetValidityPeriod(uint oldValidityPeriod, uint newValidityPeriod);
+  event LogSetHolderAttributes(address indexed holder, uint jurisdiction, uint investorClass, uint accreditationLevel);
+  event LogEligibilityRuleCreated(uint indexed ruleId, address indexed creator, uint minAccreditationLevel, uint investorClassMask, uint[] excludedJurisdictions);
 
   /// @dev KYC constructor
-  function KYC(address _admin) public {
+  /// @param  _admin                               Address granted the whitelister and unwhitelister roles (0x0 = none)
+  /// @param  _validityPeriod                      Seconds for which a whitelist approval remains valid
+  function KYC(address _admin, uint _validityPeriod) public {
+    require(_validityPeriod > 0);                  // Check: "Validity period must be greater than zero"
     owner = msg.sender;
-    admin = _admin;
+    if (_admin != address(0)) {
+      _grantRole(_admin, ROLE_WHITELISTER);
+      _grantRole(_admin, ROLE_UNWHITELISTER);
+    }
+    validityPeriod = _validityPeriod;
+    eligibilityRuleIndex = 1;
   }
 
-  /// @dev Check if address is a whitelisted holder
+  /// @dev Check if address is a whitelisted holder whose approval has not lapsed
   /// @param  _holder                              holder address
   /// @return isWhitelisted                        is whitelisted
   function isWhitelistedHolder(address _holder) public view returns (bool) {
-    return whitelistedHolders[_holder];
+    return whitelistExpiry[_holder] > now;
   }
 
-  /// @dev Whitelist an address to become a holder
+  /// @dev Check if address is a whitelisted holder whose attributes satisfy an eligibility rule
+  /// @param  _holder                              holder address
+  /// @param  _ruleId                              eligibility rule to check against (0 = whitelist only)
+  /// @return isEligible                           is whitelisted and satisfies the rule
+  function isEligibleHolder(address _holder, uint _ruleId) public view returns (bool) {
+    if (!isWhitelistedHolder(_holder)) { return false; }
+    if (_ruleId == 0) { return true; }
+    if (_ruleId >= eligibilityRuleIndex) { return false; }
+
+    EligibilityRule memory rule = eligibilityRules[_ruleId];
+    HolderAttributes memory attributes = holderAttributes[_holder];
+    if (attributes.accreditationLevel < rule.minAccreditationLevel) { return false; }
+    if (rule.investorClassMask != 0 && (rule.investorClassMask & (uint(1) << attributes.investorClass)) == 0) { return false; }
+    return !ruleExcludesJurisdiction[_ruleId][attributes.jurisdiction];
+  }
+
+  /// @dev Define a new eligibility rule that baskets can select; rules can not be changed once created
+  ///      Restricted to the owner and compliance officers, as arrangers select rules by the events they emit
+  /// @param  _minAccreditationLevel               minimum accreditation level of holders
+  /// @param  _investorClassMask                   bitmask of allowed investor classes (0 = any class)
+  /// @param  _excludedJurisdictions               jurisdiction codes whose holders are not eligible
+  /// @return ruleId                               Index of the new rule
+  function createEligibilityRule(
+    uint      _minAccreditationLevel,
+    uint      _investorClassMask,
+    uint[]    _excludedJurisdictions
+  )
+    public
+    onlyOwnerOrRole(ROLE_COMPLIANCE_OFFICER)
+    returns (uint ruleId)
+  {
+    ruleId = eligibilityRuleIndex;
+    eligibilityRules[ruleId] = EligibilityRule(_minAccreditationLevel, _investorClassMask);
+    for (uint i = 0; i < _excludedJurisdictions.length; i++) {
+      ruleExcludesJurisdiction[ruleId][_excludedJurisdictions[i]] = true;
+    }
+    eligibilityRuleIndex = eligibilityRuleIndex.add(1);
+
+    emit LogEligibilityRuleCreated(ruleId, msg.sender, _minAccreditationLevel, _investorClassMask, _excludedJurisdictions);
+    return ruleId;
+  }
+
+  /// @dev Record the attributes used to evaluate a holder against eligibility rules
+  /// @param  _holder                              holder address
+  /// @param  _jurisdiction                        ISO 3166-1 numeric country code
+  /// @param  _investorClass                       investor class code
+  /// @param  _accreditationLevel                  accreditation level
+  /// @return success                              Operation successful
+  function setHolderAttributes(
+    address   _holder,
+    uint      _jurisdiction,
+    uint      _investorClass,
+    uint      _accreditationLevel
+  )
+    public
+    onlyOwnerOrRole(ROLE_WHITELISTER)
+    returns (bool)
+  {
+    require(_investorClass < 256);                 // Check: "Investor class must fit in the rule bitmask"
+    holderAttributes[_holder] = HolderAttributes(_jurisdiction, _investorClass, _accreditationLevel);
+    emit LogSetHolderAttributes(_holder, _jurisdiction, _investorClass, _accreditationLevel);
+    return true;
+  }
+
+  /// @dev Whitelist an address to become a holder for the duration of the validity period
   /// @param  _addressToWhitelist                  address to be whitelisted
   /// @return success                              Operation successful
-  function whitelistHolder(address _addressToWhitelist) public onlyOwnerOrAdmin returns (bool) {
-    whitelistedHolders[_addressToWhitelist] = true;
-    emit LogWhitelistHolder(_addressToWhitelist);
+  function whitelistHolder(address _addressToWhitelist) public onlyOwnerOrRole(ROLE_WHITELISTER) returns (bool) {
+    _whitelistHolder(_addressToWhitelist, now.add(validityPeriod));
+    return true;
+  }
+
+  /// @dev Whitelist several addresses in a single transaction
+  /// @param  _addressesToWhitelist                addresses to be whitelisted
+  /// @return success                              Operation successful
+  function whitelistHolders(address[] _addressesToWhitelist) public onlyOwnerOrRole(ROLE_WHITELISTER) returns (bool) {
+    uint expiry = now.add(validityPeriod);
+    for (uint i = 0; i < _addressesToWhitelist.length; i++) {
+      _whitelistHolder(_addressesToWhitelist[i], expiry);
+    }
+    return true;
+  }
+
+  /// @dev Whitelist the caller with an attestation signed off-chain by the owner or a whitelister
+  ///      The holder submits the attestation and pays the gas; each signer's nonces can only be used once
+  /// @param  _expiry                              timestamp at which the approval lapses, at most one validity period away
+  /// @param  _nonce                               nonce chosen by the signer
+  /// @param  _v                                   ECDSA signature parameter v
+  /// @param  _r                                   ECDSA signature parameter r
+  /// @param  _s                                   ECDSA signature parameter s
+  /// @return success                              Operation successful
+  function whitelistWithAttestation(
+    uint      _expiry,
+    uint      _nonce,
+    uint8     _v,
+    bytes32   _r,
+    bytes32   _s
+  )
+    public
+    returns (bool)
+  {
+    // Check: "Attestation expiry must be in the future and within the validity period"
+    require(_expiry > now && _expiry <= now.add(validityPeriod));
+
+    bytes32 prefixedHash = keccak256("\x19Ethereum Signed Message:\n32", getAttestationHash(msg.sender, _expiry, _nonce));
+    address signer = ecrecover(prefixedHash, _v, _r, _s);
+    // Check: "Attestation must be signed by the owner or a whitelister"
+    require(signer != address(0) && (signer == owner || hasRole(signer, ROLE_WHITELISTER)));
+    require(!usedAttestationNonces[signer][_nonce]);  // Check: "Attestation nonce has already been used"
+
+    usedAttestationNonces[signer][_nonce] = true;
+    _whitelistHolder(msg.sender, _expiry);
+
+    emit LogAttestationUsed(signer, msg.sender, _expiry, _nonce);
+    return true;
+  }
+
+  /// @dev Hash of the attestation fields that a signer signs (as an Ethereum signed message)
+  /// @param  _holder                              holder address
+  /// @param  _expiry                              timestamp at which the approval lapses
+  /// @param  _nonce                               nonce chosen by the signer
+  /// @return attestationHash
+  function getAttestationHash(address _holder, uint _expiry, uint _nonce) public view returns (bytes32) {
+    return keccak256(this, _holder, _expiry, _nonce);
+  }
+
+  /// @dev Renew the approvals of previously whitelisted holders, including those that have lapsed
+  /// @param  _holders                             addresses to renew
+  /// @return success                              Operation successful
+  function renewHolders(address[] _holders) public onlyOwnerOrRole(ROLE_WHITELISTER) returns (bool) {
+    uint expiry = now.add(validityPeriod);
+    for (uint i = 0; i < _holders.length; i++) {
+      require(whitelistExpiry[_holders[i]] > 0);  // Check: "Only whitelisted holders can be renewed"
+      _whitelistHolder(_holders[i], expiry);
+    }
     return true;
   }
 
   /// @dev Remove an address from whitelisted holders
   /// @param  _addressToUnwhitelist                address to remove from whitelist
   /// @return success                              Operation successful
-  function unWhitelistHolder(address _addressToUnwhitelist) public onlyOwnerOrAdmin returns (bool) {
-    whitelistedHolders[_addressToUnwhitelist] = false;
-    emit LogUnwhitelistHolder(_addressToUnwhitelist);
+  function unWhitelistHolder(address _addressToUnwhitelist) public onlyOwnerOrRole(ROLE_UNWHITELISTER) returns (bool) {
+    _unWhitelistHolder(_addressToUnwhitelist);
+    return true;
+  }
+
+  /// @dev Remove several addresses from whitelisted holders in a single transaction
+  /// @param  _addressesToUnwhitelist              addresses to remove from whitelist
+  /// @return success                              Operation successful
+  function unWhitelistHolders(address[] _addressesToUnwhitelist) public onlyOwnerOrRole(ROLE_UNWHITELISTER) returns (bool) {
+    for (uint i = 0; i < _addressesToUnwhitelist.length; i++) {
+      _unWhitelistHolder(_addressesToUnwhitelist[i]);
+    }
+    return true;
+  }
+
+  /// @dev Get the number of whitelisted holders, including those whose approval has lapsed but was not revoked
+  /// @return count                                Number of listed holders
+  function getWhitelistedHolderCount() public view returns (uint count) {
+    return holderList.length;
+  }
+
+  /// @dev Read a page of whitelisted holders with their expiries; query at a past block for a historical snapshot
+  /// @param  _start                               Index of the first holder to return
+  /// @param  _count                               Maximum number of holders to return
+  /// @return holders                              Holder addresses
+  /// @return expiries                             Timestamp at which each holder's approval lapses
+  function getWhitelistedHolders(uint _start, uint _count) public view returns (address[] holders, uint[] expiries) {
+    uint end = _start.add(_count);
+    if (end > holderList.length) { end = holderList.length; }
+    if (_start >= end) { return (holders, expiries); }
+
+    holders = new address[](end - _start);
+    expiries = new uint[](end - _start);
+    for (uint i = _start; i < end; i++) {
+      holders[i - _start] = holderList[i];
+      expiries[i - _start] = whitelistExpiry[holderList[i]];
+    }
+    return (holders, expiries);
+  }
+
+  /// @dev Contract internal function to record a whitelist approval
+  /// @param  _holder                              address to be whitelisted
+  /// @param  _expiry                              timestamp at which the approval lapses
+  function _whitelistHolder(address _holder, uint _expiry) internal {
+    if (holderListIndex[_holder] == 0) {
+      holderList.push(_holder);
+      holderListIndex[_holder] = holderList.length;
+    }
+    whitelistExpiry[_holder] = _expiry;
+    emit LogWhitelistHolder(_holder, _expiry);
+  }
+
+  /// @dev Contract internal function to revoke a whitelist approval
+  /// @param  _holder                              address to remove from whitelist
+  function _unWhitelistHolder(address _holder) internal {
+    uint index = holderListIndex[_holder];
+    if (index > 0) {
+      // move the last holder into the vacated slot
+      address lastHolder = holderList[holderList.length - 1];
+      holderList[index - 1] = lastHolder;
+      holderListIndex[lastHolder] = index;
+      holderList.length--;
+      holderListIndex[_holder] = 0;
+    }
+
+    uint oldExpiry = whitelistExpiry[_holder];
+    whitelistExpiry[_holder] = 0;
+    emit LogUnwhitelistHolder(_holder, oldExpiry);
+  }
+
+  /// @dev Freeze an account so that it can no longer move or redeem Basket tokens
+  /// @param  _holder                              address to freeze
+  /// @return success                              Operation successful
+  function freezeHolder(address _holder) public onlyOwnerOrRole(ROLE_COMPLIANCE_OFFICER) returns (bool) {
+    require(!frozen[_holder]);                     // Check: "Account is already frozen"
+    frozen[_holder] = true;
+    emit LogFreezeHolder(_holder, msg.sender);
     return true;
   }
 
-  /// @dev Set the permission admin to another address
-  /// @param  _newAdmin                            new admin address
+  /// @dev Lift the freeze on an account
+  /// @param  _holder                              address to unfreeze
+  /// @return success                              Operation successful
+  function unfreezeHolder(address _holder) public onlyOwnerOrRole(ROLE_COMPLIANCE_OFFICER) returns (bool) {
+    require(frozen[_holder]);                      // Check: "Account is not frozen"
+    frozen[_holder] = false;
+    emit LogUnfreezeHolder(_holder, msg.sender);
+    return true;
+  }
+
+  /// @dev Check if an account is frozen
+  /// @param  _holder                              holder address
+  /// @return isFrozen                             account is frozen
+  function isFrozen(address _holder) public view returns (bool) {
+    return frozen[_holder];
+  }
+
+  /// @dev Check if an account may force Basket transfers on behalf of this KYC module
+  /// @param  _account                             account to check
+  /// @return isComplianceOfficer                  account is the owner or holds the compliance officer role
+  function isComplianceOfficer(address _account) public view returns (bool) {
+    return _account == owner || hasRole(_account, ROLE_COMPLIANCE_OFFICER);
+  }
+
+  /// @dev Check if an account may force Basket transfers out of a holder's account
+  ///      Every holder of a basket using this KYC module is in its care, so the holder is not checked
+  /// @param  _account                             account to check
+  /// @return isComplianceOfficer                  account is the owner or holds the compliance officer role
+  function isComplianceOfficerFor(address _account, address) public view returns (bool) {
+    return isComplianceOfficer(_account);
+  }
+
+  /// @dev Check if an account currently holds a role
+  /// @param  _account                             account to check
+  /// @param  _role                                role name
+  /// @return hasRole                              account holds the role
+  function hasRole(address _account, bytes32 _role) public view returns (bool) {
+    return roleMemberIndex[_role][_account] > 0;
+  }
+
+  /// @dev List the current members of a role; query at a past block to see who held it then
+  /// @param  _role                                role name
+  /// @return members                              accounts holding the role
+  function getRoleMembers(bytes32 _role) public view returns (address[]) {
+    return roleMembers[_role];
+  }
+
+  /// @dev Grant a role to an account
+  /// @param  _account                             account to receive the role
+  /// @param  _role                                role name
+  /// @return success                              Operation successful
+  function grantRole(address _account, bytes32 _role) public onlyOwner returns (bool) {
+    require(_account != address(0) && !hasRole(_account, _role));  // Check: "Invalid account or role already granted"
+    _grantRole(_account, _role);
+    return true;
+  }
+
+  /// @dev Revoke a role from an account
+  /// @param  _account                             account to lose the role
+  /// @param  _role                                role name
+  /// @return success                              Operation successful
+  function revokeRole(address _account, bytes32 _role) public onlyOwner returns (bool) {
+    uint index = roleMemberIndex[_role][_account];
+    require(index > 0);                            // Check: "Account does not hold the role"
+
+    // move the last member into the vacated slot
+    address[] storage members = roleMembers[_role];
+    address lastMember = members[members.length - 1];
+    members[index - 1] = lastMember;
+    roleMemberIndex[_role][lastMember] = index;
+    members.length--;
+    roleMemberIndex[_role][_account] = 0;
+
+    emit LogRoleRevoked(_role, _account, msg.sender);
+    return true;
+  }
+
+  /// @dev Contract internal function to add an account to a role
+  /// @param  _account                             account to receive the role
+  /// @param  _role                                role name
+  function _grantRole(address _account, bytes32 _role) internal {
+    // Check: "Unknown role"
+    require(_role == ROLE_WHITELISTER || _role == ROLE_UNWHITELISTER || _role == ROLE_AUDITOR || _role == ROLE_COMPLIANCE_OFFICER);
+    roleMembers[_role].push(_account);
+    roleMemberIndex[_role][_account] = roleMembers[_role].length;
+    emit LogRoleGranted(_role, _account, msg.sender);
+  }
+
+  /// @dev Change how long new and renewed approvals remain valid; existing approvals keep their expiry
+  /// @param  _newValidityPeriod                   new validity period in seconds
   /// @return success                              Operation successful
-  function setAdmin(address _newAdmin) public onlyOwner returns (bool) {
-    address oldAdmin = admin;
-    admin = _newAdmin;
-    emit LogSetAdmin(oldAdmin, _newAdmin);
+  function setValidityPeriod(uint _newValidityPeriod) public onlyOwner returns (bool) {
+    require(_newValidityPeriod > 0);               // Check: "Validity period must be greater than zero"
+    uint oldValidityPeriod = validityPeriod;
+    validityPeriod = _newValidityPeriod;
+    emit LogSetValidityPeriod(oldValidityPeriod, _newValidityPeriod);
     return true;
   }
 
@@ -0,0 +1,48 @@
+/*
+
+  Copyright 2018 CoinAlpha, Inc.
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+
+*/
+
+pragma solidity 0.4.21;
+
+import "./zeppelin/Ownable.sol";
+
+/// @title MockLegacyKYC -- KYC provider that only implements isWhitelistedHolder, as providers did before eligibility
+///        rules, freezing and compliance officers, for testing
+/// @author CoinAlpha, Inc. <contact@coinalpha.com>
+contract MockLegacyKYC is Ownable {
+
+  // ADDRESS HOLDER || BOOL WHITELISTED
+  mapping(address => bool) public whitelisted;
+
+  /// @dev Add an address to the whitelist
+  /// @param  _holder                              address to whitelist
+  /// @return success                              Operation successful
+  function whitelistHolder(address _holder) public onlyOwner returns (bool success) {
+    whitelisted[_holder] = true;
+    return true;
+  }
+
+  /// @dev Check if address is a whitelisted holder
+  /// @param  _holder                              holder address
+  /// @return isWhitelisted                        is whitelisted
+  function isWhitelistedHolder(address _holder) public view returns (bool) {
+    return whitelisted[_holder];
+  }
+
+  /// @dev Fallback to reject any ether sent to contract
+  //  Check: "MockLegacyKYC does not accept ETH transfers"
+  function () public payable { revert(); }
+}
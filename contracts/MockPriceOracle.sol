@@ -0,0 +1,58 @@
+/*
+
+  Copyright 2018 CoinAlpha, Inc.
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+
+*/
+
+pragma solidity 0.4.21;
+
+import "./zeppelin/Ownable.sol";
+
+/// @title MockPriceOracle -- IPriceOracle whose prices are set by its owner, for testing
+/// @author CoinAlpha, Inc. <contact@coinalpha.com>
+contract MockPriceOracle is Ownable {
+
+  struct Price {
+    uint      price;
+    uint      updatedAt;
+  }
+
+  // ADDRESS TOKEN || PRICE
+  mapping(address => Price) public prices;
+
+  event LogPriceUpdate(address indexed token, uint price, uint updatedAt);
+
+  /// @dev Set a token's price, timestamped with the current block
+  /// @param  _token                               ERC20 token address
+  /// @param  _price                               Price in wei of 10 ** 18 base units of the token
+  /// @return success                              Operation successful
+  function setPrice(address _token, uint _price) public onlyOwner returns (bool success) {
+    prices[_token] = Price(_price, now);
+
+    emit LogPriceUpdate(_token, _price, now);
+    return true;
+  }
+
+  /// @dev Get a token's price
+  /// @param  _token                               ERC20 token address
+  /// @return price                                Price in wei of 10 ** 18 base units of the token
+  /// @return updatedAt                            Unix timestamp of the last update (0 = never set)
+  function getPrice(address _token) public view returns (uint price, uint updatedAt) {
+    return (prices[_token].price, prices[_token].updatedAt);
+  }
+
+  /// @dev Fallback to reject any ether sent to contract
+  //  Check: "MockPriceOracle does not accept ETH transfers"
+  function () public payable { revert(); }
+}
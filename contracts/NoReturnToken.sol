@@ -0,0 +1,74 @@
+/*
+
+  Copyright 2018 CoinAlpha, Inc.
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+
+*/
+
+pragma solidity 0.4.21;
+
+import "./zeppelin/SafeMath.sol";
+
+/**
+ * @title NoReturnToken -- test token whose transfer, transferFrom and approve return no value, as USDT does
+ * @author CoinAlpha, Inc. <contact@coinalpha.com>
+ */
+
+contract NoReturnToken {
+  using SafeMath for uint;
+
+  string public name;
+  string public symbol;
+  uint public decimals;
+  uint public totalSupply;
+
+  mapping(address => uint) public balanceOf;
+  mapping(address => mapping(address => uint)) public allowance;
+
+  event Transfer(address indexed from, address indexed to, uint value);
+  event Approval(address indexed owner, address indexed spender, uint value);
+
+  /// @dev Token constructor
+  /// @param  _name             Token name
+  /// @param  _symbol           Token symbol
+  /// @param  _decimals         Decimal precision
+  /// @param  _initialSupply    Initial total supply of tokens
+  function NoReturnToken(string _name, string _symbol, uint _decimals, uint _initialSupply) public {
+    name = _name;
+    symbol = _symbol;
+    decimals = _decimals;
+    totalSupply = _initialSupply;
+    balanceOf[msg.sender] = _initialSupply;
+  }
+
+  /// @dev Transfer a set amount of token to any address; reverts on failure
+  function transfer(address _to, uint _value) public {
+    balanceOf[msg.sender] = balanceOf[msg.sender].sub(_value);
+    balanceOf[_to] = balanceOf[_to].add(_value);
+    emit Transfer(msg.sender, _to, _value);
+  }
+
+  /// @dev Transfer a set amount of token from any address; reverts on failure
+  function transferFrom(address _from, address _to, uint _value) public {
+    allowance[_from][msg.sender] = allowance[_from][msg.sender].sub(_value);
+    balanceOf[_from] = balanceOf[_from].sub(_value);
+    balanceOf[_to] = balanceOf[_to].add(_value);
+    emit Transfer(_from, _to, _value);
+  }
+
+  /// @dev Allow a spender to transfer tokens on behalf of the sender
+  function approve(address _spender, uint _value) public {
+    allowance[msg.sender][_spender] = _value;
+    emit Approval(msg.sender, _spender, _value);
+  }
+}
@@ -0,0 +1,101 @@
+/*
+
+  Copyright 2018 CoinAlpha, Inc.
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+
+*/
+
+pragma solidity 0.4.21;
+
+import "./zeppelin/SafeMath.sol";
+
+
+contract IPriceOracle {
+  // Called by OracleRegistry
+  function getPrice(address) public view returns (uint, uint) {}
+}
+
+contract IOracleRegistry {
+  // Called by Basket
+  function getPrice(address) public view returns (uint, bool) {}
+}
+
+
+/// @title OracleRegistry -- Admin-managed list of the price oracle to use for each token
+/// @author CoinAlpha, Inc. <contact@coinalpha.com>
+contract OracleRegistry {
+  using SafeMath for uint;
+
+  // Constants set at contract inception
+  address                 public admin;
+  uint                    public maxPriceAge;         // Seconds after which a reported price is considered stale
+
+  // mapping of tokens to the IPriceOracle contract that prices them
+  // ADDRESS TOKEN || ADDRESS ORACLE
+  mapping(address => address) public oracles;
+
+  // Modifiers
+  modifier onlyAdmin {
+    require(msg.sender == admin);                   // Check: "Only the admin can call this function"
+    _;
+  }
+
+  // Events
+  event LogOracleSet(address indexed token, address indexed oldOracle, address indexed newOracle);
+  event LogMaxPriceAgeChange(uint oldMaxPriceAge, uint newMaxPriceAge);
+
+  /// @dev OracleRegistry constructor
+  /// @param  _maxPriceAge                         Seconds after which a reported price is considered stale
+  function OracleRegistry(uint _maxPriceAge) public {
+    admin = msg.sender;
+    maxPriceAge = _maxPriceAge;
+  }
+
+  /// @dev Get a token's price from its oracle
+  /// @param  _token                               ERC20 token address
+  /// @return price                                Price in wei of 10 ** 18 base units of the token
+  /// @return stale                                No oracle is set, or the price is older than maxPriceAge
+  function getPrice(address _token) public view returns (uint price, bool stale) {
+    if (oracles[_token] == address(0)) { return (0, true); }
+    uint updatedAt;
+    (price, updatedAt) = IPriceOracle(oracles[_token]).getPrice(_token);
+    return (price, updatedAt.add(maxPriceAge) < now);
+  }
+
+  /// @dev Set the oracle that prices a token
+  /// @param  _token                               ERC20 token address
+  /// @param  _oracle                              Address of an IPriceOracle contract (0x0 = remove)
+  /// @return success                              Operation successful
+  function setOracle(address _token, address _oracle) public onlyAdmin returns (bool success) {
+    address oldOracle = oracles[_token];
+    oracles[_token] = _oracle;
+
+    emit LogOracleSet(_token, oldOracle, _oracle);
+    return true;
+  }
+
+  /// @dev Change the age after which prices are considered stale
+  /// @param  _maxPriceAge                         New maximum price age in seconds
+  /// @return success                              Operation successful
+  function setMaxPriceAge(uint _maxPriceAge) public onlyAdmin returns (bool success) {
+    uint oldMaxPriceAge = maxPriceAge;
+    maxPriceAge = _maxPriceAge;
+
+    emit LogMaxPriceAgeChange(oldMaxPriceAge, maxPriceAge);
+    return true;
+  }
+
+  /// @dev Fallback to reject any ether sent to contract
+  //  Check: "OracleRegistry does not accept ETH transfers"
+  function () public payable { revert(); }
+}
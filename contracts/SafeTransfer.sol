@@ -0,0 +1,86 @@
+/*
+
+  Copyright 2018 CoinAlpha, Inc.
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+
+*/
+
+pragma solidity 0.4.21;
+
+/// @title SafeTransfer -- ERC20 transfers that work with tokens returning nothing and fail on tokens returning false
+/// @author CoinAlpha, Inc. <contact@coinalpha.com>
+library SafeTransfer {
+
+  /// @dev Transfer tokens held by this contract, reverting if the token reverts, returns false or is not a contract
+  /// @param  _token                               Address of the ERC20 token
+  /// @param  _to                                  Address to send the tokens to
+  /// @param  _value                               Quantity of tokens to send
+  function safeTransfer(address _token, address _to, uint _value) internal {
+    require(tryTransfer(_token, _to, _value));      // Check: "Token transfer failed"
+  }
+
+  /// @dev Transfer tokens from an approving address, reverting if the token reverts, returns false or is not a contract
+  /// @param  _token                               Address of the ERC20 token
+  /// @param  _from                                Address to take the tokens from
+  /// @param  _to                                  Address to send the tokens to
+  /// @param  _value                               Quantity of tokens to send
+  function safeTransferFrom(address _token, address _from, address _to, uint _value) internal {
+    require(tryTransferFrom(_token, _from, _to, _value));  // Check: "Token transfer failed"
+  }
+
+  /// @dev Transfer tokens held by this contract without reverting when the transfer fails
+  /// @param  _token                               Address of the ERC20 token
+  /// @param  _to                                  Address to send the tokens to
+  /// @param  _value                               Quantity of tokens to send
+  /// @return success                              Transfer succeeded
+  function tryTransfer(address _token, address _to, uint _value) internal returns (bool success) {
+    if (!isContract(_token)) { return false; }
+    if (!_token.call(bytes4(keccak256("transfer(address,uint256)")), _to, _value)) { return false; }
+    return _returnedTrue();
+  }
+
+  /// @dev Transfer tokens from an approving address without reverting when the transfer fails
+  /// @param  _token                               Address of the ERC20 token
+  /// @param  _from                                Address to take the tokens from
+  /// @param  _to                                  Address to send the tokens to
+  /// @param  _value                               Quantity of tokens to send
+  /// @return success                              Transfer succeeded
+  function tryTransferFrom(address _token, address _from, address _to, uint _value) internal returns (bool success) {
+    if (!isContract(_token)) { return false; }
+    if (!_token.call(bytes4(keccak256("transferFrom(address,address,uint256)")), _from, _to, _value)) { return false; }
+    return _returnedTrue();
+  }
+
+  /// @dev Check that an address has code; calls to an address without code succeed, so they have to be ruled out
+  ///      separately
+  /// @param  _address                             Address to check
+  /// @return isContract                           The address has code
+  function isContract(address _address) internal view returns (bool) {
+    uint size;
+    assembly { size := extcodesize(_address) }
+    return size > 0;
+  }
+
+  /// @dev Read the result of the last call: no return data counts as success, a single word must be true
+  function _returnedTrue() private pure returns (bool result) {
+    assembly {
+      switch returndatasize()
+      case 0 { result := 1 }
+      case 32 {
+        returndatacopy(0, 0, 32)
+        result := iszero(iszero(mload(0)))
+      }
+      default { result := 0 }
+    }
+  }
+}
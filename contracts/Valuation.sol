@@ -0,0 +1,51 @@
+/*
+
+  Copyright 2018 CoinAlpha, Inc.
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+
+*/
+
+pragma solidity 0.4.21;
+
+import "./zeppelin/SafeMath.sol";
+import "./OracleRegistry.sol";
+
+/// @title Valuation -- Values basket tokens at the prices reported by an oracle registry
+/// @author CoinAlpha, Inc. <contact@coinalpha.com>
+/// @dev Linked into Basket rather than inlined, to keep Basket under the contract size limit
+library Valuation {
+  using SafeMath for uint;
+
+  /// @dev Value 10 ** 18 units of a basket
+  /// @param  _tokens                              Component tokens of the basket
+  /// @param  _weights                             Component quantities, in base units per 10 ** 18 basket units
+  /// @param  _oracleRegistry                      OracleRegistry to price the components with (0x0 = none set)
+  /// @return nav                                  Value in wei of 10 ** 18 units of the basket
+  /// @return stale                                Some component has no price or a price older than maxPriceAge
+  function getNav(
+    address[] storage _tokens,
+    uint[]    storage _weights,
+    address   _oracleRegistry
+  ) public view returns (uint nav, bool stale) {
+    if (_oracleRegistry == address(0)) { return (0, true); }
+
+    uint price;
+    bool priceStale;
+    for (uint i = 0; i < _tokens.length; i++) {
+      (price, priceStale) = IOracleRegistry(_oracleRegistry).getPrice(_tokens[i]);
+      nav = nav.add(_weights[i].mul(price).div(10 ** 18));
+      stale = stale || priceStale;
+    }
+    return (nav, stale);
+  }
+}
@@ -1,9 +1,17 @@
 const BasketFactory = artifacts.require('./BasketFactory.sol');
+const BasketDeployer = artifacts.require('./BasketDeployer.sol');
+const Basket = artifacts.require('./Basket.sol');
+const BasketExtension = artifacts.require('./BasketExtension.sol');
+const Distributions = artifacts.require('./Distributions.sol');
+const Valuation = artifacts.require('./Valuation.sol');
 // const SwappableBasketFactory = artifacts.require('./SwappableBasketFactory.sol');
 const BasketRegistry = artifacts.require('./BasketRegistry.sol');
 const BasketEscrow = artifacts.require('./BasketEscrow.sol');
 const KYC = artifacts.require('./KYC.sol');
-const { TRANSACTION_FEE, PRODUCTION_FEE, SWAPPABLE_PRODUCTION_FEE, DEPLOYER_ADDRESS, KYC_ADMIN } = require('../config');
+const OracleRegistry = artifacts.require('./OracleRegistry.sol');
+const {
+  TRANSACTION_FEE, PRODUCTION_FEE, SWAPPABLE_PRODUCTION_FEE, DEPLOYER_ADDRESS, KYC_ADMIN, KYC_VALIDITY_PERIOD, ORACLE_MAX_PRICE_AGE,
+} = require('../config');
 
 module.exports = (deployer, network, accounts) => {
   // Accounts
@@ -13,13 +21,13 @@ module.exports = (deployer, network, accounts) => {
 
   // For testnet deployment, set KYC_ADMIN to contract Owner
   // For mainnet deployment, set KYC_ADMIN to whitelist controller address
-  // (you can also set it to ADMINISTRATOR first, and then call setAdmin() to change it)
+  // (KYC_ADMIN is granted the whitelister and unwhitelister roles; call grantRole() to add further operators)
 
   // Contract instances
-  let kyc, basketRegistry, basketEscrow, basketFactory, swappableBasketFactory;
+  let kyc, basketRegistry, basketEscrow, basketDeployer, basketFactory, swappableBasketFactory, oracleRegistry;
 
   // 0. Deploy KYC contract
-  deployer.deploy(KYC, kycAdmin, { from: ADMINISTRATOR })
+  deployer.deploy(KYC, kycAdmin, KYC_VALIDITY_PERIOD, { from: ADMINISTRATOR })
     .then(() => KYC.deployed())
     .then(_instance => kyc = _instance)
     .then(() => { console.log(kyc.address); })
@@ -38,10 +46,20 @@ module.exports = (deployer, network, accounts) => {
     .then(() => BasketEscrow.deployed())
     .then(_instance => basketEscrow = _instance)
 
-    // 3. Deploy BasketFactory contract with basketRegistry address
-    // BasketFactory(_basketRegistryAddress, _productionFeeRecipient, _productionFee)
+    // 3. Deploy the Distributions and Valuation libraries and link them into Basket (and BasketDeployer, which embeds Basket)
+    // Deploy BasketExtension, BasketDeployer with basketExtension address, then BasketFactory contract with
+    // basketRegistry and basketDeployer addresses
+    // BasketFactory(_basketRegistryAddress, _basketDeployerAddress, _productionFeeRecipient, _productionFee)
+    .then(() => deployer.deploy(Distributions, { from: ADMINISTRATOR }))
+    .then(() => deployer.link(Distributions, [Basket, BasketExtension, BasketDeployer]))
+    .then(() => deployer.deploy(Valuation, { from: ADMINISTRATOR }))
+    .then(() => deployer.link(Valuation, [Basket, BasketDeployer]))
+    .then(() => deployer.deploy(BasketExtension, { from: ADMINISTRATOR }))
+    .then(() => deployer.deploy(BasketDeployer, BasketExtension.address, { from: ADMINISTRATOR }))
+    .then(() => BasketDeployer.deployed())
+    .then(_instance => basketDeployer = _instance)
     .then(() => deployer.deploy(
-      BasketFactory, basketRegistry.address, ADMINISTRATOR, PRODUCTION_FEE,
+      BasketFactory, basketRegistry.address, basketDeployer.address, ADMINISTRATOR, PRODUCTION_FEE,
       { from: ADMINISTRATOR },
     ))
     .then(() => BasketFactory.deployed())
@@ -55,11 +73,16 @@ module.exports = (deployer, network, accounts) => {
     // .then(() => SwappableBasketFactory.deployed())
     // .then(_instance => swappableBasketFactory = _instance)
 
-    // 5. Whitelist basketFactory address
+    // 5. Whitelist basketFactory and basketEscrow addresses
+    // (baskets let the escrow redeem any quantity, so that cancelled sell orders of inactive baskets can be redeemed)
     .then(() => basketRegistry.whitelistBasketFactory(
       basketFactory.address,
       { from: ADMINISTRATOR },
     ))
+    .then(() => basketRegistry.whitelistBasketEscrow(
+      basketEscrow.address,
+      { from: ADMINISTRATOR },
+    ))
 
     // 6. Whitelist swappableBasketFactory address
     // .then(() => basketRegistry.whitelistBasketFactory(
@@ -67,11 +90,26 @@ module.exports = (deployer, network, accounts) => {
     //   { from: ADMINISTRATOR },
     // ))
 
+    // 7. Deploy OracleRegistry contract and point basketRegistry at it
+    // OracleRegistry(_maxPriceAge)
+    .then(() => deployer.deploy(OracleRegistry, ORACLE_MAX_PRICE_AGE, { from: ADMINISTRATOR }))
+    .then(() => OracleRegistry.deployed())
+    .then(_instance => oracleRegistry = _instance)
+    .then(() => basketRegistry.setOracleRegistry(
+      oracleRegistry.address,
+      { from: ADMINISTRATOR },
+    ))
+
     // @dev Logs
     .then(() => console.log('  Contract addresses:'))
     .then(() => console.log(`  - KYC                       : ${kyc.address}`))
     .then(() => console.log(`  - BasketRegistry            : ${basketRegistry.address}`))
     .then(() => console.log(`  - BasketEscrow              : ${basketEscrow.address}`))
-    .then(() => console.log(`  - BasketFactory             : ${basketFactory.address}`));
+    .then(() => console.log(`  - Distributions             : ${Distributions.address}`))
+    .then(() => console.log(`  - Valuation                 : ${Valuation.address}`))
+    .then(() => console.log(`  - BasketExtension           : ${BasketExtension.address}`))
+    .then(() => console.log(`  - BasketDeployer            : ${basketDeployer.address}`))
+    .then(() => console.log(`  - BasketFactory             : ${basketFactory.address}`))
+    .then(() => console.log(`  - OracleRegistry            : ${oracleRegistry.address}`));
   // .then(() => console.log(`  - SwappableBasketFactory    : ${swappableBasketFactory.address}`));
 };
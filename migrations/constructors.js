@@ -5,12 +5,21 @@ const { GAS_PRICE_DEV } = require('../config');
 
 const allArtifacts = {
   TestToken: artifacts.require('./TestToken.sol'),
+  NoReturnToken: artifacts.require('./NoReturnToken.sol'),
+  FalseReturnToken: artifacts.require('./FalseReturnToken.sol'),
+  FeeOnTransferToken: artifacts.require('./FeeOnTransferToken.sol'),
   BasketEscrow: artifacts.require('./BasketEscrow.sol'),
   BasketFactory: artifacts.require('./BasketFactory.sol'),
+  BasketDeployer: artifacts.require('./BasketDeployer.sol'),
+  BasketExtension: artifacts.require('./BasketExtension.sol'),
   // SwappableBasketFactory: artifacts.require('./SwappableBasketFactory.sol'),
   BasketRegistry: artifacts.require('./BasketRegistry.sol'),
   Basket: artifacts.require('./Basket.sol'),
   KYC: artifacts.require('./KYC.sol'),
+  ComplianceRegistry: artifacts.require('./ComplianceRegistry.sol'),
+  MockLegacyKYC: artifacts.require('./MockLegacyKYC.sol'),
+  OracleRegistry: artifacts.require('./OracleRegistry.sol'),
+  MockPriceOracle: artifacts.require('./MockPriceOracle.sol'),
 };
 
 // solidity-coverage: fails if gasPrice is specified
@@ -19,10 +28,21 @@ const allArtifacts = {
 const gasObj = process.env.TEST_COVERAGE ? {} : { gasPrice: GAS_PRICE_DEV };
 
 const constructors = {
-  KYC: (_owner, _admin) => allArtifacts.KYC.new(_admin, Object.assign({}, { from: _owner }, gasObj)),
+  KYC: (_owner, _admin, _validityPeriod) =>
+    allArtifacts.KYC.new(_admin, _validityPeriod, Object.assign({}, { from: _owner }, gasObj)),
+
+  ComplianceRegistry: (_owner, _mode) =>
+    allArtifacts.ComplianceRegistry.new(_mode, Object.assign({}, { from: _owner }, gasObj)),
+
+  MockLegacyKYC: _owner => allArtifacts.MockLegacyKYC.new(Object.assign({}, { from: _owner }, gasObj)),
 
   BasketRegistry: _owner => allArtifacts.BasketRegistry.new(Object.assign({}, { from: _owner }, gasObj)),
 
+  OracleRegistry: (_owner, _maxPriceAge) =>
+    allArtifacts.OracleRegistry.new(_maxPriceAge, Object.assign({}, { from: _owner }, gasObj)),
+
+  MockPriceOracle: _owner => allArtifacts.MockPriceOracle.new(Object.assign({}, { from: _owner }, gasObj)),
+
   BasketEscrow: (_owner, _basketRegistryAddress, _transactionFeeRecipient, _transactionFee) =>
     allArtifacts.BasketEscrow.new(
       _basketRegistryAddress,
@@ -31,9 +51,15 @@ const constructors = {
       Object.assign({}, { from: _owner }, gasObj),
     ),
 
-  BasketFactory: (_owner, _basketRegistryAddress, _productionFeeRecipient, _productionFee) =>
+  BasketExtension: _owner => allArtifacts.BasketExtension.new(Object.assign({}, { from: _owner }, gasObj)),
+
+  BasketDeployer: (_owner, _basketExtensionAddress) =>
+    allArtifacts.BasketDeployer.new(_basketExtensionAddress, Object.assign({}, { from: _owner }, gasObj)),
+
+  BasketFactory: (_owner, _basketRegistryAddress, _basketDeployerAddress, _productionFeeRecipient, _productionFee) =>
     allArtifacts.BasketFactory.new(
       _basketRegistryAddress,
+      _basketDeployerAddress,
       _productionFeeRecipient,
       _productionFee,
       Object.assign({}, { from: _owner }, gasObj),
@@ -57,7 +83,28 @@ const constructors = {
       Object.assign({}, { from: _owner }, gasObj),
     ),
 
-  Basket: (_owner, _name, _symbol, _tokens, _weights, _registryAddress, _kycAddress, _arranger, _arrangerFeeRecipient, _arrangerFee) =>
+  NoReturnToken: (_owner, _name, _symbol, _decimals, _initialSupply) =>
+    allArtifacts.NoReturnToken.new(_name, _symbol, _decimals, _initialSupply, Object.assign({}, { from: _owner }, gasObj)),
+
+  FalseReturnToken: (_owner, _name, _symbol, _decimals, _initialSupply) =>
+    allArtifacts.FalseReturnToken.new(_name, _symbol, _decimals, _initialSupply, Object.assign({}, { from: _owner }, gasObj)),
+
+  FeeOnTransferToken: (_owner, _name, _symbol, _decimals, _initialSupply) =>
+    allArtifacts.FeeOnTransferToken.new(_name, _symbol, _decimals, _initialSupply, Object.assign({}, { from: _owner }, gasObj)),
+
+  Basket: (
+    _owner,
+    _name,
+    _symbol,
+    _tokens,
+    _weights,
+    _registryAddress,
+    _kycAddress,
+    _arranger,
+    _arrangerFeeRecipient,
+    _arrangerFee,
+    _eligibilityRule,
+  ) =>
     allArtifacts.Basket.new(
       _name,
       _symbol,
@@ -68,6 +115,7 @@ const constructors = {
       _arranger,
       _arrangerFeeRecipient,
       _arrangerFee,
+      _eligibilityRule,
       Object.assign({}, { from: _owner }, gasObj),
     ),
 };
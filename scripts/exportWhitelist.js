@@ -0,0 +1,88 @@
+/**
+ * @dev Write a snapshot of the KYC whitelist, as it stood at a given block, to a dated CSV or JSON file
+ *
+ * Usage:
+ *   node scripts/exportWhitelist.js --kyc <KYC address> [--block <number>] [--format csv|json] [--out <file>]
+ *
+ * `--block` defaults to the latest block; older blocks need a node that keeps historical state.  The output
+ * file defaults to `whitelist-<block date>-block-<block>.<format>` in the current directory.  Each row lists
+ * a holder, its approval expiry and whether the approval was still valid at the snapshot block.
+ */
+const fs = require('fs');
+const Promise = require('bluebird');
+
+const { abi: kycAbi } = require('../build/contracts/KYC.json');
+const { web3 } = require('../utils/web3');
+
+// Number of holders read per call to getWhitelistedHolders
+const PAGE_SIZE = 100;
+
+const toDate = timestamp => new Date(timestamp * 1000).toISOString().slice(0, 10);
+
+/**
+ * @dev Read every listed holder from a KYC contract at a block
+ * @param  kycAddress    Address of the KYC contract
+ * @param  block         Block number to read the whitelist at (defaults to the latest block)
+ * @return { kycAddress, blockNumber, blockTimestamp, date, holders: [{ address, expiry, whitelisted }] }
+ */
+const getWhitelistSnapshot = async ({ kycAddress, block }) => {
+  const kyc = web3.eth.contract(kycAbi).at(kycAddress);
+  const getCount = Promise.promisify(kyc.getWhitelistedHolderCount.call, { context: kyc.getWhitelistedHolderCount });
+  const getPage = Promise.promisify(kyc.getWhitelistedHolders.call, { context: kyc.getWhitelistedHolders });
+
+  const { number: blockNumber, timestamp: blockTimestamp } = await web3.eth.getBlockPromise(block === undefined ? 'latest' : block);
+  const count = Number(await getCount(blockNumber));
+
+  const holders = [];
+  for (let start = 0; start < count; start += PAGE_SIZE) {
+    const [addresses, expiries] = await getPage(start, PAGE_SIZE, blockNumber);
+    addresses.forEach((address, i) => holders.push({
+      address,
+      expiry: Number(expiries[i]),
+      whitelisted: Number(expiries[i]) > blockTimestamp,
+    }));
+  }
+
+  return {
+    kycAddress, blockNumber, blockTimestamp, date: toDate(blockTimestamp), holders,
+  };
+};
+
+const toCsv = snapshot => ['address,expiry,expiryDate,whitelisted']
+  .concat(snapshot.holders.map(h => `${h.address},${h.expiry},${toDate(h.expiry)},${h.whitelisted}`))
+  .join('\n');
+
+const toJson = snapshot => JSON.stringify(snapshot, null, 2);
+
+const parseArgs = (argv) => {
+  const args = { format: 'csv' };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.kyc || !['csv', 'json'].includes(args.format)) {
+    console.log('Usage: node scripts/exportWhitelist.js --kyc <address> [--block <number>] [--format csv|json] [--out <file>]');
+    process.exit(1);
+  }
+
+  const snapshot = await getWhitelistSnapshot({ kycAddress: args.kyc, block: args.block && Number(args.block) });
+  const out = args.out || `whitelist-${snapshot.date}-block-${snapshot.blockNumber}.${args.format}`;
+  fs.writeFileSync(out, args.format === 'json' ? toJson(snapshot) : toCsv(snapshot));
+  console.log(`  ${snapshot.holders.length} holder(s) at block ${snapshot.blockNumber} (${snapshot.date}) written to ${out}`);
+};
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = { getWhitelistSnapshot, toCsv, toJson };
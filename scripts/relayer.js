@@ -0,0 +1,191 @@
+/**
+ * @dev Relayer that queues signed Basket meta-transactions and submits them, paying the gas
+ *
+ * Usage:
+ *   node scripts/relayer.js [--port <number>] [--from <address>] [--gasPrice <wei>] [--sponsor <address,...|all>]
+ *
+ * Requests are signed with utils/metaTransaction.js and POSTed as JSON to `/requests`:
+ *   { basketAddress, action: 'bundle'|'debundle'|'transfer', signer, to, quantity, relayerFee, expiry, nonce, signature }
+ * The response holds an id whose status can be read from `GET /requests/<id>`.  The relayer account must be whitelisted
+ * to receive relayer fees in basket tokens.  Requests are rejected unless the relayer fee, valued at the basket's NAV,
+ * covers the ETH the relayer spends: the gas, plus the ETH arranger fee of a bundle, which is read from the basket.
+ * Baskets without oracles, and redemptions from a paused or shut-down basket (which only accepts a zero relayer fee), are
+ * therefore never relayed unless the operator sponsors the basket with --sponsor, a comma-separated list of basket
+ * addresses or `all`: requests for sponsored baskets skip the fee check, and the relayer pays their costs.
+ */
+const http = require('http');
+const Promise = require('bluebird');
+
+const { abi: basketAbi } = require('../build/contracts/Basket.json');
+const { web3 } = require('../utils/web3');
+const { GAS_LIMIT } = require('../config');
+
+// Milliseconds between runs over the queue
+const POLL_INTERVAL = 5000;
+
+const METHODS = {
+  bundle: 'depositAndBundleBySig',
+  debundle: 'debundleAndWithdrawBySig',
+  transfer: 'transferBySig',
+};
+
+const waitForReceipt = async (txHash) => {
+  let receipt = await web3.eth.getTransactionReceiptPromise(txHash);
+  while (!receipt) {
+    await Promise.delay(1000);
+    receipt = await web3.eth.getTransactionReceiptPromise(txHash);
+  }
+  return receipt;
+};
+
+/**
+ * @dev Contract arguments of a request, in the order of the *BySig functions
+ */
+const toArgs = r => (r.action === 'transfer'
+  ? [r.signer, r.to, r.quantity, r.relayerFee, r.expiry, r.nonce, r.signature]
+  : [r.signer, r.quantity, r.relayerFee, r.expiry, r.nonce, r.signature]);
+
+/**
+ * @dev ETH arranger fee the relayer pays for a request, as charged by Basket._depositAndBundle
+ */
+const getEthFee = async (basket, r) => {
+  if (r.action !== 'bundle' || Number(await basket.arrangerFeeTokenPromise()) !== 0) return web3.toBigNumber(0);
+  const [arrangerFee, decimals] = await Promise.all([basket.arrangerFeePromise(), basket.decimalsPromise()]);
+  return web3.toBigNumber(arrangerFee).times(r.quantity).div(web3.toBigNumber(10).pow(Number(decimals))).floor();
+};
+
+/**
+ * @dev Create a relayer submitting from an unlocked account
+ * @param  from          Relayer account paying the gas and receiving relayer fees
+ * @param  gasPrice      Gas price in wei to submit at (defaults to the node's gas price)
+ * @param  sponsored     Basket addresses, or ['all'], whose requests are relayed whatever their relayer fee
+ * @return { enqueue(request) -> id, getRequest(id), processQueue() -> submitted requests }
+ */
+const createRelayer = ({ from, gasPrice, sponsored = [] }) => {
+  const requests = [];
+  const queue = [];
+  const sponsoredBaskets = sponsored.map(address => address.toLowerCase());
+  const isSponsored = basketAddress => sponsoredBaskets.includes('all')
+    || sponsoredBaskets.includes(basketAddress.toLowerCase());
+
+  const enqueue = (request) => {
+    if (!METHODS[request.action]) throw new Error(`Unknown action: ${request.action}`);
+    if (!web3.isAddress(request.basketAddress) || !web3.isAddress(request.signer)) throw new Error('Invalid address');
+    const entry = Object.assign({}, request, { id: requests.length, status: 'queued' });
+    requests.push(entry);
+    queue.push(entry);
+    return entry.id;
+  };
+
+  const getRequest = id => requests[id];
+
+  const submit = async (entry) => {
+    const basket = web3.eth.contract(basketAbi).at(entry.basketAddress);
+    Promise.promisifyAll(basket, { suffix: 'Promise' });
+    const method = basket[METHODS[entry.action]];
+    const txObj = { from, value: await getEthFee(basket, entry), gas: GAS_LIMIT };
+    let gas;
+    try {
+      // drop requests that would revert (expired, replayed, bad signature, ineligible signer) without paying gas
+      gas = await Promise.promisify(method.estimateGas, { context: method })(...toArgs(entry), txObj);
+    } catch (err) {
+      return Object.assign(entry, { status: `rejected: ${err.message}` });
+    }
+
+    // drop requests whose relayer fee does not cover the ETH spent on the arranger fee and gas, unless sponsored
+    txObj.gasPrice = web3.toBigNumber(gasPrice || await web3.eth.getGasPricePromise());
+    if (!isSponsored(entry.basketAddress)) {
+      const cost = txObj.gasPrice.times(gas).plus(txObj.value);
+      const [nav, stale] = await basket.getNavPromise();
+      if (stale || web3.toBigNumber(nav).isZero()) {
+        return Object.assign(entry, { status: 'rejected: no current NAV to value the relayer fee' });
+      }
+      const decimals = await basket.decimalsPromise();
+      if (web3.toBigNumber(entry.relayerFee).times(nav).div(web3.toBigNumber(10).pow(Number(decimals))).lessThan(cost)) {
+        return Object.assign(entry, { status: `rejected: relayer fee does not cover ${cost.toString(10)} wei` });
+      }
+    }
+
+    const txHash = await Promise.promisify(method.sendTransaction, { context: method })(...toArgs(entry), txObj);
+    const receipt = await waitForReceipt(txHash);
+    const succeeded = receipt.status === undefined || Number(receipt.status) === 1;
+    return Object.assign(entry, { status: succeeded ? 'mined' : 'failed', transaction: txHash });
+  };
+
+  const processQueue = async () => {
+    const processed = [];
+    while (queue.length > 0) {
+      const entry = queue.shift();
+      try {
+        processed.push(await submit(entry));
+      } catch (err) {
+        processed.push(Object.assign(entry, { status: `failed: ${err.message}` }));
+      }
+    }
+    return processed;
+  };
+
+  return { enqueue, getRequest, processQueue };
+};
+
+const readBody = req => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+const respond = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const parseArgs = (argv) => {
+  const args = { port: 8080 };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const from = args.from || (await web3.eth.getAccountsPromise())[0];
+  const sponsored = args.sponsor ? args.sponsor.split(',') : [];
+  const relayer = createRelayer({ from, gasPrice: args.gasPrice, sponsored });
+
+  http.createServer(async (req, res) => {
+    try {
+      if (req.method === 'POST' && req.url === '/requests') {
+        return respond(res, 200, { id: relayer.enqueue(JSON.parse(await readBody(req))) });
+      }
+      const match = req.url.match(/^\/requests\/(\d+)$/);
+      if (req.method === 'GET' && match && relayer.getRequest(Number(match[1]))) {
+        return respond(res, 200, relayer.getRequest(Number(match[1])));
+      }
+      return respond(res, 404, { error: 'Not found' });
+    } catch (err) {
+      return respond(res, 400, { error: err.message });
+    }
+  }).listen(Number(args.port));
+  console.log(`  Relaying from ${from} on port ${args.port}`);
+
+  const run = async () => {
+    const processed = await relayer.processQueue();
+    processed.forEach(r => console.log(`  request ${r.id} (${r.action} for ${r.signer}): ${r.status}`));
+    setTimeout(run, POLL_INTERVAL);
+  };
+  run();
+};
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = { createRelayer };
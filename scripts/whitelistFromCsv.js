@@ -0,0 +1,158 @@
+/**
+ * @dev Whitelist every address listed in a CSV file, in as few transactions as GAS_LIMIT allows
+ *
+ * Usage:
+ *   node scripts/whitelistFromCsv.js --kyc <KYC address> --csv <file> [--from <address>] [--report <file>] [--dry-run]
+ *
+ * The first column of each CSV row is read as an address; blank lines and a header row are ignored.
+ * Addresses that are already whitelisted are skipped, and a per-address report is written to
+ * `--report` (defaults to `<csv>.report.csv`).  With `--dry-run`, nothing is sent.
+ */
+const fs = require('fs');
+const Promise = require('bluebird');
+
+const { abi: kycAbi } = require('../build/contracts/KYC.json');
+const { web3 } = require('../utils/web3');
+const { GAS_LIMIT } = require('../config');
+
+// Fraction of GAS_LIMIT a batch may use, leaving headroom for estimation error
+const GAS_LIMIT_BUFFER = 0.9;
+
+/**
+ * @dev Read the addresses in the first column of a CSV file
+ */
+const parseCsv = (contents) => {
+  return contents
+    .split(/\r?\n/)
+    .map(line => line.split(',')[0].trim().replace(/^"|"$/g, ''))
+    .filter((value, index) => value !== '' && !(index === 0 && !web3.isAddress(value)));
+};
+
+/**
+ * @dev Split an array into batches of at most `size` elements
+ */
+const toBatches = (items, size) => {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) batches.push(items.slice(i, i + size));
+  return batches;
+};
+
+/**
+ * @dev Largest batch of whitelistHolders that stays under GAS_LIMIT, from the cost of one and two addresses
+ */
+const getBatchSize = async (kyc, sample, from) => {
+  const estimateGas = Promise.promisify(kyc.whitelistHolders.estimateGas);
+  const single = await estimateGas([sample[0]], { from });
+  const perAddress = sample.length > 1 ? (await estimateGas(sample.slice(0, 2), { from })) - single : single;
+  return Math.max(1, Math.floor(((GAS_LIMIT * GAS_LIMIT_BUFFER) - (single - perAddress)) / perAddress));
+};
+
+const waitForReceipt = async (txHash) => {
+  let receipt = await web3.eth.getTransactionReceiptPromise(txHash);
+  while (!receipt) {
+    await Promise.delay(1000);
+    receipt = await web3.eth.getTransactionReceiptPromise(txHash);
+  }
+  return receipt;
+};
+
+/**
+ * @dev Whitelist addresses in batches
+ * @param  kycAddress    Address of the KYC contract
+ * @param  addresses     Addresses to whitelist
+ * @param  from          Owner of the KYC contract or holder of its whitelister role
+ * @param  dryRun        Report what would change without sending any transaction
+ * @return Array of { address, status, transaction } results, one per input address
+ */
+const whitelistAddresses = async ({ kycAddress, addresses, from, dryRun }) => {
+  const kyc = web3.eth.contract(kycAbi).at(kycAddress);
+  Promise.promisifyAll(kyc.isWhitelistedHolder, { suffix: 'Promise' });
+  Promise.promisifyAll(kyc.whitelistHolders, { suffix: 'Promise' });
+
+  const results = [];
+  const toWhitelist = [];
+  const seen = {};
+
+  for (let i = 0; i < addresses.length; i += 1) {
+    const address = addresses[i].toLowerCase();
+    if (!web3.isAddress(address)) {
+      results.push({ address: addresses[i], status: 'invalid address' });
+    } else if (seen[address]) {
+      results.push({ address, status: 'duplicate' });
+    } else {
+      seen[address] = true;
+      const isWhitelisted = await kyc.isWhitelistedHolder.callPromise(address);
+      if (isWhitelisted) {
+        results.push({ address, status: 'already whitelisted' });
+      } else {
+        const result = { address, status: dryRun ? 'would whitelist' : 'pending' };
+        results.push(result);
+        toWhitelist.push(result);
+      }
+    }
+  }
+
+  if (toWhitelist.length === 0) return results;
+
+  const batchSize = await getBatchSize(kyc, toWhitelist.map(r => r.address), from);
+  const batches = toBatches(toWhitelist, batchSize);
+  console.log(`  ${toWhitelist.length} address(es) to whitelist in ${batches.length} batch(es) of up to ${batchSize}`);
+  if (dryRun) return results;
+
+  for (let i = 0; i < batches.length; i += 1) {
+    const batch = batches[i];
+    try {
+      const txHash = await kyc.whitelistHolders.sendTransactionPromise(batch.map(r => r.address), { from, gas: GAS_LIMIT });
+      const receipt = await waitForReceipt(txHash);
+      const succeeded = receipt.status === undefined || Number(receipt.status) === 1;
+      batch.forEach(r => Object.assign(r, { status: succeeded ? 'whitelisted' : 'failed', transaction: txHash }));
+      console.log(`  batch ${i + 1}/${batches.length}: ${succeeded ? 'mined' : 'FAILED'} in ${txHash}`);
+    } catch (err) {
+      batch.forEach(r => Object.assign(r, { status: `failed: ${err.message}` }));
+      console.log(`  batch ${i + 1}/${batches.length}: FAILED ${err.message}`);
+    }
+  }
+  return results;
+};
+
+const toCsv = results => ['address,status,transaction']
+  .concat(results.map(r => `${r.address},"${r.status}",${r.transaction || ''}`))
+  .join('\n');
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.kyc || !args.csv) {
+    console.log('Usage: node scripts/whitelistFromCsv.js --kyc <address> --csv <file> [--from <address>] [--report <file>] [--dry-run]');
+    process.exit(1);
+  }
+
+  const from = args.from || (await web3.eth.getAccountsPromise())[0];
+  const addresses = parseCsv(fs.readFileSync(args.csv, 'utf8'));
+  const results = await whitelistAddresses({ kycAddress: args.kyc, addresses, from, dryRun: args.dryRun });
+
+  const report = args.report || `${args.csv}.report.csv`;
+  fs.writeFileSync(report, toCsv(results));
+  results.forEach(r => console.log(`  ${r.address}  ${r.status}`));
+  console.log(`  Report written to ${report}${args.dryRun ? ' (dry run: no transactions sent)' : ''}`);
+};
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseCsv, whitelistAddresses, toCsv };
@@ -8,6 +8,7 @@ const {
   TRANSACTION_FEE,
   PRODUCTION_FEE,
   ARRANGER_FEE,
+  KYC_VALIDITY_PERIOD,
 } = require('../config');
 
 const BasketFactory = artifacts.require('./BasketFactory.sol');
@@ -15,6 +16,8 @@ const Basket = artifacts.require('./Basket.sol');
 
 // Contract Instances
 let basketFactory;
+let basketExtension;
+let basketDeployer;
 let basket;
 
 // Global variables
@@ -69,7 +72,7 @@ contract('Deployment costs', (accounts) => {
 
   describe('Calculate cost', () => {
     it('KYC cost', async () => {
-      basketFactory = await constructors.KYC(ADMIN, KYC_ADMIN);
+      basketFactory = await constructors.KYC(ADMIN, KYC_ADMIN, KYC_VALIDITY_PERIOD);
     });
 
     it('BasketRegistry cost', async () => {
@@ -80,18 +83,30 @@ contract('Deployment costs', (accounts) => {
       basketFactory = await constructors.BasketEscrow(ADMIN, REGISTRY, ADMIN, TRANSACTION_FEE);
     });
 
+    it('BasketExtension cost', async () => {
+      basketExtension = await constructors.BasketExtension(ADMIN);
+    });
+
+    it('BasketDeployer cost', async () => {
+      basketDeployer = await constructors.BasketDeployer(ADMIN, basketExtension.address);
+    });
+
     it('BasketFactory cost', async () => {
-      basketFactory = await constructors.BasketFactory(ADMIN, REGISTRY, KYC, ADMIN, PRODUCTION_FEE);
+      basketFactory = await constructors.BasketFactory(ADMIN, REGISTRY, basketDeployer.address, ADMIN, PRODUCTION_FEE);
     });
 
     it('BasketFactory cost', async () => {
-      basketFactory = await constructors.KYC(ADMIN, REGISTRY, KYC, ADMIN, PRODUCTION_FEE);
+      basketFactory = await constructors.KYC(ADMIN, REGISTRY, KYC_VALIDITY_PERIOD);
+    });
+
+    it('ComplianceRegistry cost', async () => {
+      basketFactory = await constructors.ComplianceRegistry(ADMIN, 0);
     });
 
     it('Basket cost', async () => {
       basket = await constructors.Basket(
         ADMIN,
-        'Basket contract', 'BASK', [TOKEN_A, TOKEN_B], [1, 2], REGISTRY, KYC, ADMIN, ADMIN, ARRANGER_FEE,
+        'Basket contract', 'BASK', [TOKEN_A, TOKEN_B], [1, 2], REGISTRY, KYC, ADMIN, ADMIN, ARRANGER_FEE, 0,
       );
     });
   });
@@ -0,0 +1,167 @@
+const path = require('path');
+const Promise = require('bluebird');
+
+const KYC = artifacts.require('./KYC.sol');
+const OracleRegistry = artifacts.require('./OracleRegistry.sol');
+const BasketRegistry = artifacts.require('./BasketRegistry.sol');
+const BasketEscrow = artifacts.require('./BasketEscrow.sol');
+const BasketFactory = artifacts.require('./BasketFactory.sol');
+const { abi: basketAbi } = require('../build/contracts/Basket.json');
+const { constructors } = require('../migrations/constructors.js');
+const { web3 } = require('../utils/web3');
+const { increaseTime, latestTime } = require('../utils/evm');
+const {
+  DECIMALS,
+  INITIAL_SUPPLY,
+  FAUCET_AMOUNT,
+  ORACLE_MAX_PRICE_AGE,
+} = require('../config');
+
+const doesRevert = err => err.message.includes('revert');
+
+contract('Price oracles and NAV', (accounts) => {
+  // Accounts
+  const [ADMINISTRATOR, ARRANGER, HOLDER_A, RANDOM] = accounts.slice(0, 4);
+
+  // Contract instances
+  let oracleRegistry, basketEscrow, oracle, tokenA, tokenB, basket;
+  let expiration;
+
+  // NAV of one basket: 1 TOKA at 0.1 ETH + 2 TOKB at 0.05 ETH
+  const NAV = 2e17;
+
+  before('Deploy a mock oracle and a basket of two tokens', async () => {
+    console.log(`  ================= START TEST [ ${path.basename(__filename)} ] =================`);
+
+    try {
+      const kyc = await KYC.deployed();
+      oracleRegistry = await OracleRegistry.deployed();
+      basketEscrow = await BasketEscrow.deployed();
+      await kyc.whitelistHolders([HOLDER_A, basketEscrow.address], { from: ADMINISTRATOR });
+
+      oracle = await constructors.MockPriceOracle(ADMINISTRATOR);
+      tokenA = await constructors.TestToken(HOLDER_A, 'Token A', 'TOKA', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+      tokenB = await constructors.TestToken(HOLDER_A, 'Token B', 'TOKB', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+
+      const basketFactory = await BasketFactory.deployed();
+      const fee = await basketFactory.productionFee.call();
+      const txObj = await basketFactory.createBasket(
+        'A1B2', 'BASK', [tokenA.address, tokenB.address], [1e18, 2e18], ARRANGER, 0, kyc.address, 0, 0, 0, 0, 0,
+        { from: ARRANGER, value: Number(fee) },
+      );
+      basket = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+      Promise.promisifyAll(basket, { suffix: 'Promise' });
+      expiration = (await latestTime()) + (30 * 86400);
+    } catch (err) { assert.throw(`Failed to deploy contracts: ${err.toString()}`); }
+  });
+
+  describe('Oracle registry', () => {
+    it('Is set in the basket registry by the migration', async () => {
+      const basketRegistry = await BasketRegistry.deployed();
+      assert.strictEqual(await basketRegistry.oracleRegistry.call(), oracleRegistry.address, 'oracle registry not set');
+      assert.strictEqual(Number(await oracleRegistry.maxPriceAge.call()), ORACLE_MAX_PRICE_AGE, 'incorrect max price age');
+    });
+
+    it('Cannot set oracles from random address', async () => {
+      try {
+        await oracleRegistry.setOracle(tokenA.address, oracle.address, { from: RANDOM });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await oracleRegistry.oracles.call(tokenA.address)), 0, 'oracle was set');
+    });
+
+    it('Reports tokens without an oracle as stale', async () => {
+      const [price, stale] = await oracleRegistry.getPrice.call(tokenA.address);
+      assert.strictEqual(Number(price), 0, 'incorrect price');
+      assert.strictEqual(stale, true, 'missing price not reported as stale');
+    });
+
+    it('Admin can set oracles', async () => {
+      try {
+        const { logs } = await oracleRegistry.setOracle(tokenA.address, oracle.address, { from: ADMINISTRATOR });
+        await oracleRegistry.setOracle(tokenB.address, oracle.address, { from: ADMINISTRATOR });
+        assert.strictEqual(logs[0].event, 'LogOracleSet', 'Wrong event fired');
+        assert.strictEqual(logs[0].args.newOracle, oracle.address, 'incorrect oracle logged');
+      } catch (err) { assert.throw(`Error setting oracles: ${err.toString()}`); }
+    });
+  });
+
+  describe('Basket NAV', () => {
+    it('Reports a stale NAV until every component is priced', async () => {
+      try {
+        await oracle.setPrice(tokenA.address, 1e17, { from: ADMINISTRATOR });
+        const [nav, stale] = await basket.getNavPromise();
+        assert.strictEqual(Number(nav), 1e17, 'incorrect partial NAV');
+        assert.strictEqual(stale, true, 'NAV not reported as stale');
+      } catch (err) { assert.throw(`Error reading NAV: ${err.toString()}`); }
+    });
+
+    it('Adds up weight * price across components', async () => {
+      try {
+        await oracle.setPrice(tokenB.address, 5e16, { from: ADMINISTRATOR });
+        const [nav, stale] = await basket.getNavPromise();
+        assert.strictEqual(Number(nav), NAV, 'incorrect NAV');
+        assert.strictEqual(stale, false, 'current NAV reported as stale');
+      } catch (err) { assert.throw(`Error reading NAV: ${err.toString()}`); }
+    });
+  });
+
+  describe('Escrow orders checked against NAV', () => {
+    it('Cannot change the maximum deviation from random address', async () => {
+      try {
+        await basketEscrow.changeMaxNavDeviation(5e16, { from: RANDOM });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketEscrow.maxNavDeviation.call()), 0, 'maximum deviation changed');
+    });
+
+    it('Admin can set a maximum deviation', async () => {
+      try {
+        const { logs } = await basketEscrow.changeMaxNavDeviation(5e16, { from: ADMINISTRATOR });
+        assert.strictEqual(logs[0].event, 'LogMaxNavDeviationChange', 'Wrong event fired');
+        assert.strictEqual(Number(logs[0].args.newMaxNavDeviation), 5e16, 'incorrect deviation logged');
+      } catch (err) { assert.throw(`Error changing maximum deviation: ${err.toString()}`); }
+    });
+
+    it('Accepts orders priced within the deviation', async () => {
+      try {
+        const { logs } = await basketEscrow.createBuyOrder(
+          basket.address, 1e18, expiration, 1,
+          { from: HOLDER_A, value: 208e15, gas: 1e6 },
+        );
+        assert.strictEqual(logs[0].event, 'LogBuyOrderCreated', 'order not created');
+      } catch (err) { assert.throw(`Error creating buy order: ${err.toString()}`); }
+    });
+
+    it('Rejects orders priced too far from NAV', async () => {
+      const initialBalance = Number(await basketEscrow.balances.call(HOLDER_A, 0));
+      try {
+        await basketEscrow.createBuyOrder(basket.address, 1e18, expiration, 2, { from: HOLDER_A, value: 22e16, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      try {
+        await basketEscrow.createBuyOrder(basket.address, 1e18, expiration, 3, { from: HOLDER_A, value: 18e16, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketEscrow.balances.call(HOLDER_A, 0)), initialBalance, 'order was created');
+    });
+
+    it('Rejects orders while prices are stale', async () => {
+      await increaseTime(ORACLE_MAX_PRICE_AGE + 1);
+      const [, stale] = await basket.getNavPromise();
+      assert.strictEqual(stale, true, 'old prices not reported as stale');
+
+      const initialBalance = Number(await basketEscrow.balances.call(HOLDER_A, 0));
+      try {
+        await basketEscrow.createBuyOrder(basket.address, 1e18, expiration, 4, { from: HOLDER_A, value: NAV, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketEscrow.balances.call(HOLDER_A, 0)), initialBalance, 'order was created');
+    });
+  });
+
+  describe('Fallback', () => {
+    it('Rejects any ether sent to the oracle registry', async () => {
+      try {
+        await web3.eth.sendTransactionPromise({ from: RANDOM, to: oracleRegistry.address, value: 1e18 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      const balance = await web3.eth.getBalancePromise(oracleRegistry.address);
+      assert.strictEqual(Number(balance), 0, 'registry accepted ether');
+    });
+  });
+});
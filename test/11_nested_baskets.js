@@ -0,0 +1,139 @@
+const path = require('path');
+const Promise = require('bluebird');
+
+const KYC = artifacts.require('./KYC.sol');
+const BasketRegistry = artifacts.require('./BasketRegistry.sol');
+const BasketFactory = artifacts.require('./BasketFactory.sol');
+const { abi: basketAbi } = require('../build/contracts/Basket.json');
+const { constructors } = require('../migrations/constructors.js');
+const { web3 } = require('../utils/web3');
+const { increaseTime } = require('../utils/evm');
+const {
+  DECIMALS,
+  INITIAL_SUPPLY,
+  FAUCET_AMOUNT,
+} = require('../config');
+
+const doesRevert = err => err.message.includes('revert');
+
+contract('Nested baskets', (accounts) => {
+  // Accounts
+  const [ADMINISTRATOR, ARRANGER, HOLDER_A, RANDOM] = accounts.slice(0, 4);
+
+  // Contract instances
+  let basketRegistry, basketFactory, kyc, tokenA, tokenB, tokenC;
+  let innerBasket, outerBasket;
+
+  const createBasket = async (tokens, weights, kycAddress = kyc.address) => {
+    const fee = await basketFactory.productionFee.call();
+    const txObj = await basketFactory.createBasket(
+      'NEST', 'BASK', tokens, weights, ARRANGER, 0, kycAddress, 0, 0, 0, 0, 0,
+      { from: ARRANGER, value: Number(fee) },
+    );
+    const basket = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+    Promise.promisifyAll(basket, { suffix: 'Promise' });
+    return basket;
+  };
+
+  before('Deploy an inner basket of two tokens and an outer basket holding it', async () => {
+    console.log(`  ================= START TEST [ ${path.basename(__filename)} ] =================`);
+
+    try {
+      kyc = await KYC.deployed();
+      basketRegistry = await BasketRegistry.deployed();
+      basketFactory = await BasketFactory.deployed();
+      await kyc.whitelistHolder(HOLDER_A, { from: ADMINISTRATOR });
+
+      tokenA = await constructors.TestToken(HOLDER_A, 'Token A', 'TOKA', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+      tokenB = await constructors.TestToken(HOLDER_A, 'Token B', 'TOKB', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+      tokenC = await constructors.TestToken(HOLDER_A, 'Token C', 'TOKC', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+
+      innerBasket = await createBasket([tokenA.address, tokenB.address], [1e18, 1e18]);
+      outerBasket = await createBasket([innerBasket.address, tokenC.address], [2e18, 1e18]);
+    } catch (err) { assert.throw(`Failed to deploy contracts: ${err.toString()}`); }
+  });
+
+  describe('Recognising basket components', () => {
+    it('Records the outer basket as a parent of the inner basket', async () => {
+      assert.strictEqual(await basketRegistry.isParentBasket.call(innerBasket.address, outerBasket.address), true, 'parent not recorded');
+      assert.strictEqual(await basketRegistry.isParentBasket.call(tokenC.address, outerBasket.address), false, 'token recorded as basket');
+    });
+
+    it('Lets the outer basket hold the inner basket without a KYC approval', async () => {
+      assert.strictEqual(await kyc.isWhitelistedHolder.call(outerBasket.address), false, 'outer basket is whitelisted');
+      assert.strictEqual(await innerBasket.isWhitelistedHolderPromise(outerBasket.address), true, 'outer basket can not hold');
+      assert.strictEqual(await innerBasket.isWhitelistedHolderPromise(RANDOM), false, 'random address can hold');
+    });
+
+    it('Does not record a parent that skips the inner basket\'s KYC checks', async () => {
+      try {
+        const openBasket = await createBasket([innerBasket.address], [1e18], 0);
+        assert.strictEqual(await basketRegistry.isParentBasket.call(innerBasket.address, openBasket.address), false, 'parent recorded');
+        assert.strictEqual(await innerBasket.isWhitelistedHolderPromise(openBasket.address), false, 'parent without KYC can hold');
+        assert.strictEqual(await basketRegistry.isCustodian.call(innerBasket.address, openBasket.address), true, 'parent not a custodian');
+      } catch (err) { assert.throw(`Error creating basket: ${err.toString()}`); }
+    });
+
+    it('Bundles the outer basket from inner baskets', async () => {
+      try {
+        await tokenA.approve(innerBasket.address, 4e18, { from: HOLDER_A });
+        await tokenB.approve(innerBasket.address, 4e18, { from: HOLDER_A });
+        await innerBasket.depositAndBundlePromise(4e18, { from: HOLDER_A, gas: 1e6 });
+
+        await innerBasket.approvePromise(outerBasket.address, 4e18, { from: HOLDER_A, gas: 1e6 });
+        await tokenC.approve(outerBasket.address, 2e18, { from: HOLDER_A });
+        await outerBasket.depositAndBundlePromise(2e18, { from: HOLDER_A, gas: 1e6 });
+
+        assert.strictEqual(Number(await innerBasket.balanceOfPromise(outerBasket.address)), 4e18, 'inner baskets not deposited');
+        assert.strictEqual(Number(await outerBasket.balanceOfPromise(HOLDER_A)), 2e18, 'outer baskets not minted');
+      } catch (err) { assert.throw(`Error bundling nested baskets: ${err.toString()}`); }
+    });
+  });
+
+  describe('Recursive debundle', () => {
+    it('Cannot unwrap more levels than the maximum', async () => {
+      const maxDepth = Number(await outerBasket.MAX_NESTING_DEPTHPromise());
+      try {
+        await outerBasket.debundleNestedPromise(HOLDER_A, 1e18, maxDepth + 1, { from: HOLDER_A, gas: 2e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await outerBasket.balanceOfPromise(HOLDER_A)), 2e18, 'baskets were debundled');
+    });
+
+    it('Turns an outer basket straight into the underlying tokens', async () => {
+      try {
+        const initialA = await tokenA.balanceOf(HOLDER_A);
+        const initialB = await tokenB.balanceOf(HOLDER_A);
+        const initialC = await tokenC.balanceOf(HOLDER_A);
+        await outerBasket.debundleNestedPromise(HOLDER_A, 1e18, 1, { from: HOLDER_A, gas: 2e6 });
+
+        assert.strictEqual(Number((await tokenA.balanceOf(HOLDER_A)).minus(initialA)), 2e18, 'incorrect token A returned');
+        assert.strictEqual(Number((await tokenB.balanceOf(HOLDER_A)).minus(initialB)), 2e18, 'incorrect token B returned');
+        assert.strictEqual(Number((await tokenC.balanceOf(HOLDER_A)).minus(initialC)), 1e18, 'incorrect token C returned');
+        assert.strictEqual(Number(await innerBasket.balanceOfPromise(HOLDER_A)), 0, 'inner baskets sent to holder');
+        assert.strictEqual(Number(await innerBasket.totalSupplyPromise()), 2e18, 'inner baskets not burned');
+      } catch (err) { assert.throw(`Error debundling nested baskets: ${err.toString()}`); }
+    });
+
+    it('Transfers basket components as they are at depth 0, even while the inner basket is paused', async () => {
+      try {
+        await innerBasket.pausePromise({ from: ARRANGER, gas: 1e6 });
+        await outerBasket.debundleNestedPromise(HOLDER_A, 1e18, 0, { from: HOLDER_A, gas: 2e6 });
+        assert.strictEqual(Number(await innerBasket.balanceOfPromise(HOLDER_A)), 2e18, 'inner baskets not sent to holder');
+        assert.strictEqual(Number(await outerBasket.totalSupplyPromise()), 0, 'outer baskets not burned');
+      } catch (err) { assert.throw(`Error debundling: ${err.toString()}`); }
+    });
+  });
+
+  describe('Rebalancing out of a basket component', () => {
+    it('Removes the parent record once the inner basket is no longer a component', async () => {
+      try {
+        await outerBasket.proposeRebalancePromise([tokenC.address], [1e18], { from: ARRANGER, gas: 1e6 });
+        await increaseTime(Number(await outerBasket.REBALANCE_TIMELOCKPromise()));
+        await outerBasket.executeRebalancePromise({ from: ARRANGER, gas: 1e6 });
+
+        assert.strictEqual(await basketRegistry.isParentBasket.call(innerBasket.address, outerBasket.address), false, 'parent still recorded');
+        assert.strictEqual(await innerBasket.isWhitelistedHolderPromise(outerBasket.address), false, 'former parent can still hold');
+      } catch (err) { assert.throw(`Error rebalancing: ${err.toString()}`); }
+    });
+  });
+});
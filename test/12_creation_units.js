@@ -0,0 +1,189 @@
+const path = require('path');
+const Promise = require('bluebird');
+
+const KYC = artifacts.require('./KYC.sol');
+const BasketRegistry = artifacts.require('./BasketRegistry.sol');
+const BasketFactory = artifacts.require('./BasketFactory.sol');
+const BasketEscrow = artifacts.require('./BasketEscrow.sol');
+const { abi: basketAbi } = require('../build/contracts/Basket.json');
+const { constructors } = require('../migrations/constructors.js');
+const { web3 } = require('../utils/web3');
+const { latestTime } = require('../utils/evm');
+const { toWeight, getMinCreationUnit, getBasketWeights } = require('../utils/weights');
+const {
+  INITIAL_SUPPLY,
+  FAUCET_AMOUNT,
+} = require('../config');
+
+const doesRevert = err => err.message.includes('revert');
+
+contract('Creation units', (accounts) => {
+  // Accounts
+  const [ADMINISTRATOR, ARRANGER, HOLDER_A] = accounts.slice(0, 3);
+
+  // Contract instances
+  let kyc, basketRegistry, basketFactory, fee, usdc, wbtc, basket;
+
+  // 100 USDC (6 decimals) and 0.5 WBTC (8 decimals) per basket
+  const COMPONENTS = () => [{ token: usdc.address, amount: '100' }, { token: wbtc.address, amount: '0.5' }];
+  const WEIGHTS = [1e8, 5e7];
+  // 1e18 / 5e7: the smallest quantity of baskets that takes one base unit of WBTC
+  const CREATION_UNIT = 2e10;
+
+  const createBasket = async (creationUnit) => {
+    const txObj = await basketFactory.createBasket(
+      'U100B05', 'BASK', [usdc.address, wbtc.address], WEIGHTS, ARRANGER, 0, kyc.address, 0, 0, 0, 0, creationUnit,
+      { from: ARRANGER, value: Number(fee) },
+    );
+    const b = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+    Promise.promisifyAll(b, { suffix: 'Promise' });
+    return b;
+  };
+
+  before('Deploy tokens with 6 and 8 decimals', async () => {
+    console.log(`  ================= START TEST [ ${path.basename(__filename)} ] =================`);
+
+    try {
+      kyc = await KYC.deployed();
+      basketRegistry = await BasketRegistry.deployed();
+      basketFactory = await BasketFactory.deployed();
+      fee = await basketFactory.productionFee.call();
+      await kyc.whitelistHolder(HOLDER_A, { from: ADMINISTRATOR });
+
+      usdc = await constructors.TestToken(HOLDER_A, 'USD Coin', 'USDC', 6, INITIAL_SUPPLY, FAUCET_AMOUNT);
+      wbtc = await constructors.TestToken(HOLDER_A, 'Wrapped Bitcoin', 'WBTC', 8, INITIAL_SUPPLY, FAUCET_AMOUNT);
+    } catch (err) { assert.throw(`Failed to deploy contracts: ${err.toString()}`); }
+  });
+
+  describe('Weights helper', () => {
+    it('Converts amounts per basket into weights using each token\'s decimals', async () => {
+      try {
+        const { tokens, weights, creationUnit } = await getBasketWeights(COMPONENTS());
+        assert.deepEqual(tokens, [usdc.address, wbtc.address], 'incorrect tokens');
+        assert.deepEqual(weights.map(Number), WEIGHTS, 'incorrect weights');
+        assert.strictEqual(Number(creationUnit), CREATION_UNIT, 'incorrect creation unit');
+      } catch (err) { assert.throw(`Error converting amounts: ${err.toString()}`); }
+    });
+
+    it('Rejects amounts finer than the token\'s decimals', async () => {
+      assert.throws(() => toWeight('0.000000001', 8), /can not be expressed/);
+      assert.throws(() => toWeight('0', 8), /can not be expressed/);
+      assert.strictEqual(Number(getMinCreationUnit([3e17])), 4, 'creation unit not rounded up');
+    });
+  });
+
+  describe('Creating baskets', () => {
+    it('Rejects a creation unit for which a component rounds to zero', async () => {
+      const initialCount = Number(await basketRegistry.arrangerBasketCount.call(ARRANGER));
+      try {
+        await createBasket(CREATION_UNIT / 2);
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketRegistry.arrangerBasketCount.call(ARRANGER)), initialCount, 'basket was created');
+    });
+
+    it('Defaults to the smallest safe creation unit', async () => {
+      try {
+        basket = await createBasket(0);
+        assert.strictEqual(Number(await basket.creationUnitPromise()), CREATION_UNIT, 'incorrect creation unit');
+      } catch (err) { assert.throw(`Error creating basket: ${err.toString()}`); }
+    });
+
+    it('Accepts a larger creation unit', async () => {
+      try {
+        const largeBasket = await createBasket(1e18);
+        assert.strictEqual(Number(await largeBasket.creationUnitPromise()), 1e18, 'incorrect creation unit');
+      } catch (err) { assert.throw(`Error creating basket: ${err.toString()}`); }
+    });
+  });
+
+  describe('Bundling and debundling', () => {
+    before('Approve components', async () => {
+      await usdc.approve(basket.address, 1000e6, { from: HOLDER_A });
+      await wbtc.approve(basket.address, 10e8, { from: HOLDER_A });
+    });
+
+    it('Rejects quantities that are not multiples of the creation unit', async () => {
+      try {
+        await basket.depositAndBundlePromise(CREATION_UNIT / 2, { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      try {
+        await basket.depositAndBundlePromise(CREATION_UNIT * 1.5, { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.totalSupplyPromise()), 0, 'baskets were minted');
+      assert.strictEqual(Number(await wbtc.balanceOf(basket.address)), 0, 'components were deposited');
+    });
+
+    it('Bundles one creation unit, depositing every component', async () => {
+      try {
+        await basket.depositAndBundlePromise(CREATION_UNIT, { from: HOLDER_A, gas: 1e6 });
+        assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER_A)), CREATION_UNIT, 'baskets not minted');
+        assert.strictEqual(Number(await usdc.balanceOf(basket.address)), 2, 'incorrect USDC deposited');
+        assert.strictEqual(Number(await wbtc.balanceOf(basket.address)), 1, 'incorrect WBTC deposited');
+      } catch (err) { assert.throw(`Error bundling: ${err.toString()}`); }
+    });
+
+    it('Cannot change the creation unit once baskets are minted', async () => {
+      try {
+        await basket.setCreationUnitPromise(1e18, { from: ARRANGER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.creationUnitPromise()), CREATION_UNIT, 'creation unit changed');
+    });
+
+    it('Rejects debundling quantities that are not multiples of the creation unit', async () => {
+      try {
+        await basket.debundleAndWithdrawPromise(CREATION_UNIT / 2, { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      try {
+        await basket.debundleAndWithdrawAvailablePromise(CREATION_UNIT / 2, { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      try {
+        await basket.partialDebundlePromise(CREATION_UNIT / 2, [usdc.address], { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      try {
+        await basket.burnPromise(CREATION_UNIT / 2, { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER_A)), CREATION_UNIT, 'baskets were debundled');
+    });
+
+    it('Debundles multiples of the creation unit', async () => {
+      try {
+        await basket.debundleAndWithdrawPromise(CREATION_UNIT, { from: HOLDER_A, gas: 1e6 });
+        assert.strictEqual(Number(await basket.totalSupplyPromise()), 0, 'baskets not burned');
+        assert.strictEqual(Number(await wbtc.balanceOf(basket.address)), 0, 'WBTC not returned');
+      } catch (err) { assert.throw(`Error debundling: ${err.toString()}`); }
+    });
+  });
+
+  describe('Escrowed sell orders of a paused basket', () => {
+    let basketEscrow;
+    let expiration;
+    const ORDER_AMOUNT = CREATION_UNIT * 1.5;
+
+    before('Bundle two creation units and offer one and a half of them for sale', async () => {
+      basketEscrow = await BasketEscrow.deployed();
+      await kyc.whitelistHolder(basketEscrow.address, { from: ADMINISTRATOR });
+      await basket.depositAndBundlePromise(CREATION_UNIT * 2, { from: HOLDER_A, gas: 1e6 });
+      await basket.approvePromise(basketEscrow.address, ORDER_AMOUNT, { from: HOLDER_A, gas: 1e6 });
+      expiration = (await latestTime()) + 86400;
+      await basketEscrow.createSellOrder(basket.address, ORDER_AMOUNT, 1e15, expiration, 1, { from: HOLDER_A, gas: 1e6 });
+    });
+
+    it('Is registered as a custodian by the migration', async () => {
+      assert.strictEqual(await basketRegistry.basketEscrowMap.call(basketEscrow.address), true, 'escrow not whitelisted');
+      assert.strictEqual(await basketRegistry.isCustodian.call(basket.address, basketEscrow.address), true, 'escrow not a custodian');
+      assert.strictEqual(await basketRegistry.basketEscrows.call(0), basketEscrow.address, 'escrow not listed');
+    });
+
+    it('Redeems a cancelled order that is not a multiple of the creation unit', async () => {
+      try {
+        await basket.pausePromise({ from: ARRANGER, gas: 1e6 });
+        const initialUsdc = await usdc.balanceOf(HOLDER_A);
+        await basketEscrow.cancelSellOrder(basket.address, ORDER_AMOUNT, 1e15, expiration, 1, { from: HOLDER_A, gas: 1e6 });
+
+        assert.strictEqual(Number(await basket.balanceOfPromise(basketEscrow.address)), 0, 'baskets left in escrow');
+        assert.strictEqual(Number(await basket.totalSupplyPromise()), CREATION_UNIT / 2, 'baskets not burned');
+        assert.strictEqual(Number((await usdc.balanceOf(HOLDER_A)).minus(initialUsdc)), 3, 'USDC not returned to seller');
+      } catch (err) { assert.throw(`Error cancelling sell order: ${err.toString()}`); }
+    });
+  });
+});
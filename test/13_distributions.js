@@ -0,0 +1,261 @@
+const path = require('path');
+const Promise = require('bluebird');
+
+const KYC = artifacts.require('./KYC.sol');
+const BasketFactory = artifacts.require('./BasketFactory.sol');
+const { abi: basketAbi } = require('../build/contracts/Basket.json');
+const { constructors } = require('../migrations/constructors.js');
+const { web3 } = require('../utils/web3');
+const { increaseTime } = require('../utils/evm');
+const {
+  DECIMALS,
+  INITIAL_SUPPLY,
+  FAUCET_AMOUNT,
+} = require('../config');
+
+const doesRevert = err => err.message.includes('revert');
+
+contract('Distributions', (accounts) => {
+  // Accounts
+  const [ADMINISTRATOR, ARRANGER, HOLDER_A, HOLDER_B, AIRDROPPER, RANDOM] = accounts.slice(0, 6);
+
+  // Contract instances
+  let basket, tokenA, airdropToken;
+
+  const getLogs = async (txHash, signature) => {
+    const { logs } = await web3.eth.getTransactionReceiptPromise(txHash);
+    return logs.filter(l => l.topics[0] === web3.sha3(signature));
+  };
+
+  before('Deploy a basket held 2:1 by two holders and airdrop a token to it', async () => {
+    console.log(`  ================= START TEST [ ${path.basename(__filename)} ] =================`);
+
+    try {
+      const kyc = await KYC.deployed();
+      await kyc.whitelistHolders([HOLDER_A, HOLDER_B], { from: ADMINISTRATOR });
+      tokenA = await constructors.TestToken(HOLDER_A, 'Token A', 'TOKA', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+      airdropToken = await constructors.TestToken(AIRDROPPER, 'Airdrop', 'DROP', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+
+      const basketFactory = await BasketFactory.deployed();
+      const fee = await basketFactory.productionFee.call();
+      const txObj = await basketFactory.createBasket(
+        'A1', 'BASK', [tokenA.address], [1e18], ARRANGER, 0, kyc.address, 0, 0, 0, 0, 0,
+        { from: ARRANGER, value: Number(fee) },
+      );
+      basket = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+      Promise.promisifyAll(basket, { suffix: 'Promise' });
+
+      await tokenA.approve(basket.address, 3e18, { from: HOLDER_A });
+      await basket.depositAndBundlePromise(3e18, { from: HOLDER_A, gas: 1e6 });
+      await basket.transferPromise(HOLDER_B, 1e18, { from: HOLDER_A, gas: 1e6 });
+      await airdropToken.transfer(basket.address, 30e18, { from: AIRDROPPER });
+    } catch (err) { assert.throw(`Failed to deploy contracts: ${err.toString()}`); }
+  });
+
+  describe('Surplus', () => {
+    it('Reports tokens not backing any basket tokens as surplus', async () => {
+      assert.strictEqual(Number(await basket.surplusOfPromise(airdropToken.address)), 30e18, 'incorrect airdrop surplus');
+      assert.strictEqual(Number(await basket.surplusOfPromise(tokenA.address)), 0, 'backing component reported as surplus');
+    });
+  });
+
+  describe('Distributing an airdrop', () => {
+    it('Cannot create a distribution from random address', async () => {
+      try {
+        await basket.createDistributionPromise(airdropToken.address, { from: RANDOM, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.getDistributionCountPromise()), 0, 'distribution was created');
+    });
+
+    it('Arranger can distribute the surplus, which is then reserved', async () => {
+      try {
+        const txHash = await basket.createDistributionPromise(airdropToken.address, { from: ARRANGER, gas: 1e6 });
+        const logs = await getLogs(txHash, 'LogDistributionCreated(uint256,address,uint256,uint256,address)');
+        assert.strictEqual(logs.length, 1, 'distribution not logged');
+
+        const [token, amount, totalSupply, claimed] = await basket.getDistributionPromise(0);
+        assert.strictEqual(token, airdropToken.address, 'incorrect token');
+        assert.strictEqual(Number(amount), 30e18, 'incorrect amount');
+        assert.strictEqual(Number(totalSupply), 3e18, 'incorrect total supply');
+        assert.strictEqual(Number(claimed), 0, 'incorrect claimed amount');
+        assert.strictEqual(Number(await basket.surplusOfPromise(airdropToken.address)), 0, 'distribution not reserved');
+      } catch (err) { assert.throw(`Error creating distribution: ${err.toString()}`); }
+    });
+
+    it('Cannot distribute the same tokens twice', async () => {
+      try {
+        await basket.createDistributionPromise(airdropToken.address, { from: ARRANGER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.getDistributionCountPromise()), 1, 'distribution was created');
+    });
+
+    it('Transfers after the distribution do not change the shares', async () => {
+      try {
+        await basket.transferPromise(HOLDER_B, 2e18, { from: HOLDER_A, gas: 1e6 });
+        assert.strictEqual(Number(await basket.getClaimableAmountPromise(HOLDER_A, 0)), 20e18, 'incorrect share of holder A');
+        assert.strictEqual(Number(await basket.getClaimableAmountPromise(HOLDER_B, 0)), 10e18, 'incorrect share of holder B');
+      } catch (err) { assert.throw(`Error transferring: ${err.toString()}`); }
+    });
+
+    it('Holders can claim their share once', async () => {
+      try {
+        const txHash = await basket.claimDistributionPromise(0, { from: HOLDER_B, gas: 1e6 });
+        const logs = await getLogs(txHash, 'LogDistributionClaimed(uint256,address,uint256)');
+        assert.strictEqual(logs.length, 1, 'claim not logged');
+        assert.strictEqual(Number(await airdropToken.balanceOf(HOLDER_B)), 10e18, 'share not paid');
+      } catch (err) { assert.throw(`Error claiming: ${err.toString()}`); }
+
+      try {
+        await basket.claimDistributionPromise(0, { from: HOLDER_B, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await airdropToken.balanceOf(HOLDER_B)), 10e18, 'share paid twice');
+    });
+
+    it('Holders who have since transferred their baskets can still claim', async () => {
+      try {
+        assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER_A)), 0, 'holder A still holds baskets');
+        await basket.claimDistributionPromise(0, { from: HOLDER_A, gas: 1e6 });
+        assert.strictEqual(Number(await airdropToken.balanceOf(HOLDER_A)), 20e18, 'share not paid');
+        const [, , , claimed] = await basket.getDistributionPromise(0);
+        assert.strictEqual(Number(claimed), 30e18, 'incorrect claimed amount');
+      } catch (err) { assert.throw(`Error claiming: ${err.toString()}`); }
+    });
+  });
+
+  describe('Distributing income paid in a component', () => {
+    it('Protocol admin can distribute a component surplus', async () => {
+      try {
+        await tokenA.transfer(basket.address, 3e18, { from: HOLDER_A });
+        assert.strictEqual(Number(await basket.surplusOfPromise(tokenA.address)), 3e18, 'incorrect component surplus');
+        await basket.createDistributionPromise(tokenA.address, { from: ADMINISTRATOR, gas: 1e6 });
+
+        const [, , required] = await basket.getHoldingsPromise();
+        assert.strictEqual(Number(required[0]), 6e18, 'distribution not counted as required');
+        assert.strictEqual(Number(await basket.getClaimableAmountPromise(HOLDER_A, 1)), 0, 'incorrect share of holder A');
+        assert.strictEqual(Number(await basket.getClaimableAmountPromise(HOLDER_B, 1)), 3e18, 'incorrect share of holder B');
+      } catch (err) { assert.throw(`Error creating distribution: ${err.toString()}`); }
+    });
+
+    it('Redemptions and claims are both paid in full', async () => {
+      try {
+        const initialBalance = await tokenA.balanceOf(HOLDER_B);
+        await basket.debundleAndWithdrawPromise(3e18, { from: HOLDER_B, gas: 1e6 });
+        await basket.claimDistributionPromise(1, { from: HOLDER_B, gas: 1e6 });
+        const balance = await tokenA.balanceOf(HOLDER_B);
+        assert.strictEqual(Number(balance.minus(initialBalance)), 6e18, 'incorrect quantity paid');
+        assert.strictEqual(Number(await tokenA.balanceOf(basket.address)), 0, 'tokens left in basket');
+      } catch (err) { assert.throw(`Error redeeming and claiming: ${err.toString()}`); }
+    });
+  });
+
+  describe('Leaving out custodians', () => {
+    it('Does not give a share to a basket holding this basket', async () => {
+      try {
+        const basketFactory = await BasketFactory.deployed();
+        const fee = await basketFactory.productionFee.call();
+        const txObj = await basketFactory.createBasket(
+          'A2', 'BASK', [basket.address], [1e18], ARRANGER, 0, (await KYC.deployed()).address, 0, 0, 0, 0, 0,
+          { from: ARRANGER, value: Number(fee) },
+        );
+        const parentBasket = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+        Promise.promisifyAll(parentBasket, { suffix: 'Promise' });
+
+        await tokenA.approve(basket.address, 2e18, { from: HOLDER_A });
+        await basket.depositAndBundlePromise(2e18, { from: HOLDER_A, gas: 1e6 });
+        await basket.approvePromise(parentBasket.address, 1e18, { from: HOLDER_A, gas: 1e6 });
+        await parentBasket.depositAndBundlePromise(1e18, { from: HOLDER_A, gas: 1e6 });
+        await airdropToken.transfer(basket.address, 10e18, { from: AIRDROPPER });
+        await basket.createDistributionPromise(airdropToken.address, { from: ARRANGER, gas: 1e6 });
+
+        const [, amount, totalSupply] = await basket.getDistributionPromise(2);
+        assert.strictEqual(Number(amount), 10e18, 'incorrect amount');
+        assert.strictEqual(Number(totalSupply), 1e18, 'parent basket\'s balance not left out');
+        assert.strictEqual(Number(await basket.getClaimableAmountPromise(parentBasket.address, 2)), 0, 'parent basket has a share');
+        assert.strictEqual(Number(await basket.getClaimableAmountPromise(HOLDER_A, 2)), 10e18, 'incorrect share of holder A');
+      } catch (err) { assert.throw(`Error creating distribution: ${err.toString()}`); }
+    });
+  });
+
+  describe('Closing distributions', () => {
+    it('Cannot release a distribution that is still open for claims', async () => {
+      try {
+        await basket.closeDistributionPromise(2, { from: ARRANGER, gas: 1e6 });
+        assert.fail('closed a distribution during its claim period');
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      const [, , , , , closed] = await basket.getDistributionPromise(2);
+      assert.strictEqual(closed, false, 'distribution closed');
+    });
+
+    it('Cannot close a distribution from random address', async () => {
+      await increaseTime(Number(await basket.DISTRIBUTION_CLAIM_PERIODPromise()) + 1);
+      try {
+        await basket.closeDistributionPromise(2, { from: RANDOM, gas: 1e6 });
+        assert.fail('closed a distribution from random address');
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      const [, , , , , closed] = await basket.getDistributionPromise(2);
+      assert.strictEqual(closed, false, 'distribution closed');
+    });
+
+    it('Arranger can release the unclaimed remainder once the claim period is over', async () => {
+      try {
+        const initialSurplus = await basket.surplusOfPromise(airdropToken.address);
+        const txHash = await basket.closeDistributionPromise(2, { from: ARRANGER, gas: 1e6 });
+        const logs = await getLogs(txHash, 'LogDistributionClosed(uint256,uint256,address)');
+        assert.strictEqual(logs.length, 1, 'closing not logged');
+
+        const [, , , claimed, , closed] = await basket.getDistributionPromise(2);
+        const surplus = await basket.surplusOfPromise(airdropToken.address);
+        assert.strictEqual(closed, true, 'distribution not closed');
+        assert.strictEqual(Number(claimed), 0, 'incorrect quantity claimed');
+        assert.strictEqual(Number(surplus.minus(initialSurplus)), 10e18, 'remainder not released');
+      } catch (err) { assert.throw(`Error closing distribution: ${err.toString()}`); }
+    });
+
+    it('Holders can no longer claim a closed distribution', async () => {
+      assert.strictEqual(Number(await basket.getClaimableAmountPromise(HOLDER_A, 2)), 0, 'closed distribution claimable');
+      try {
+        await basket.claimDistributionPromise(2, { from: HOLDER_A, gas: 1e6 });
+        assert.fail('claimed a closed distribution');
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+    });
+
+    it('Cannot close a distribution twice', async () => {
+      try {
+        await basket.closeDistributionPromise(2, { from: ARRANGER, gas: 1e6 });
+        assert.fail('closed a distribution twice');
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+    });
+
+    it('Releases the rounding dust left once every holder has claimed', async () => {
+      try {
+        // The claim period has let the holders' whitelist approvals lapse
+        const kyc = await KYC.deployed();
+        await kyc.whitelistHolders([HOLDER_A, HOLDER_B], { from: ADMINISTRATOR });
+        const basketFactory = await BasketFactory.deployed();
+        const fee = await basketFactory.productionFee.call();
+        const txObj = await basketFactory.createBasket(
+          'A1', 'BASK', [tokenA.address], [1e18], ARRANGER, 0, kyc.address, 0, 0, 0, 0, 0,
+          { from: ARRANGER, value: Number(fee) },
+        );
+        const dustBasket = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+        Promise.promisifyAll(dustBasket, { suffix: 'Promise' });
+
+        // 10 base units shared 2:1 pay out 6 and 3, leaving 1 that no claim takes
+        await tokenA.approve(dustBasket.address, 3e18, { from: HOLDER_A });
+        await dustBasket.depositAndBundlePromise(3e18, { from: HOLDER_A, gas: 1e6 });
+        await dustBasket.transferPromise(HOLDER_B, 1e18, { from: HOLDER_A, gas: 1e6 });
+        await airdropToken.transfer(dustBasket.address, 10, { from: AIRDROPPER });
+        await dustBasket.createDistributionPromise(airdropToken.address, { from: ARRANGER, gas: 1e6 });
+        await dustBasket.claimDistributionPromise(0, { from: HOLDER_A, gas: 1e6 });
+        await dustBasket.claimDistributionPromise(0, { from: HOLDER_B, gas: 1e6 });
+        assert.strictEqual(Number(await dustBasket.surplusOfPromise(airdropToken.address)), 0, 'dust not reserved');
+
+        await increaseTime(Number(await dustBasket.DISTRIBUTION_CLAIM_PERIODPromise()) + 1);
+        await dustBasket.closeDistributionPromise(0, { from: ADMINISTRATOR, gas: 1e6 });
+        const [, , , claimed] = await dustBasket.getDistributionPromise(0);
+        assert.strictEqual(Number(claimed), 9, 'incorrect quantity claimed');
+        assert.strictEqual(Number(await dustBasket.surplusOfPromise(airdropToken.address)), 1, 'dust not released');
+      } catch (err) { assert.throw(`Error releasing dust: ${err.toString()}`); }
+    });
+  });
+});
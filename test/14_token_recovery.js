@@ -0,0 +1,136 @@
+const path = require('path');
+const Promise = require('bluebird');
+
+const KYC = artifacts.require('./KYC.sol');
+const BasketFactory = artifacts.require('./BasketFactory.sol');
+const { abi: basketAbi } = require('../build/contracts/Basket.json');
+const { constructors } = require('../migrations/constructors.js');
+const { web3 } = require('../utils/web3');
+const {
+  DECIMALS,
+  INITIAL_SUPPLY,
+  FAUCET_AMOUNT,
+} = require('../config');
+
+const doesRevert = err => err.message.includes('revert');
+
+contract('Token recovery', (accounts) => {
+  // Accounts
+  const [ADMINISTRATOR, ARRANGER, HOLDER_A, RANDOM] = accounts.slice(0, 4);
+
+  // Contract instances
+  let basket, tokenA, strayToken;
+
+  before('Deploy a basket holding 2 TOKA per basket and send it a stray token', async () => {
+    console.log(`  ================= START TEST [ ${path.basename(__filename)} ] =================`);
+
+    try {
+      const kyc = await KYC.deployed();
+      await kyc.whitelistHolder(HOLDER_A, { from: ADMINISTRATOR });
+      tokenA = await constructors.TestToken(HOLDER_A, 'Token A', 'TOKA', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+      strayToken = await constructors.TestToken(RANDOM, 'Stray', 'STRY', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+
+      const basketFactory = await BasketFactory.deployed();
+      const fee = await basketFactory.productionFee.call();
+      const txObj = await basketFactory.createBasket(
+        'A2', 'BASK', [tokenA.address], [2e18], ARRANGER, 0, kyc.address, 0, 0, 0, 0, 0,
+        { from: ARRANGER, value: Number(fee) },
+      );
+      basket = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+      Promise.promisifyAll(basket, { suffix: 'Promise' });
+
+      await tokenA.approve(basket.address, 4e18, { from: HOLDER_A });
+      await basket.depositAndBundlePromise(2e18, { from: HOLDER_A, gas: 1e6 });
+      await strayToken.transfer(basket.address, 5e18, { from: RANDOM });
+    } catch (err) { assert.throw(`Failed to deploy contracts: ${err.toString()}`); }
+  });
+
+  describe('Stray tokens', () => {
+    it('Cannot recover tokens from random address', async () => {
+      try {
+        await basket.recoverTokensPromise(strayToken.address, RANDOM, 5e18, { from: RANDOM, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await strayToken.balanceOf(basket.address)), 5e18, 'tokens were recovered');
+    });
+
+    it('Arranger cannot take tokens that are not components, which may be owed to holders', async () => {
+      try {
+        await basket.recoverTokensPromise(strayToken.address, ARRANGER, 5e18, { from: ARRANGER, gas: 1e6 });
+        assert.fail('arranger recovered a token that is not a component');
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await strayToken.balanceOf(basket.address)), 5e18, 'tokens were recovered');
+    });
+
+    it('Protocol admin can return tokens sent by mistake', async () => {
+      try {
+        const txHash = await basket.recoverTokensPromise(strayToken.address, RANDOM, 5e18, { from: ADMINISTRATOR, gas: 1e6 });
+        const { logs } = await web3.eth.getTransactionReceiptPromise(txHash);
+        const topic = web3.sha3('LogTokensRecovered(address,address,uint256,address)');
+        assert.strictEqual(logs.some(l => l.topics[0] === topic), true, 'recovery not logged');
+        assert.strictEqual(Number(await strayToken.balanceOf(RANDOM)), Number(INITIAL_SUPPLY), 'tokens not returned');
+      } catch (err) { assert.throw(`Error recovering tokens: ${err.toString()}`); }
+    });
+  });
+
+  describe('Excess collateral', () => {
+    it('Cannot withdraw collateral backing basket tokens', async () => {
+      assert.strictEqual(Number(await basket.surplusOfPromise(tokenA.address)), 0, 'backing collateral reported as surplus');
+      try {
+        await basket.recoverTokensPromise(tokenA.address, ARRANGER, 1, { from: ARRANGER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await tokenA.balanceOf(basket.address)), 4e18, 'collateral was withdrawn');
+    });
+
+    it('Cannot withdraw more than the excess', async () => {
+      await tokenA.transfer(basket.address, 1e18, { from: HOLDER_A });
+      assert.strictEqual(Number(await basket.surplusOfPromise(tokenA.address)), 1e18, 'incorrect surplus');
+      try {
+        await basket.recoverTokensPromise(tokenA.address, HOLDER_A, 2e18, { from: ADMINISTRATOR, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await tokenA.balanceOf(basket.address)), 5e18, 'collateral was withdrawn');
+    });
+
+    it('Protocol admin can withdraw the excess', async () => {
+      try {
+        await basket.recoverTokensPromise(tokenA.address, HOLDER_A, 1e18, { from: ADMINISTRATOR, gas: 1e6 });
+        assert.strictEqual(Number(await tokenA.balanceOf(basket.address)), 4e18, 'excess not withdrawn');
+        assert.strictEqual(Number(await basket.surplusOfPromise(tokenA.address)), 0, 'surplus left');
+      } catch (err) { assert.throw(`Error recovering excess: ${err.toString()}`); }
+    });
+
+    it('Cannot withdraw outstanding balances owed to holders', async () => {
+      try {
+        await basket.burnPromise(1e18, { from: HOLDER_A, gas: 1e6 });
+        assert.strictEqual(Number(await basket.totalOutstandingPromise(tokenA.address)), 2e18, 'outstanding balance not credited');
+      } catch (err) { assert.throw(`Error burning: ${err.toString()}`); }
+
+      try {
+        await basket.recoverTokensPromise(tokenA.address, ARRANGER, 1, { from: ARRANGER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await tokenA.balanceOf(basket.address)), 4e18, 'outstanding balance was withdrawn');
+    });
+
+    it('Cannot withdraw tokens reserved for a distribution', async () => {
+      try {
+        await strayToken.transfer(basket.address, 3e18, { from: RANDOM });
+        await basket.createDistributionPromise(strayToken.address, { from: ARRANGER, gas: 1e6 });
+      } catch (err) { assert.throw(`Error creating distribution: ${err.toString()}`); }
+
+      try {
+        await basket.recoverTokensPromise(strayToken.address, ADMINISTRATOR, 1, { from: ADMINISTRATOR, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await strayToken.balanceOf(basket.address)), 3e18, 'distribution was withdrawn');
+    });
+
+    it('Holders are still paid in full', async () => {
+      try {
+        const initialBalance = await tokenA.balanceOf(HOLDER_A);
+        await basket.withdrawPromise(tokenA.address, { from: HOLDER_A, gas: 1e6 });
+        await basket.debundleAndWithdrawPromise(1e18, { from: HOLDER_A, gas: 1e6 });
+        const balance = await tokenA.balanceOf(HOLDER_A);
+        assert.strictEqual(Number(balance.minus(initialBalance)), 4e18, 'holder not paid in full');
+        assert.strictEqual(Number(await tokenA.balanceOf(basket.address)), 0, 'tokens left in basket');
+      } catch (err) { assert.throw(`Error redeeming: ${err.toString()}`); }
+    });
+  });
+});
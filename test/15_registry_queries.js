@@ -0,0 +1,135 @@
+const path = require('path');
+const Promise = require('bluebird');
+
+const KYC = artifacts.require('./KYC.sol');
+const BasketRegistry = artifacts.require('./BasketRegistry.sol');
+const BasketFactory = artifacts.require('./BasketFactory.sol');
+const { abi: basketAbi } = require('../build/contracts/Basket.json');
+const { constructors } = require('../migrations/constructors.js');
+const { web3 } = require('../utils/web3');
+const { increaseTime } = require('../utils/evm');
+const { basketRegistryClient } = require('../utils/basketRegistry');
+const {
+  DECIMALS,
+  INITIAL_SUPPLY,
+  FAUCET_AMOUNT,
+} = require('../config');
+
+contract('Registry queries', (accounts) => {
+  // Accounts
+  const [ADMINISTRATOR, HOLDER_A, ARRANGER_A, ARRANGER_B] = [accounts[0], accounts[2], accounts[6], accounts[7]];
+
+  // Contract instances
+  let basketRegistry, client, tokenA, tokenB, tokenC;
+  let basketAB, basketB, basketAC;
+  let firstIndex;
+
+  before('Deploy three baskets from two arrangers and mint and redeem one of them', async () => {
+    console.log(`  ================= START TEST [ ${path.basename(__filename)} ] =================`);
+
+    try {
+      const kyc = await KYC.deployed();
+      basketRegistry = await BasketRegistry.deployed();
+      client = basketRegistryClient(basketRegistry.address);
+      await kyc.whitelistHolder(HOLDER_A, { from: ADMINISTRATOR });
+      tokenA = await constructors.TestToken(HOLDER_A, 'Token A', 'TOKA', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+      tokenB = await constructors.TestToken(HOLDER_A, 'Token B', 'TOKB', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+      tokenC = await constructors.TestToken(HOLDER_A, 'Token C', 'TOKC', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+
+      const basketFactory = await BasketFactory.deployed();
+      const fee = await basketFactory.productionFee.call();
+      const createBasket = async (arranger, tokens) => {
+        const txObj = await basketFactory.createBasket(
+          'BASKET', 'BASK', tokens, tokens.map(() => 1e18), arranger, 0, kyc.address, 0, 0, 0, 0, 0,
+          { from: arranger, value: Number(fee) },
+        );
+        const b = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+        Promise.promisifyAll(b, { suffix: 'Promise' });
+        return b;
+      };
+
+      firstIndex = Number(await basketRegistry.getBasketCount.call());
+      basketAB = await createBasket(ARRANGER_A, [tokenA.address, tokenB.address]);
+      basketB = await createBasket(ARRANGER_A, [tokenB.address]);
+      basketAC = await createBasket(ARRANGER_B, [tokenA.address, tokenC.address]);
+
+      await tokenA.approve(basketAB.address, 2e18, { from: HOLDER_A });
+      await tokenB.approve(basketAB.address, 2e18, { from: HOLDER_A });
+      await basketAB.depositAndBundlePromise(2e18, { from: HOLDER_A, gas: 1e6 });
+      await basketAB.debundleAndWithdrawPromise(1e18, { from: HOLDER_A, gas: 1e6 });
+      await basketB.pausePromise({ from: ARRANGER_A, gas: 1e6 });
+    } catch (err) { assert.throw(`Failed to deploy contracts: ${err.toString()}`); }
+  });
+
+  describe('Paged queries', () => {
+    it('Reads baskets by index range', async () => {
+      const [baskets, arrangers, totalMinted, totalBurned, statuses] = await basketRegistry.getBaskets.call(firstIndex, 10);
+      assert.deepEqual(baskets, [basketAB.address, basketB.address, basketAC.address], 'incorrect baskets');
+      assert.deepEqual(arrangers, [ARRANGER_A, ARRANGER_A, ARRANGER_B], 'incorrect arrangers');
+      assert.deepEqual(totalMinted.map(Number), [2e18, 0, 0], 'incorrect total minted');
+      assert.deepEqual(totalBurned.map(Number), [1e18, 0, 0], 'incorrect total burned');
+      assert.deepEqual(statuses.map(Number), [0, 1, 0], 'incorrect statuses');
+
+      const [page] = await basketRegistry.getBaskets.call(firstIndex + 1, 1);
+      assert.deepEqual(page, [basketB.address], 'incorrect page');
+      const [empty] = await basketRegistry.getBaskets.call(firstIndex + 3, 10);
+      assert.strictEqual(empty.length, 0, 'page past the end not empty');
+    });
+
+    it('Reads baskets by arranger', async () => {
+      const [baskets] = await basketRegistry.getBasketsByArranger.call(ARRANGER_A, 0, 10);
+      assert.deepEqual(baskets, [basketAB.address, basketB.address], 'incorrect baskets of arranger A');
+      const [page] = await basketRegistry.getBasketsByArranger.call(ARRANGER_A, 1, 10);
+      assert.deepEqual(page, [basketB.address], 'incorrect page');
+      const [other] = await basketRegistry.getBasketsByArranger.call(ARRANGER_B, 0, 10);
+      assert.deepEqual(other, [basketAC.address], 'incorrect baskets of arranger B');
+    });
+
+    it('Reads baskets by component token', async () => {
+      const [baskets, , totalMinted] = await basketRegistry.getBasketsByToken.call(tokenA.address, 0, 10);
+      assert.deepEqual(baskets, [basketAB.address, basketAC.address], 'incorrect baskets listing token A');
+      assert.deepEqual(totalMinted.map(Number), [2e18, 0], 'incorrect total minted');
+      assert.strictEqual(Number(await basketRegistry.getTokenBasketCount.call(tokenB.address)), 2, 'incorrect count');
+    });
+
+    it('Follows rebalances', async () => {
+      try {
+        await basketB.unpausePromise({ from: ARRANGER_A, gas: 1e6 });
+        await basketB.proposeRebalancePromise([tokenC.address], [1e18], { from: ARRANGER_A, gas: 1e6 });
+        await increaseTime(Number(await basketB.REBALANCE_TIMELOCKPromise()));
+        await basketB.executeRebalancePromise({ from: ARRANGER_A, gas: 1e6 });
+      } catch (err) { assert.throw(`Error rebalancing: ${err.toString()}`); }
+
+      const [listingB] = await basketRegistry.getBasketsByToken.call(tokenB.address, 0, 10);
+      assert.deepEqual(listingB, [basketAB.address], 'rebalanced basket still listed');
+      const [listingC] = await basketRegistry.getBasketsByToken.call(tokenC.address, 0, 10);
+      assert.deepEqual(listingC, [basketAC.address, basketB.address], 'rebalanced basket not listed');
+    });
+  });
+
+  describe('JS client', () => {
+    it('Decodes summaries into plain objects', async () => {
+      const summaries = await client.getAllBasketsByArranger(ARRANGER_A);
+      assert.deepEqual(summaries, [
+        {
+          address: basketAB.address, arranger: ARRANGER_A, totalMinted: '2000000000000000000', totalBurned: '1000000000000000000', status: 'active',
+        },
+        {
+          address: basketB.address, arranger: ARRANGER_A, totalMinted: '0', totalBurned: '0', status: 'active',
+        },
+      ], 'incorrect summaries');
+    });
+
+    it('Reads every page', async () => {
+      const count = await client.getBasketCount();
+      const all = await client.getAllBaskets();
+      assert.strictEqual(all.length, count, 'incorrect number of baskets');
+      assert.deepEqual(all.slice(firstIndex).map(s => s.address), [basketAB.address, basketB.address, basketAC.address], 'incorrect baskets');
+
+      const listingC = await client.getAllBasketsByToken(tokenC.address);
+      assert.deepEqual(listingC.map(s => s.address), [basketAC.address, basketB.address], 'incorrect baskets listing token C');
+      const page = await client.getBasketsByToken(tokenC.address, 1, 1);
+      assert.deepEqual(page.map(s => s.address), [basketB.address], 'incorrect page');
+    });
+  });
+});
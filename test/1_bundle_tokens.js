@@ -2,10 +2,14 @@ const path = require('path');
 const Promise = require('bluebird');
 
 const BasketFactory = artifacts.require('./BasketFactory.sol');
+const BasketDeployer = artifacts.require('./BasketDeployer.sol');
+const BasketEscrow = artifacts.require('./BasketEscrow.sol');
+const BasketRegistry = artifacts.require('./BasketRegistry.sol');
 const KYC = artifacts.require('./KYC.sol');
 const { abi: basketAbi } = require('../build/contracts/Basket.json');
 const { constructors } = require('../migrations/constructors.js');
 const { web3 } = require('../utils/web3');
+const { increaseTime, latestTime } = require('../utils/evm');
 const {
   ARRANGER_FEE,
   PRODUCTION_FEE,
@@ -73,7 +77,7 @@ contract('TestToken | Basket', (accounts) => {
         const fee = await basketFactory.productionFee.call();
         initialBalance = await web3.eth.getBalancePromise(ARRANGER);
         const txObj = await basketFactory.createBasket(
-          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], ARRANGER, ARRANGER_FEE, kyc.address,
+          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], ARRANGER, ARRANGER_FEE, kyc.address, 0, 0, 0, 0, 0,
           { from: ARRANGER, value: Number(fee) },
         );
 
@@ -106,7 +110,7 @@ contract('TestToken | Basket', (accounts) => {
         const fee = await basketFactory.productionFee.call();
         initialBalance = await web3.eth.getBalancePromise(ARRANGER);
         await basketFactory.createBasket(
-          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], ARRANGER, ARRANGER_FEE, kyc.address,
+          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], ARRANGER, ARRANGER_FEE, kyc.address, 0, 0, 0, 0, 0,
           { from: ARRANGER, value: Number(fee) / 2 },
         );
       } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
@@ -121,7 +125,7 @@ contract('TestToken | Basket', (accounts) => {
         const fee = await basketFactory.productionFee.call();
         initialBalance = await web3.eth.getBalancePromise(ARRANGER);
         await basketFactory.createBasket(
-          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18], ARRANGER, ARRANGER_FEE, kyc.address,
+          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18], ARRANGER, ARRANGER_FEE, kyc.address, 0, 0, 0, 0, 0,
           { from: ARRANGER, value: Number(fee) },
         );
       } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
@@ -138,7 +142,7 @@ contract('TestToken | Basket', (accounts) => {
         const fee = await basketFactory.productionFee.call();
         const initialBalance = await web3.eth.getBalancePromise(ARRANGER);
         const txObj = await basketFactory.createBasket(
-          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], ARRANGER, 0, ZERO_ADDRESS,
+          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], ARRANGER, 0, ZERO_ADDRESS, 0, 0, 0, 0, 0,
           { from: ARRANGER, value: Number(fee) },
         );
 
@@ -286,6 +290,89 @@ contract('TestToken | Basket', (accounts) => {
     });
   });
 
+  describe('Exact arranger fees and refunds', () => {
+    let fee;
+
+    before('approve component tokens', async () => {
+      try {
+        fee = amount2 * (Number(await basketAB.arrangerFee.call()) / (10 ** FEE_DECIMALS));
+        await tokenA.approve(basketABAddress, amount2, { from: HOLDER_A });
+        await tokenB.approve(basketABAddress, amount2, { from: HOLDER_A });
+      } catch (err) { assert.throw(`before error: ${err.toString()}`); }
+    });
+
+    it('sends the exact fee to the recipient and refunds the overpayment', async () => {
+      try {
+        const recipient = await basketAB.arrangerFeeRecipientPromise();
+        const initialRecipientBalance = await web3.eth.getBalancePromise(recipient);
+        const initialHolderBalance = await web3.eth.getBalancePromise(HOLDER_A);
+        await basketAB.depositAndBundlePromise(amount2, { from: HOLDER_A, value: fee * 3, gas: 1e6, gasPrice: 0 });
+
+        const recipientBalance = await web3.eth.getBalancePromise(recipient);
+        const holderBalance = await web3.eth.getBalancePromise(HOLDER_A);
+        assert.strictEqual(recipientBalance.minus(initialRecipientBalance).toNumber(), fee, 'recipient did not receive the exact fee');
+        assert.strictEqual(initialHolderBalance.minus(holderBalance).toNumber(), fee, 'overpayment was not refunded');
+        assert.strictEqual(Number(await web3.eth.getBalancePromise(basketABAddress)), 0, 'basket kept ether');
+      } catch (err) { assert.throw(`Error bundling with overpayment: ${err.toString()}`); }
+    });
+  });
+
+  describe('Arranger fees in an ERC20 token', () => {
+    const TOKEN_FEE = 1e16;
+    let feeToken, basketTokenFee;
+
+    before('deploy a basket charging its fee in a token', async () => {
+      try {
+        feeToken = await constructors.TestToken(HOLDER_A, 'Fee Token', 'FEE', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+        const productionFee = await basketFactory.productionFee.call();
+        const txObj = await basketFactory.createBasket(
+          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], ARRANGER, TOKEN_FEE, kyc.address, 0, 0, 0, feeToken.address, 0,
+          { from: ARRANGER, value: Number(productionFee) },
+        );
+        basketTokenFee = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+        Promise.promisifyAll(basketTokenFee, { suffix: 'Promise' });
+        await tokenA.approve(basketTokenFee.address, amount1, { from: HOLDER_A });
+        await tokenB.approve(basketTokenFee.address, amount1, { from: HOLDER_A });
+      } catch (err) { assert.throw(`Error deploying basket with a fee token: ${err.toString()}`); }
+    });
+
+    it('stores the fee token', async () => {
+      assert.strictEqual(await basketTokenFee.arrangerFeeTokenPromise(), feeToken.address, 'fee token not stored');
+    });
+
+    it('does not bundle without a fee token allowance', async () => {
+      try {
+        await basketTokenFee.depositAndBundlePromise(amount2, { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketTokenFee.balanceOfPromise(HOLDER_A)), 0, 'baskets minted without a fee');
+    });
+
+    it('charges the fee in the fee token', async () => {
+      try {
+        const fee = amount2 * (TOKEN_FEE / (10 ** FEE_DECIMALS));
+        await feeToken.approve(basketTokenFee.address, fee, { from: HOLDER_A });
+        await basketTokenFee.depositAndBundlePromise(amount2, { from: HOLDER_A, gas: 1e6 });
+
+        assert.strictEqual(Number(await basketTokenFee.balanceOfPromise(HOLDER_A)), amount2, 'baskets not minted');
+        assert.strictEqual(Number(await feeToken.balanceOf(ARRANGER)), fee, 'fee not received');
+      } catch (err) { assert.throw(`Error bundling with a fee token: ${err.toString()}`); }
+    });
+
+    it('does not allow anyone but the arranger to change the fee token', async () => {
+      try {
+        await basketTokenFee.changeArrangerFeeTokenPromise(ZERO_ADDRESS, { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(await basketTokenFee.arrangerFeeTokenPromise(), feeToken.address, 'fee token changed');
+    });
+
+    it('allows the arranger to switch the fee back to ETH', async () => {
+      try {
+        await basketTokenFee.changeArrangerFeeTokenPromise(ZERO_ADDRESS, { from: ARRANGER, gas: 1e6 });
+        assert.strictEqual(await basketTokenFee.arrangerFeeTokenPromise(), ZERO_ADDRESS, 'fee token not changed');
+      } catch (err) { assert.throw(`Error changing fee token: ${err.toString()}`); }
+    });
+  });
+
   describe('Combined debundleAndWithdraw', () => {
     let basketABBalance, tokenABalance, tokenBBalance;
 
@@ -331,6 +418,63 @@ contract('TestToken | Basket', (accounts) => {
     });
   });
 
+  describe('Bundle for a beneficiary and debundle to a third party', () => {
+    let fee;
+
+    before('approve component tokens', async () => {
+      try {
+        fee = amount2 * (Number(await basketAB.arrangerFee.call()) / (10 ** FEE_DECIMALS));
+        await tokenA.approve(basketABAddress, amount2 * 3, { from: HOLDER_A });
+        await tokenB.approve(basketABAddress, amount2 * 3, { from: HOLDER_A });
+      } catch (err) { assert.throw(`before error: ${err.toString()}`); }
+    });
+
+    it('does not mint to an unwhitelisted beneficiary', async () => {
+      try {
+        await basketAB.depositAndBundleForPromise(UNWHITELISTED, amount2, { from: HOLDER_A, value: fee, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketAB.balanceOfPromise(UNWHITELISTED)), 0, 'unwhitelisted beneficiary received baskets');
+    });
+
+    it('allows HOLDER_A to depositAndBundleFor HOLDER_B', async () => {
+      try {
+        const initialBalanceA = Number(await basketAB.balanceOfPromise(HOLDER_A));
+        const initialTokenA = Number(await tokenA.balanceOf(HOLDER_A));
+        await basketAB.depositAndBundleForPromise(HOLDER_B, amount2, { from: HOLDER_A, value: fee, gas: 1e6 });
+
+        assert.strictEqual(Number(await basketAB.balanceOfPromise(HOLDER_B)), amount2, 'beneficiary did not receive baskets');
+        assert.strictEqual(Number(await basketAB.balanceOfPromise(HOLDER_A)), initialBalanceA, 'sender received baskets');
+        assert.strictEqual(initialTokenA - Number(await tokenA.balanceOf(HOLDER_A)), amount2, 'components not taken from sender');
+      } catch (err) { assert.throw(`Error in depositAndBundleFor: ${err.toString()}`); }
+    });
+
+    it('allows HOLDER_B to debundleTo another address', async () => {
+      try {
+        const initialTokenA = Number(await tokenA.balanceOf(UNWHITELISTED));
+        await basketAB.debundleToPromise(UNWHITELISTED, amount2, { from: HOLDER_B, gas: 1e6 });
+
+        assert.strictEqual(Number(await basketAB.balanceOfPromise(HOLDER_B)), 0, 'baskets not burned');
+        assert.strictEqual(Number(await tokenA.balanceOf(UNWHITELISTED)) - initialTokenA, amount2, 'recipient did not receive components');
+      } catch (err) { assert.throw(`Error in debundleTo: ${err.toString()}`); }
+    });
+
+    it('withdraws only the selected components in a partial debundle', async () => {
+      try {
+        await basketAB.depositAndBundlePromise(amount2, { from: HOLDER_A, value: fee, gas: 1e6 });
+        const initialTokenA = Number(await tokenA.balanceOf(HOLDER_A));
+        const initialTokenB = Number(await tokenB.balanceOf(HOLDER_A));
+        await basketAB.partialDebundlePromise(amount2, [tokenA.address], { from: HOLDER_A, gas: 1e6 });
+
+        assert.strictEqual(Number(await tokenA.balanceOf(HOLDER_A)) - initialTokenA, amount2, 'selected component not withdrawn');
+        assert.strictEqual(Number(await tokenB.balanceOf(HOLDER_A)), initialTokenB, 'unselected component withdrawn');
+        assert.strictEqual(Number(await basketAB.outstandingBalancePromise(HOLDER_A, tokenB.address)), amount2, 'unselected component not credited');
+
+        await basketAB.withdrawPromise(tokenB.address, { from: HOLDER_A, gas: 1e6 });
+        assert.strictEqual(Number(await tokenB.balanceOf(HOLDER_A)) - initialTokenB, amount2, 'credited component not withdrawn');
+      } catch (err) { assert.throw(`Error in partialDebundle: ${err.toString()}`); }
+    });
+  });
+
   describe('Allows factory admin to change key variables', () => {
     before('initialization', async () => {
       const admin = await basketFactory.admin.call();
@@ -415,6 +559,31 @@ contract('TestToken | Basket', (accounts) => {
     });
   });
 
+  describe('Basket extension', () => {
+    let basketExtension;
+
+    before('initialization', async () => {
+      const basketDeployer = await BasketDeployer.deployed();
+      basketExtension = await basketDeployer.basketExtension.call();
+    });
+
+    it('delegates to the extension of the basket deployer', async () => {
+      const _basketExtension = await basketAB.basketExtension.call();
+      assert.strictEqual(_basketExtension, basketExtension, 'wrong basket extension set');
+      assert.notStrictEqual(_basketExtension, ZERO_ADDRESS, 'basket extension not set');
+    });
+
+    it('does not allow the arranger to replace the extension', async () => {
+      try {
+        await basketAB.setBasketExtensionPromise(HOLDER_B, { from: ARRANGER });
+        assert.fail('replaced the basket extension');
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+
+      const _basketExtension = await basketAB.basketExtension.call();
+      assert.strictEqual(_basketExtension, basketExtension, 'basket extension changed');
+    });
+  });
+
   describe('Allows bundle when fee is zero', () => {
     let basketABBalance;
 
@@ -459,6 +628,425 @@ contract('TestToken | Basket', (accounts) => {
     });
   });
 
+  describe('Maximum holder count', () => {
+    let holders, newcomer;
+
+    before('Find current holders and a whitelisted address without baskets', async () => {
+      try {
+        const balances = await Promise.all(accounts.slice(0, 6).map(a => basketAB.balanceOfPromise(a)));
+        holders = accounts.slice(0, 6).filter((a, i) => Number(balances[i]) > 0);
+        newcomer = [MARKETMAKER, HOLDER_B].find(a => !holders.includes(a));
+      } catch (err) { assert.throw(`Error reading basket balances: ${err.toString()}`); }
+    });
+
+    it('counts addresses with a non-zero balance', async () => {
+      const holderCount = await basketAB.holderCountPromise();
+      assert.strictEqual(Number(holderCount), holders.length, 'incorrect holder count');
+    });
+
+    it('reverts when anyone else tries to set the maximum', async () => {
+      try {
+        await basketAB.setMaxHoldersPromise(holders.length, { from: HOLDER_A });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketAB.maxHoldersPromise()), 0, 'max holders changed');
+    });
+
+    it('allows arranger to cap the holder count', async () => {
+      await basketAB.setMaxHoldersPromise(holders.length, { from: ARRANGER });
+      assert.strictEqual(Number(await basketAB.maxHoldersPromise()), holders.length, 'max holders did not change');
+    });
+
+    it('rejects transfers that would add a holder beyond the cap', async () => {
+      try {
+        await basketAB.transferPromise(newcomer, amtToTransfer, { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketAB.balanceOfPromise(newcomer)), 0, 'new holder received baskets');
+    });
+
+    it('rejects bundles that would add a holder beyond the cap', async () => {
+      try {
+        await tokenA.transfer(newcomer, amount1, { from: HOLDER_A });
+        await tokenB.transfer(newcomer, amount1, { from: HOLDER_A });
+        await tokenA.approve(basketABAddress, amount1, { from: newcomer });
+        await tokenB.approve(basketABAddress, amount1, { from: newcomer });
+        await basketAB.depositAndBundlePromise(amount1, { from: newcomer, value: 0, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketAB.balanceOfPromise(newcomer)), 0, 'new holder received baskets');
+    });
+
+    it('counts new holders and frees their slot once they transfer out their whole balance', async () => {
+      try {
+        await basketAB.setMaxHoldersPromise(holders.length + 1, { from: ARRANGER });
+        await basketAB.transferPromise(newcomer, amtToTransfer, { from: HOLDER_A, gas: 1e6 });
+        assert.strictEqual(Number(await basketAB.holderCountPromise()), holders.length + 1, 'holder count did not increase');
+
+        await basketAB.transferPromise(HOLDER_A, amtToTransfer, { from: newcomer, gas: 1e6 });
+        assert.strictEqual(Number(await basketAB.holderCountPromise()), holders.length, 'holder count did not decrease');
+      } catch (err) { assert.throw(`Error transferring within the cap: ${err.toString()}`); }
+    });
+
+    after('remove the cap', async () => {
+      await basketAB.setMaxHoldersPromise(0, { from: ARRANGER });
+    });
+  });
+
+  describe('Lock-up period', () => {
+    const LOCKUP_PERIOD = 1000;
+    let basketLocked, mintedAt;
+
+    before('deploy a basket with a lock-up period', async () => {
+      try {
+        const fee = await basketFactory.productionFee.call();
+        const txObj = await basketFactory.createBasket(
+          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], ARRANGER, 0, kyc.address, 0, LOCKUP_PERIOD, 0, 0, 0,
+          { from: ARRANGER, value: Number(fee) },
+        );
+        basketLocked = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+        Promise.promisifyAll(basketLocked, { suffix: 'Promise' });
+      } catch (err) { assert.throw(`Error deploying basket with lock-up: ${err.toString()}`); }
+    });
+
+    it('stores the lock-up period', async () => {
+      assert.strictEqual(Number(await basketLocked.lockupPeriodPromise()), LOCKUP_PERIOD, 'lock-up period not stored');
+    });
+
+    it('does not allow the lock-up period to be changed once set', async () => {
+      try {
+        await basketLocked.setLockupPeriodPromise(1, { from: ARRANGER });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketLocked.lockupPeriodPromise()), LOCKUP_PERIOD, 'lock-up period changed');
+    });
+
+    it('locks up newly minted tokens', async () => {
+      try {
+        await tokenA.approve(basketLocked.address, amount1, { from: HOLDER_A });
+        await tokenB.approve(basketLocked.address, amount1, { from: HOLDER_A });
+        await basketLocked.depositAndBundlePromise(amount1, { from: HOLDER_A, value: 0, gas: 1e6 });
+        mintedAt = await latestTime();
+
+        assert.strictEqual(Number(await basketLocked.lockedBalanceOfPromise(HOLDER_A)), amount1, 'incorrect locked balance');
+        assert.strictEqual(Number(await basketLocked.unlockedBalanceOfPromise(HOLDER_A)), 0, 'incorrect unlocked balance');
+        assert.strictEqual(Number(await basketLocked.getLockupCountPromise(HOLDER_A)), 1, 'incorrect number of lock-ups');
+        const [quantity, releaseTime] = await basketLocked.lockupsPromise(HOLDER_A, 0);
+        assert.strictEqual(Number(quantity), amount1, 'incorrect lock-up quantity');
+        assert.strictEqual(Number(releaseTime), mintedAt + LOCKUP_PERIOD, 'incorrect release time');
+      } catch (err) { assert.throw(`Error bundling with lock-up: ${err.toString()}`); }
+    });
+
+    it('does not let other holders mint locked-up tokens for a holder', async () => {
+      try {
+        await tokenA.transfer(HOLDER_B, amount2, { from: HOLDER_A });
+        await tokenB.transfer(HOLDER_B, amount2, { from: HOLDER_A });
+        await tokenA.approve(basketLocked.address, amount2, { from: HOLDER_B });
+        await tokenB.approve(basketLocked.address, amount2, { from: HOLDER_B });
+        await basketLocked.depositAndBundleForPromise(HOLDER_A, amount2, { from: HOLDER_B, value: 0, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketLocked.getLockupCountPromise(HOLDER_A)), 1, 'lock-up was added');
+    });
+
+    it('refuses transfers of locked tokens', async () => {
+      try {
+        await basketLocked.transferPromise(HOLDER_B, amount2, { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      try {
+        await basketLocked.approvePromise(MARKETMAKER, amount2, { from: HOLDER_A });
+        await basketLocked.transferFromPromise(HOLDER_A, HOLDER_B, amount2, { from: MARKETMAKER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketLocked.balanceOfPromise(HOLDER_B)), 0, 'locked tokens were transferred');
+    });
+
+    it('refuses sell orders of locked tokens', async () => {
+      const basketEscrow = await BasketEscrow.deployed();
+      try {
+        await basketLocked.approvePromise(basketEscrow.address, amount2, { from: HOLDER_A });
+        await basketEscrow.createSellOrder(basketLocked.address, amount2, 1e17, mintedAt + 86400, 1, { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketLocked.balanceOfPromise(basketEscrow.address)), 0, 'locked tokens were escrowed');
+    });
+
+    it('releases tokens once the lock-up period has passed', async () => {
+      try {
+        await increaseTime(LOCKUP_PERIOD + 1);
+        assert.strictEqual(Number(await basketLocked.lockedBalanceOfPromise(HOLDER_A)), 0, 'tokens still locked');
+        await basketLocked.transferPromise(HOLDER_B, amount2, { from: HOLDER_A, gas: 1e6 });
+        assert.strictEqual(Number(await basketLocked.balanceOfPromise(HOLDER_B)), amount2, 'unlocked tokens were not transferred');
+      } catch (err) { assert.throw(`Error transferring unlocked tokens: ${err.toString()}`); }
+    });
+  });
+
+  describe('Management fee', () => {
+    const MANAGEMENT_FEE = 200;
+    const ELAPSED = 30 * 86400;
+    // leaves room for the weights to be scaled down without a component quantity rounding to zero
+    const CREATION_UNIT = 1e6;
+    let basketManaged, basketRegistry, feeMinted, scaledWeight;
+
+    before('deploy a basket and mint to HOLDER_A', async () => {
+      try {
+        basketRegistry = await BasketRegistry.deployed();
+        const fee = await basketFactory.productionFee.call();
+        const txObj = await basketFactory.createBasket(
+          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], MARKETMAKER, 0, kyc.address, 0, 0, 0, 0, CREATION_UNIT,
+          { from: ARRANGER, value: Number(fee) },
+        );
+        basketManaged = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+        Promise.promisifyAll(basketManaged, { suffix: 'Promise' });
+        await tokenA.approve(basketManaged.address, amount1, { from: HOLDER_A });
+        await tokenB.approve(basketManaged.address, amount1, { from: HOLDER_A });
+      } catch (err) { assert.throw(`Error deploying basket: ${err.toString()}`); }
+    });
+
+    it('does not allow a management fee above the cap', async () => {
+      const maxFee = Number(await basketManaged.MAX_MANAGEMENT_FEEPromise());
+      try {
+        await basketManaged.changeManagementFeePromise(maxFee + 1, { from: ARRANGER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketManaged.managementFeePromise()), 0, 'fee above the cap was set');
+    });
+
+    it('does not allow anyone but the arranger to set the management fee', async () => {
+      try {
+        await basketManaged.changeManagementFeePromise(MANAGEMENT_FEE, { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketManaged.managementFeePromise()), 0, 'fee was set');
+    });
+
+    it('accrues the fee in proportion to elapsed time and supply', async () => {
+      try {
+        await basketManaged.changeManagementFeePromise(MANAGEMENT_FEE, { from: ARRANGER, gas: 1e6 });
+        await basketManaged.depositAndBundlePromise(amount1, { from: HOLDER_A, gas: 1e6 });
+        await increaseTime(ELAPSED);
+
+        const elapsed = (await latestTime()) - Number(await basketManaged.lastFeeCollectionPromise());
+        const expected = Math.floor((amount1 * MANAGEMENT_FEE * elapsed) / 10000 / (365 * 86400));
+        const accrued = Number(await basketManaged.accruedManagementFeePromise());
+        assert.isAtLeast(elapsed, ELAPSED, 'time did not pass');
+        assert.approximately(accrued, expected, 1e6, 'incorrect accrued fee');
+      } catch (err) { assert.throw(`Error accruing management fee: ${err.toString()}`); }
+    });
+
+    it('mints the fee to the fee recipient and scales weights down', async () => {
+      try {
+        await basketManaged.collectManagementFeePromise({ from: HOLDER_B, gas: 1e6 });
+        feeMinted = Number(await basketManaged.balanceOfPromise(MARKETMAKER));
+        scaledWeight = Number(await basketManaged.weightsPromise(0));
+
+        assert.isAbove(feeMinted, 0, 'fee not minted');
+        assert.strictEqual(Number(await basketManaged.totalSupplyPromise()), amount1 + feeMinted, 'incorrect total supply');
+        assert.approximately(scaledWeight, (1e18 * amount1) / (amount1 + feeMinted), 1e3, 'weights not scaled');
+        assert.strictEqual(Number(await basketManaged.lastFeeCollectionPromise()), await latestTime(), 'fee not collected up to now');
+      } catch (err) { assert.throw(`Error collecting management fee: ${err.toString()}`); }
+    });
+
+    it('counts fee mints separately in the registry', async () => {
+      const [, , , , _totalMinted, _totalBurned, _totalFeeMinted] = await basketRegistry.basketMap.call(basketManaged.address);
+      const [, , , , , _weights] = await basketRegistry.getBasketDetails(basketManaged.address);
+      assert.strictEqual(Number(_totalMinted), amount1, 'fee counted as a holder mint');
+      assert.strictEqual(Number(_totalBurned), 0, 'incorrect totalBurned');
+      assert.strictEqual(Number(_totalFeeMinted), feeMinted, 'incorrect totalFeeMinted');
+      assert.strictEqual(Number(_weights[0]), scaledWeight, 'registry weights not updated');
+    });
+
+    it('keeps every basket token backed after the fee is minted', async () => {
+      try {
+        const redeemable = feeMinted - (feeMinted % CREATION_UNIT);
+        await basketManaged.debundleAndWithdrawPromise(redeemable, { from: MARKETMAKER, gas: 1e6 });
+        const [, _held, _required] = await basketManaged.getHoldingsPromise();
+        assert.isAtLeast(Number(_held[0]), Number(_required[0]), 'basket under-collateralized');
+        assert.isAtLeast(Number(await tokenA.balanceOf(MARKETMAKER)), Math.floor((scaledWeight * redeemable) / 1e18), 'fee recipient not paid out');
+      } catch (err) { assert.throw(`Error debundling fee tokens: ${err.toString()}`); }
+    });
+
+    it('forgoes the fee rather than let a component quantity round to zero', async () => {
+      try {
+        const fee = await basketFactory.productionFee.call();
+        const txObj = await basketFactory.createBasket(
+          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], MARKETMAKER, 0, kyc.address, 0, 0, 0, 0, 0,
+          { from: ARRANGER, value: Number(fee) },
+        );
+        const basketTight = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+        Promise.promisifyAll(basketTight, { suffix: 'Promise' });
+        await basketTight.changeManagementFeePromise(MANAGEMENT_FEE, { from: ARRANGER, gas: 1e6 });
+        await tokenA.approve(basketTight.address, amount2, { from: HOLDER_A });
+        await tokenB.approve(basketTight.address, amount2, { from: HOLDER_A });
+        await basketTight.depositAndBundlePromise(amount2, { from: HOLDER_A, gas: 1e6 });
+        await increaseTime(ELAPSED);
+
+        // with a creation unit of 1, any scaling would let one basket unit be minted without depositing a component
+        await basketTight.collectManagementFeePromise({ from: HOLDER_A, gas: 1e6 });
+        assert.strictEqual(Number(await basketTight.balanceOfPromise(MARKETMAKER)), 0, 'fee minted');
+        assert.strictEqual(Number(await basketTight.weightsPromise(0)), 1e18, 'weights scaled');
+      } catch (err) { assert.throw(`Error collecting management fee: ${err.toString()}`); }
+    });
+  });
+
+  describe('Rebalancing', () => {
+    let basketRebalance, tokenC, basketRegistry, timelock;
+
+    before('deploy a basket A:B @ 1:1 and a replacement token', async () => {
+      try {
+        const fee = await basketFactory.productionFee.call();
+        const txObj = await basketFactory.createBasket(
+          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], ARRANGER, 0, kyc.address, 0, 0, 0, 0, 0,
+          { from: ARRANGER, value: Number(fee) },
+        );
+        basketRebalance = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+        Promise.promisifyAll(basketRebalance, { suffix: 'Promise' });
+        basketRegistry = await BasketRegistry.deployed();
+        tokenC = await constructors.TestToken(MARKETMAKER, 'Token C', 'TOKC', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+        timelock = Number(await basketRebalance.REBALANCE_TIMELOCKPromise());
+
+        await tokenA.approve(basketRebalance.address, amount1, { from: HOLDER_A });
+        await tokenB.approve(basketRebalance.address, amount1, { from: HOLDER_A });
+        await basketRebalance.depositAndBundlePromise(amount1, { from: HOLDER_A, value: 0, gas: 1e6 });
+        await tokenA.transfer(MARKETMAKER, amount1, { from: HOLDER_A });
+      } catch (err) { assert.throw(`Error deploying basket to rebalance: ${err.toString()}`); }
+    });
+
+    it('does not allow anyone but the arranger to propose a rebalance', async () => {
+      try {
+        await basketRebalance.proposeRebalancePromise([tokenA.address, tokenC.address], [2e18, 1e18], { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketRebalance.rebalanceTimePromise()), 0, 'rebalance was proposed');
+    });
+
+    it('does not accept a proposal listing a token twice', async () => {
+      try {
+        await basketRebalance.proposeRebalancePromise([tokenA.address, tokenA.address], [1e18, 1e18], { from: ARRANGER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketRebalance.rebalanceTimePromise()), 0, 'rebalance was proposed');
+    });
+
+    it('allows the arranger to propose and cancel a rebalance', async () => {
+      try {
+        await basketRebalance.proposeRebalancePromise([tokenC.address], [1e18], { from: ARRANGER, gas: 1e6 });
+        assert.isAbove(Number(await basketRebalance.rebalanceTimePromise()), 0, 'rebalance was not proposed');
+        await basketRebalance.cancelRebalancePromise({ from: ARRANGER, gas: 1e6 });
+        const [_tokens, _weights, _rebalanceTime] = await basketRebalance.getProposedRebalancePromise();
+        assert.strictEqual(_tokens.length + _weights.length + Number(_rebalanceTime), 0, 'rebalance was not cancelled');
+      } catch (err) { assert.throw(`Error proposing and cancelling rebalance: ${err.toString()}`); }
+    });
+
+    it('announces a proposal with the time it can be executed', async () => {
+      try {
+        await basketRebalance.proposeRebalancePromise([tokenA.address, tokenC.address], [2e18, 1e18], { from: ARRANGER, gas: 1e6 });
+        const [_tokens, _weights, _rebalanceTime] = await basketRebalance.getProposedRebalancePromise();
+        assert.deepEqual(_tokens, [tokenA.address, tokenC.address], 'incorrect proposed tokens');
+        assert.deepEqual(_weights.map(Number), [2e18, 1e18], 'incorrect proposed weights');
+        assert.strictEqual(Number(_rebalanceTime), (await latestTime()) + timelock, 'incorrect rebalance time');
+      } catch (err) { assert.throw(`Error proposing rebalance: ${err.toString()}`); }
+    });
+
+    it('does not execute before the timelock has passed', async () => {
+      try {
+        await basketRebalance.executeRebalancePromise({ from: MARKETMAKER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketRebalance.weightsPromise(0)), 1e18, 'rebalance executed early');
+    });
+
+    it('lets holders debundle at the old composition during the timelock', async () => {
+      try {
+        const initialBalanceB = Number(await tokenB.balanceOf(HOLDER_A));
+        await basketRebalance.debundleAndWithdrawPromise(amount2, { from: HOLDER_A, gas: 1e6 });
+        const balanceB = Number(await tokenB.balanceOf(HOLDER_A));
+        assert.strictEqual(balanceB - initialBalanceB, amount2, 'incorrect token B withdrawn');
+      } catch (err) { assert.throw(`Error debundling during timelock: ${err.toString()}`); }
+    });
+
+    it('swaps components with whoever executes the rebalance', async () => {
+      try {
+        const supply = Number(await basketRebalance.totalSupplyPromise());
+        await increaseTime(timelock + 1);
+        await tokenA.approve(basketRebalance.address, supply, { from: MARKETMAKER });
+        await tokenC.approve(basketRebalance.address, supply, { from: MARKETMAKER });
+        const initialBalanceB = await tokenB.balanceOf(MARKETMAKER);
+        await basketRebalance.executeRebalancePromise({ from: MARKETMAKER, gas: 1e6 });
+
+        assert.strictEqual(Number(await tokenA.balanceOf(basketRebalance.address)), supply * 2, 'incorrect token A held');
+        assert.strictEqual(Number(await tokenB.balanceOf(basketRebalance.address)), 0, 'incorrect token B held');
+        assert.strictEqual(Number(await tokenC.balanceOf(basketRebalance.address)), supply, 'incorrect token C held');
+        assert.strictEqual((await tokenB.balanceOf(MARKETMAKER)).minus(initialBalanceB).toNumber(), supply, 'token B not handed out');
+
+        const [_tokens, _weights] = await basketRebalance.getCompositionPromise();
+        assert.deepEqual(_tokens, [tokenA.address, tokenC.address], 'incorrect tokens after rebalance');
+        assert.deepEqual(_weights.map(Number), [2e18, 1e18], 'incorrect weights after rebalance');
+        assert.strictEqual(Number(await basketRebalance.rebalanceTimePromise()), 0, 'proposal not cleared');
+      } catch (err) { assert.throw(`Error executing rebalance: ${err.toString()}`); }
+    });
+
+    it('updates the composition recorded in the registry', async () => {
+      const [, , , , _tokens, _weights] = await basketRegistry.getBasketDetails(basketRebalance.address);
+      assert.deepEqual(_tokens, [tokenA.address, tokenC.address], 'registry tokens not updated');
+      assert.deepEqual(_weights.map(Number), [2e18, 1e18], 'registry weights not updated');
+    });
+
+    it('debundles at the new composition', async () => {
+      try {
+        const initialBalanceC = Number(await tokenC.balanceOf(HOLDER_A));
+        await basketRebalance.debundleAndWithdrawPromise(amount2, { from: HOLDER_A, gas: 1e6 });
+        assert.strictEqual(Number(await tokenC.balanceOf(HOLDER_A)) - initialBalanceC, amount2, 'incorrect token C withdrawn');
+      } catch (err) { assert.throw(`Error debundling after rebalance: ${err.toString()}`); }
+    });
+  });
+
+  describe('Rebalancing with a management fee', () => {
+    const MANAGEMENT_FEE = 200;
+    // leaves room for the weights to be scaled down without a component quantity rounding to zero
+    const CREATION_UNIT = 1e6;
+    let basketManaged, tokenD, timelock;
+
+    before('deploy a basket A:B @ 1:1 charging a management fee and a replacement token', async () => {
+      try {
+        const fee = await basketFactory.productionFee.call();
+        const txObj = await basketFactory.createBasket(
+          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], MARKETMAKER, 0, kyc.address, 0, 0, 0, 0, CREATION_UNIT,
+          { from: ARRANGER, value: Number(fee) },
+        );
+        basketManaged = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+        Promise.promisifyAll(basketManaged, { suffix: 'Promise' });
+        tokenD = await constructors.TestToken(HOLDER_A, 'Token D', 'TOKD', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+        timelock = Number(await basketManaged.REBALANCE_TIMELOCKPromise());
+
+        await basketManaged.changeManagementFeePromise(MANAGEMENT_FEE, { from: ARRANGER, gas: 1e6 });
+        await tokenA.approve(basketManaged.address, amount1, { from: HOLDER_A });
+        await tokenB.approve(basketManaged.address, amount1, { from: HOLDER_A });
+        await basketManaged.depositAndBundlePromise(amount1, { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.throw(`Error deploying basket to rebalance: ${err.toString()}`); }
+    });
+
+    it('scales a pending proposal along with the weights when the fee is collected', async () => {
+      try {
+        await basketManaged.proposeRebalancePromise([tokenA.address, tokenD.address], [2e18, 1e18], { from: ARRANGER, gas: 1e6 });
+        await increaseTime(timelock + 1);
+        await basketManaged.collectManagementFeePromise({ from: HOLDER_B, gas: 1e6 });
+
+        const supply = Number(await basketManaged.totalSupplyPromise());
+        const [, _weights] = await basketManaged.getProposedRebalancePromise();
+        assert.isAbove(supply, amount1, 'fee not minted');
+        assert.approximately(Number(_weights[0]), (2e18 * amount1) / supply, 1e3, 'proposed weights not scaled');
+        assert.approximately(Number(_weights[1]), (1e18 * amount1) / supply, 1e3, 'proposed weights not scaled');
+      } catch (err) { assert.throw(`Error collecting management fee: ${err.toString()}`); }
+    });
+
+    it('keeps the fee diluting the basket once the rebalance is executed', async () => {
+      try {
+        await increaseTime(86400);
+        await tokenA.approve(basketManaged.address, 2 * amount1, { from: HOLDER_A });
+        await tokenD.approve(basketManaged.address, amount1, { from: HOLDER_A });
+        await basketManaged.executeRebalancePromise({ from: HOLDER_A, gas: 1e6 });
+
+        // the holdings stay at what the proposal asked of the supply before any fee; the fee recipient's tokens dilute them
+        const supply = Number(await basketManaged.totalSupplyPromise());
+        const [_tokens, _weights] = await basketManaged.getCompositionPromise();
+        assert.deepEqual(_tokens, [tokenA.address, tokenD.address], 'incorrect tokens after rebalance');
+        assert.approximately(Number(_weights[0]), (2e18 * amount1) / supply, 1e3, 'fee dilution undone');
+        assert.approximately(Number(_weights[1]), (1e18 * amount1) / supply, 1e3, 'fee dilution undone');
+        assert.approximately(Number(await tokenA.balanceOf(basketManaged.address)), 2 * amount1, 1e6, 'incorrect token A held');
+        assert.approximately(Number(await tokenD.balanceOf(basketManaged.address)), amount1, 1e6, 'incorrect token D held');
+      } catch (err) { assert.throw(`Error executing rebalance: ${err.toString()}`); }
+    });
+  });
+
   describe('Fallback', () => {
     let initialBasketBalance;
     let initialFactoryBalance;
@@ -533,6 +1121,42 @@ contract('TestToken | Basket', (accounts) => {
         await basketAB.withdrawPromise(tokenA.address, { from: HOLDER_A });
       } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
     });
+
+    it('pays out the components that can be transferred and credits the paused one', async () => {
+      try {
+        const initialTokenB = Number(await tokenB.balanceOf(HOLDER_A));
+        const initialOutstandingA = Number(await basketAB.outstandingBalancePromise(HOLDER_A, tokenA.address));
+        const txHash = await basketAB.debundleAndWithdrawAvailablePromise(amount2, { from: HOLDER_A, gas: 1e6 });
+        const { logs } = await web3.eth.getTransactionReceiptPromise(txHash);
+        const skipped = logs.filter(log => log.topics[0] === web3.sha3('LogComponentSkipped(address,address,uint256)'));
+
+        assert.strictEqual(Number(await tokenB.balanceOf(HOLDER_A)) - initialTokenB, amount2, 'tokenB not paid out');
+        const outstandingA = Number(await basketAB.outstandingBalancePromise(HOLDER_A, tokenA.address));
+        assert.strictEqual(outstandingA - initialOutstandingA, amount2, 'tokenA not credited');
+        assert.strictEqual(skipped.length, 1, 'skipped component not logged');
+        assert.strictEqual(`0x${skipped[0].topics[2].slice(26)}`, tokenA.address, 'incorrect token logged');
+      } catch (err) { assert.throw(`Error in debundleAndWithdrawAvailable: ${err.toString()}`); }
+    });
+
+    it('withdrawAll keeps the balances of tokens that still fail', async () => {
+      try {
+        const outstandingA = Number(await basketAB.outstandingBalancePromise(HOLDER_A, tokenA.address));
+        await basketAB.withdrawAllPromise({ from: HOLDER_A, gas: 1e6 });
+        assert.strictEqual(Number(await basketAB.outstandingBalancePromise(HOLDER_A, tokenA.address)), outstandingA, 'outstanding balance lost');
+      } catch (err) { assert.throw(`Error in withdrawAll: ${err.toString()}`); }
+    });
+
+    it('withdrawAll pays out every outstanding balance once the token is unpaused', async () => {
+      try {
+        await tokenA.unpause({ from: HOLDER_A });
+        const initialTokenA = Number(await tokenA.balanceOf(HOLDER_A));
+        const outstandingA = Number(await basketAB.outstandingBalancePromise(HOLDER_A, tokenA.address));
+        await basketAB.withdrawAllPromise({ from: HOLDER_A, gas: 1e6 });
+
+        assert.strictEqual(Number(await tokenA.balanceOf(HOLDER_A)) - initialTokenA, outstandingA, 'tokenA not paid out');
+        assert.strictEqual(Number(await basketAB.outstandingBalancePromise(HOLDER_A, tokenA.address)), 0, 'outstanding balance not cleared');
+      } catch (err) { assert.throw(`Error in withdrawAll: ${err.toString()}`); }
+    });
   });
 
   describe('Does not allow withdraw when balance is zero', async () => {
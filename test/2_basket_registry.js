@@ -94,7 +94,7 @@ contract('Basket Factory | Basket Registry', (accounts) => {
     it('deploys the basket', async () => {
       try {
         const txObj = await basketFactory.createBasket(
-          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], ARRANGER, ARRANGER_FEE, kyc.address,
+          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], ARRANGER, ARRANGER_FEE, kyc.address, 0, 0, 0, 0, 0,
           { from: ARRANGER, value: PRODUCTION_FEE },
         );
         const txLogs = txObj.logs;
@@ -151,9 +151,9 @@ contract('Basket Factory | Basket Registry', (accounts) => {
     it('can get details about a basket using its address', async () => {
       try {
         const _basketStruct = await basketRegistry.getBasketDetails(basketABAddress);
-        assert.strictEqual(_basketStruct.length, 8, 'basket does not have 8 arguments');
+        assert.strictEqual(_basketStruct.length, 9, 'basket does not have 9 arguments');
         const [
-          _basketAddress, _arranger, _name, _symbol, _tokens, _weights, _totalMinted, _totalBurned,
+          _basketAddress, _arranger, _name, _symbol, _tokens, _weights, _totalMinted, _totalBurned, _holderCount,
         ] = _basketStruct;
         assert.strictEqual(_basketAddress, basketABAddress, 'incorrect name from basketStruct');
         assert.strictEqual(_arranger, ARRANGER, 'incorrect arranger from basketStruct');
@@ -161,6 +161,7 @@ contract('Basket Factory | Basket Registry', (accounts) => {
         assert.strictEqual(_symbol, 'BASK', 'incorrect symbol from basketStruct');
         assert.strictEqual(Number(_totalMinted), 0, 'incorrect totalMinted initialized');
         assert.strictEqual(Number(_totalBurned), 0, 'incorrect totalBurned initialized');
+        assert.strictEqual(Number(_holderCount), 0, 'incorrect holderCount initialized');
       } catch (err) { assert.throw(`Error in getBasketDetails: ${err.toString()}`); }
     });
   });
@@ -183,6 +184,14 @@ contract('Basket Factory | Basket Registry', (accounts) => {
         assert.strictEqual(Number(_totalMinted), amount, 'incorrect totalMinted amount');
       } catch (err) { assert.throw(`Error in incrementing totalMinted: ${err.toString()}`); }
     });
+
+    it('Reports the basket holder count', async () => {
+      try {
+        const _basketStruct = await basketRegistry.getBasketDetails(basketABAddress);
+        const [_holderCount] = _basketStruct.slice(8, 9);
+        assert.strictEqual(Number(_holderCount), 1, 'incorrect holderCount');
+      } catch (err) { assert.throw(`Error in reading holderCount: ${err.toString()}`); }
+    });
   });
 
   describe('Burn basket tokens', () => {
@@ -206,13 +215,19 @@ contract('Basket Factory | Basket Registry', (accounts) => {
   describe('disallows anyone to increment basket mint / burn count', () => {
     it('disallows increment total minted', async () => {
       try {
-        await basketRegistry.incrementBasketsMinted(1e18, INVALID_ADDRESS, { from: INVALID_ADDRESS });
+        await basketRegistry.incrementBasketsMinted(1e18, INVALID_ADDRESS, INVALID_ADDRESS, { from: INVALID_ADDRESS });
       } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
     });
 
     it('disallows increment total burned', async () => {
       try {
-        await basketRegistry.incrementBasketsBurned(1e18, INVALID_ADDRESS, { from: INVALID_ADDRESS });
+        await basketRegistry.incrementBasketsBurned(1e18, INVALID_ADDRESS, INVALID_ADDRESS, { from: INVALID_ADDRESS });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+    });
+
+    it('disallows updating basket weights', async () => {
+      try {
+        await basketRegistry.updateBasketWeights([1e18], { from: INVALID_ADDRESS });
       } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
     });
   });
@@ -8,6 +8,7 @@ const BasketFactory = artifacts.require('./BasketFactory.sol');
 const { abi: basketAbi } = require('../build/contracts/Basket.json');
 const { constructors } = require('../migrations/constructors.js');
 const { web3 } = require('../utils/web3');
+const { increaseTime, latestTime } = require('../utils/evm');
 const {
   ZERO_ADDRESS,
   ARRANGER_FEE,
@@ -73,7 +74,7 @@ contract('Basket Escrow', (accounts) => {
     it('deploys the basket correctly', async () => {
       try {
         const txObj = await basketFactory.createBasket(
-          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], ARRANGER, ARRANGER_FEE, kyc.address,
+          'A1B1', 'BASK', [tokenA.address, tokenB.address], [1e18, 1e18], ARRANGER, ARRANGER_FEE, kyc.address, 0, 0, 0, 0, 0,
           { from: ARRANGER, value: PRODUCTION_FEE },
         );
         const txLog = txObj.logs[0];
@@ -108,13 +109,14 @@ contract('Basket Escrow', (accounts) => {
   let newOrderIndex;
   const amountBasketsToBuy = 2e18;
   const amountEthToSend = 5e18;
-  let expirationInSeconds = (new Date().getTime() + 86400000) / 1000; // set to a day from now
+  let expirationInSeconds;
   let nonce = Math.random() * 1e7; // nonce is a random number generated at order placement
 
 
   describe('Holder_A creates buy order', () => {
     before('check initial balance', async () => {
       try {
+        expirationInSeconds = (await latestTime()) + 86400; // set to a day from now, on the chain's clock
         nextOrderIndex = await basketEscrow.orderIndex.call();
         const _initialEscrowBalance = await web3.eth.getBalancePromise(basketEscrow.address);
         const _initialHolderBalance = await web3.eth.getBalancePromise(HOLDER_A);
@@ -265,7 +267,7 @@ contract('Basket Escrow', (accounts) => {
     before('create second buy order and check initial balance', async () => {
       try {
         // set expiration time to now to ensure the order will expire
-        expirationInSeconds = (new Date().getTime() / 1000) + timeDelta;
+        expirationInSeconds = (await latestTime()) + timeDelta;
         const buyOrderParams = [
           basketABAddress, amountBasketsToBuy, expirationInSeconds, nonce,
           { from: HOLDER_A, value: amountEthToSend, gas: 1e6 },
@@ -343,7 +345,7 @@ contract('Basket Escrow', (accounts) => {
 
     before('create third buy order and check initial balance', async () => {
       try {
-        expirationInSeconds = (new Date().getTime() + 86400000) / 1000;
+        expirationInSeconds = (await latestTime()) + 86400;
         const buyOrderParams = [
           basketABAddress, amountBasketsToBuy, expirationInSeconds, nonce,
           { from: HOLDER_A, value: amountEthToSend, gas: 1e6 },
@@ -465,11 +467,12 @@ contract('Basket Escrow', (accounts) => {
 
 
   describe('MARKET_MAKER fails to fill expired orders', () => {
-    const timeDelta = 60;   // 10 seconds
-    const instantExpiration = (new Date().getTime() / 1000) + timeDelta;
+    const timeDelta = 60;   // 60 seconds
+    let instantExpiration;
 
     before('creates an order that expires instantly', async () => {
       try {
+        instantExpiration = (await latestTime()) + timeDelta;
         nonce = Math.random() * 1e7;
         const buyOrderParams = [
           basketABAddress, amountBasketsToBuy, instantExpiration, nonce,
@@ -480,15 +483,18 @@ contract('Basket Escrow', (accounts) => {
     });
 
     it('cannot fill an expired order', async () => {
-      setTimeout(async () => {
-        try {
-          const fillBuyParams = [
-            HOLDER_B, basketABAddress, amountBasketsToBuy, amountEthToSend, instantExpiration, nonce,
-            { from: MARKET_MAKER, gas: 1e6 },
-          ];
-          const _fillBuyResults = await basketEscrow.fillBuyOrder(...fillBuyParams);
-        } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
-      }, timeDelta * 1000);
+      const initialBuyerBasketBal = await basketAB.balanceOfPromise(HOLDER_A);
+      await increaseTime(timeDelta + 1);
+      try {
+        const fillBuyParams = [
+          HOLDER_A, basketABAddress, amountBasketsToBuy, amountEthToSend, instantExpiration, nonce,
+          { from: MARKET_MAKER, gas: 1e6 },
+        ];
+        await basketEscrow.fillBuyOrder(...fillBuyParams);
+        assert.fail('filled an expired order');
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      const buyerBasketBal = await basketAB.balanceOfPromise(HOLDER_A);
+      assert.strictEqual(Number(buyerBasketBal), Number(initialBuyerBasketBal), 'expired order was filled');
     });
   });
 
@@ -602,6 +608,56 @@ contract('Basket Escrow', (accounts) => {
     after('update nonce', () => { nonce = Math.random() * 1e7; });
   });
 
+  describe('MARKET_MAKER cancels a sell order after losing its whitelisting', () => {
+    let initialSellerBasketBal, initialSellerBalA, initialSellerBalB;
+
+    before('create a sell order and unwhitelist MARKET_MAKER', async () => {
+      try {
+        await basketEscrow.createSellOrder(
+          basketABAddress, amountBasketsToSell, amountEthToGet, expirationInSeconds, nonce,
+          { from: MARKET_MAKER, gas: 1e6 },
+        );
+        await kyc.unWhitelistHolder(MARKET_MAKER);
+        initialEscrowBasketBal = Number(await basketAB.balanceOf(basketEscrow.address));
+        initialSellerBasketBal = Number(await basketAB.balanceOf(MARKET_MAKER));
+        initialSellerBalA = await tokenA.balanceOf(MARKET_MAKER);
+        initialSellerBalB = await tokenB.balanceOf(MARKET_MAKER);
+      } catch (err) { assert.throw(`Error creating sell order: ${err.toString()}`); }
+    });
+
+    it('redeems the escrowed baskets to the seller', async () => {
+      try {
+        await basketEscrow.cancelSellOrder(
+          basketABAddress, amountBasketsToSell, amountEthToGet, expirationInSeconds, nonce,
+          { from: MARKET_MAKER, gas: 1e6 },
+        );
+
+        const escrowBalance = Number(await basketAB.balanceOf(basketEscrow.address));
+        const sellerBalance = Number(await basketAB.balanceOf(MARKET_MAKER));
+        const sellerBalA = await tokenA.balanceOf(MARKET_MAKER);
+        const sellerBalB = await tokenB.balanceOf(MARKET_MAKER);
+        assert.strictEqual(escrowBalance, initialEscrowBasketBal - amountBasketsToSell, 'escrow balance did not decrease');
+        assert.strictEqual(sellerBalance, initialSellerBasketBal, 'baskets sent to an unwhitelisted seller');
+        assert.strictEqual(sellerBalA.minus(initialSellerBalA).toNumber(), amountBasketsToSell, 'token A not redeemed');
+        assert.strictEqual(sellerBalB.minus(initialSellerBalB).toNumber(), amountBasketsToSell, 'token B not redeemed');
+      } catch (err) { assert.throw(`Error cancelling sell order: ${err.toString()}`); }
+    });
+
+    after('whitelist MARKET_MAKER again, mint back the redeemed baskets and update nonce', async () => {
+      try {
+        await kyc.whitelistHolder(MARKET_MAKER);
+        await tokenA.approve(basketABAddress, amountBasketsToSell, { from: MARKET_MAKER });
+        await tokenB.approve(basketABAddress, amountBasketsToSell, { from: MARKET_MAKER });
+        await basketAB.depositAndBundlePromise(amountBasketsToSell, {
+          from: MARKET_MAKER, value: amountBasketsToSell * (ARRANGER_FEE / 1e18), gas: 1e6,
+        });
+        const allowance = await basketAB.allowancePromise(MARKET_MAKER, basketEscrow.address);
+        await basketAB.approvePromise(basketEscrow.address, allowance.plus(amountBasketsToSell), { from: MARKET_MAKER, gas: 1e6 });
+      } catch (err) { assert.throw(`Error minting baskets: ${err.toString()}`); }
+      nonce = Math.random() * 1e7;
+    });
+  });
+
   describe('Holder_A fails to create bad sell orders', () => {
     it('creates and logs duplicate sell orders ', async () => {
       try {
@@ -8,16 +8,26 @@ const BasketFactory = artifacts.require('./BasketFactory.sol');
 const { abi: basketAbi } = require('../build/contracts/Basket.json');
 const { constructors } = require('../migrations/constructors.js');
 const { web3 } = require('../utils/web3');
+const { increaseTime, latestTime } = require('../utils/evm');
+const { parseCsv, whitelistAddresses } = require('../scripts/whitelistFromCsv');
+const { getWhitelistSnapshot, toCsv } = require('../scripts/exportWhitelist');
+const { getAttestationHash, signAttestation } = require('../utils/attestation');
+const {
+  DECIMALS,
+  INITIAL_SUPPLY,
+  FAUCET_AMOUNT,
+  KYC_VALIDITY_PERIOD,
+} = require('../config');
 
 const doesRevert = err => err.message.includes('revert');
 
 contract('KYC', (accounts) => {
   // Accounts
-  const [ADMINISTRATOR, KYC_ADMIN, NEW_ADMIN, ADDRESS_TO_WHITELIST, RANDOM] = accounts.slice(0, 6);
+  const [ADMINISTRATOR, KYC_ADMIN, NEW_ADMIN, ADDRESS_TO_WHITELIST, RANDOM, HOLDER] = accounts.slice(0, 6);
+  const [BATCH_A, BATCH_B, ELIGIBLE, US_HOLDER] = accounts.slice(6, 10);
 
   // Contract instances
   let kyc;
-  let oldAdmin;
 
   describe('kyc constructor', () => {
     it('deploying kyc contract', async () => {
@@ -28,20 +38,92 @@ contract('KYC', (accounts) => {
     });
   });
 
-  describe('Change admin', () => {
-    before('Gets old admin', async () => {
-      oldAdmin = await kyc.admin.call();
+  describe('Roles', () => {
+    let ROLE_WHITELISTER, ROLE_UNWHITELISTER, ROLE_AUDITOR;
+
+    before('Read role names', async () => {
+      ROLE_WHITELISTER = await kyc.ROLE_WHITELISTER.call();
+      ROLE_UNWHITELISTER = await kyc.ROLE_UNWHITELISTER.call();
+      ROLE_AUDITOR = await kyc.ROLE_AUDITOR.call();
+    });
+
+    it('Grants the constructor admin the whitelister and unwhitelister roles', async () => {
+      const whitelisters = await kyc.getRoleMembers.call(ROLE_WHITELISTER);
+      const unwhitelisters = await kyc.getRoleMembers.call(ROLE_UNWHITELISTER);
+      assert.deepEqual(whitelisters, [ADMINISTRATOR], 'incorrect whitelisters');
+      assert.deepEqual(unwhitelisters, [ADMINISTRATOR], 'incorrect unwhitelisters');
     });
 
-    it('Allows setting permissioned KYC admin', async () => {
+    it('Allows the owner to grant roles', async () => {
       try {
-        const txLogs = await kyc.setAdmin(NEW_ADMIN, { from: ADMINISTRATOR });
-        const { logs } = txLogs;
+        const { logs } = await kyc.grantRole(NEW_ADMIN, ROLE_WHITELISTER, { from: ADMINISTRATOR });
+        await kyc.grantRole(NEW_ADMIN, ROLE_UNWHITELISTER, { from: ADMINISTRATOR });
         const { event, args } = logs[0];
-        assert.strictEqual(event, 'LogSetAdmin', 'Wrong event fired');
-        assert.strictEqual(args.oldAdmin, oldAdmin, 'old admin is not as expected');
-        assert.strictEqual(args.newAdmin, NEW_ADMIN, 'admin has not been set to new admin');
-      } catch (err) { assert.throw(`Failed to deploy contracts: ${err.toString()}`); }
+        assert.strictEqual(event, 'LogRoleGranted', 'Wrong event fired');
+        assert.strictEqual(args.role, ROLE_WHITELISTER, 'incorrect role logged');
+        assert.strictEqual(args.account, NEW_ADMIN, 'incorrect account logged');
+        assert.strictEqual(args.grantedBy, ADMINISTRATOR, 'incorrect granter logged');
+        assert.strictEqual(await kyc.hasRole.call(NEW_ADMIN, ROLE_UNWHITELISTER), true, 'role not granted');
+      } catch (err) { assert.throw(`Failed to grant role: ${err.toString()}`); }
+    });
+
+    it('Cannot grant roles from random address', async () => {
+      try {
+        await kyc.grantRole(RANDOM, ROLE_WHITELISTER, { from: RANDOM });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(await kyc.hasRole.call(RANDOM, ROLE_WHITELISTER), false, 'role granted');
+    });
+
+    it('Cannot grant an unknown role', async () => {
+      try {
+        await kyc.grantRole(RANDOM, 'superuser', { from: ADMINISTRATOR });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(await kyc.hasRole.call(RANDOM, 'superuser'), false, 'role granted');
+    });
+
+    it('Whitelisters cannot unwhitelist', async () => {
+      try {
+        await kyc.grantRole(KYC_ADMIN, ROLE_WHITELISTER, { from: ADMINISTRATOR });
+        await kyc.whitelistHolder(RANDOM, { from: KYC_ADMIN });
+        assert.strictEqual(await kyc.isWhitelistedHolder.call(RANDOM), true, 'whitelister could not whitelist');
+      } catch (err) { assert.throw(`Failed to whitelist: ${err.toString()}`); }
+
+      try {
+        await kyc.unWhitelistHolder(RANDOM, { from: KYC_ADMIN });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(await kyc.isWhitelistedHolder.call(RANDOM), true, 'whitelister could unwhitelist');
+      await kyc.unWhitelistHolder(RANDOM, { from: NEW_ADMIN });
+    });
+
+    it('Auditors cannot change the whitelist', async () => {
+      try {
+        await kyc.grantRole(KYC_ADMIN, ROLE_AUDITOR, { from: ADMINISTRATOR });
+        assert.deepEqual(await kyc.getRoleMembers.call(ROLE_AUDITOR), [KYC_ADMIN], 'incorrect auditors');
+        await kyc.revokeRole(KYC_ADMIN, ROLE_WHITELISTER, { from: ADMINISTRATOR });
+      } catch (err) { assert.throw(`Failed to change roles: ${err.toString()}`); }
+
+      try {
+        await kyc.whitelistHolder(RANDOM, { from: KYC_ADMIN });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(await kyc.isWhitelistedHolder.call(RANDOM), false, 'auditor could whitelist');
+    });
+
+    it('Allows the owner to revoke roles and updates the member list', async () => {
+      try {
+        const { logs } = await kyc.revokeRole(ADMINISTRATOR, ROLE_WHITELISTER, { from: ADMINISTRATOR });
+        const { event, args } = logs[0];
+        assert.strictEqual(event, 'LogRoleRevoked', 'Wrong event fired');
+        assert.strictEqual(args.account, ADMINISTRATOR, 'incorrect account logged');
+        assert.strictEqual(args.revokedBy, ADMINISTRATOR, 'incorrect revoker logged');
+        assert.deepEqual(await kyc.getRoleMembers.call(ROLE_WHITELISTER), [NEW_ADMIN], 'incorrect whitelisters');
+      } catch (err) { assert.throw(`Failed to revoke role: ${err.toString()}`); }
+    });
+
+    it('Cannot revoke a role the account does not hold', async () => {
+      try {
+        await kyc.revokeRole(RANDOM, ROLE_WHITELISTER, { from: ADMINISTRATOR });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.deepEqual(await kyc.getRoleMembers.call(ROLE_WHITELISTER), [NEW_ADMIN], 'member list changed');
     });
   });
 
@@ -65,6 +147,516 @@ contract('KYC', (accounts) => {
     });
   });
 
+  describe('Batch whitelisting', () => {
+    it('Cannot batch whitelist from random address', async () => {
+      try {
+        await kyc.whitelistHolders([BATCH_A, BATCH_B], { from: RANDOM });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(await kyc.isWhitelistedHolder.call(BATCH_A), false, 'address was whitelisted');
+    });
+
+    it('Admin can whitelist several holders at once', async () => {
+      try {
+        const { logs } = await kyc.whitelistHolders([BATCH_A, BATCH_B], { from: NEW_ADMIN });
+        assert.strictEqual(logs.length, 2, 'incorrect number of logs');
+        assert.deepEqual(logs.map(l => l.args.whitelistedHolder), [BATCH_A, BATCH_B], 'incorrect holders logged');
+        assert.strictEqual(await kyc.isWhitelistedHolder.call(BATCH_A), true, 'BATCH_A is not whitelisted');
+        assert.strictEqual(await kyc.isWhitelistedHolder.call(BATCH_B), true, 'BATCH_B is not whitelisted');
+      } catch (err) { assert.throw(`Error batch whitelisting: ${err.toString()}`); }
+    });
+
+    it('Admin can unwhitelist several holders at once', async () => {
+      try {
+        const { logs } = await kyc.unWhitelistHolders([BATCH_A, BATCH_B], { from: NEW_ADMIN });
+        assert.strictEqual(logs.length, 2, 'incorrect number of logs');
+        assert.strictEqual(logs[0].event, 'LogUnwhitelistHolder', 'Wrong event fired');
+        assert.strictEqual(await kyc.isWhitelistedHolder.call(BATCH_A), false, 'BATCH_A is still whitelisted');
+        assert.strictEqual(await kyc.isWhitelistedHolder.call(BATCH_B), false, 'BATCH_B is still whitelisted');
+      } catch (err) { assert.throw(`Error batch unwhitelisting: ${err.toString()}`); }
+    });
+  });
+
+  describe('CSV onboarding script', () => {
+    const csv = `address,name\n${BATCH_A},Alice\n\n${BATCH_A},Alice again\nnot-an-address,Bob\n${BATCH_B},Carol\n`;
+    let addresses;
+
+    before('Whitelist BATCH_B ahead of the import', async () => {
+      addresses = parseCsv(csv);
+      await kyc.whitelistHolder(BATCH_B, { from: NEW_ADMIN });
+    });
+
+    it('Reads the first column and ignores the header and blank lines', () => {
+      assert.deepEqual(addresses, [BATCH_A, BATCH_A, 'not-an-address', BATCH_B], 'incorrect addresses parsed');
+    });
+
+    it('Dry run reports changes without sending transactions', async () => {
+      const results = await whitelistAddresses({ kycAddress: kyc.address, addresses, from: NEW_ADMIN, dryRun: true });
+      assert.deepEqual(
+        results.map(r => r.status),
+        ['would whitelist', 'duplicate', 'invalid address', 'already whitelisted'],
+        'incorrect dry run report',
+      );
+      assert.strictEqual(await kyc.isWhitelistedHolder.call(BATCH_A), false, 'dry run whitelisted BATCH_A');
+    });
+
+    it('Whitelists new addresses and reports the transaction', async () => {
+      const results = await whitelistAddresses({ kycAddress: kyc.address, addresses, from: NEW_ADMIN, dryRun: false });
+      assert.strictEqual(results[0].status, 'whitelisted', 'BATCH_A not reported as whitelisted');
+      assert.match(results[0].transaction, /^0x[0-9a-f]{64}$/, 'transaction hash not reported');
+      assert.strictEqual(results[3].status, 'already whitelisted', 'BATCH_B not skipped');
+      assert.strictEqual(await kyc.isWhitelistedHolder.call(BATCH_A), true, 'BATCH_A is not whitelisted');
+    });
+  });
+
+  describe('Eligibility rules', () => {
+    const [SINGAPORE, UNITED_STATES] = [702, 840];
+    const [RETAIL, PROFESSIONAL] = [1, 2];
+    let ruleId, basket, tokenA;
+
+    before('Record holder attributes', async () => {
+      try {
+        await kyc.whitelistHolders([ELIGIBLE, US_HOLDER, BATCH_A], { from: NEW_ADMIN });
+        await kyc.setHolderAttributes(ELIGIBLE, SINGAPORE, PROFESSIONAL, 1, { from: NEW_ADMIN });
+        await kyc.setHolderAttributes(US_HOLDER, UNITED_STATES, PROFESSIONAL, 1, { from: NEW_ADMIN });
+        await kyc.setHolderAttributes(BATCH_A, SINGAPORE, RETAIL, 1, { from: NEW_ADMIN });
+      } catch (err) { assert.throw(`Error setting holder attributes: ${err.toString()}`); }
+    });
+
+    it('Cannot set holder attributes from random address', async () => {
+      try {
+        await kyc.setHolderAttributes(RANDOM, SINGAPORE, PROFESSIONAL, 3, { from: RANDOM });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      const [, , accreditationLevel] = await kyc.holderAttributes.call(RANDOM);
+      assert.strictEqual(Number(accreditationLevel), 0, 'attributes were set');
+    });
+
+    it('Cannot create an eligibility rule from random address', async () => {
+      try {
+        await kyc.createEligibilityRule(0, 0, [], { from: RANDOM });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await kyc.eligibilityRuleIndex.call()), 1, 'rule was created');
+    });
+
+    it('Owner can create an eligibility rule', async () => {
+      try {
+        const { logs } = await kyc.createEligibilityRule(1, 2 ** PROFESSIONAL, [UNITED_STATES], { from: ADMINISTRATOR });
+        const { event, args } = logs[0];
+        ruleId = Number(args.ruleId);
+        assert.strictEqual(event, 'LogEligibilityRuleCreated', 'Wrong event fired');
+        assert.strictEqual(ruleId, 1, 'rule ids do not start at one');
+        assert.strictEqual(await kyc.ruleExcludesJurisdiction.call(ruleId, UNITED_STATES), true, 'jurisdiction not excluded');
+      } catch (err) { assert.throw(`Error creating eligibility rule: ${err.toString()}`); }
+    });
+
+    it('Checks holders against the rule', async () => {
+      assert.strictEqual(await kyc.isEligibleHolder.call(ELIGIBLE, ruleId), true, 'eligible holder rejected');
+      assert.strictEqual(await kyc.isEligibleHolder.call(US_HOLDER, ruleId), false, 'excluded jurisdiction accepted');
+      assert.strictEqual(await kyc.isEligibleHolder.call(BATCH_A, ruleId), false, 'excluded investor class accepted');
+      assert.strictEqual(await kyc.isEligibleHolder.call(BATCH_A, 0), true, 'rule 0 does not only check the whitelist');
+      assert.strictEqual(await kyc.isEligibleHolder.call(ELIGIBLE, ruleId + 1), false, 'unknown rule accepted');
+    });
+
+    describe('Basket created with the rule', () => {
+      before('Deploy the basket', async () => {
+        try {
+          const basketFactory = await BasketFactory.deployed();
+          const fee = await basketFactory.productionFee.call();
+          tokenA = await constructors.TestToken(ELIGIBLE, 'Token A', 'TOKA', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+          await tokenA.transfer(US_HOLDER, 1e18, { from: ELIGIBLE });
+          const txObj = await basketFactory.createBasket(
+            'A1', 'BASK', [tokenA.address], [1e18], ADMINISTRATOR, 0, kyc.address, ruleId, 0, 0, 0, 0,
+            { from: ADMINISTRATOR, value: Number(fee) },
+          );
+          basket = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+          Promise.promisifyAll(basket, { suffix: 'Promise' });
+          assert.strictEqual(Number(await basket.eligibilityRulePromise()), ruleId, 'rule not stored on basket');
+        } catch (err) { assert.throw(`Error deploying basket: ${err.toString()}`); }
+      });
+
+      it('Applies the rule in isWhitelistedHolder', async () => {
+        assert.strictEqual(await basket.isWhitelistedHolderPromise(ELIGIBLE), true, 'eligible holder rejected');
+        assert.strictEqual(await basket.isWhitelistedHolderPromise(US_HOLDER), false, 'ineligible holder accepted');
+      });
+
+      it('Ineligible holder cannot bundle', async () => {
+        try {
+          await tokenA.approve(basket.address, 1e18, { from: US_HOLDER });
+          await basket.depositAndBundlePromise(1e18, { from: US_HOLDER, gas: 1e6 });
+        } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+        assert.strictEqual(Number(await basket.balanceOfPromise(US_HOLDER)), 0, 'ineligible holder received baskets');
+      });
+
+      it('Escrow applies the rule to order creators', async () => {
+        const basketEscrow = await BasketEscrow.deployed();
+        const expiration = (await latestTime()) + 86400;
+        try {
+          await basketEscrow.createBuyOrder(basket.address, 1e18, expiration, 1, { from: US_HOLDER, value: 1e17, gas: 1e6 });
+        } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+
+        try {
+          const { logs } = await basketEscrow.createBuyOrder(basket.address, 1e18, expiration, 1, { from: ELIGIBLE, value: 1e17, gas: 1e6 });
+          assert.strictEqual(logs[0].event, 'LogBuyOrderCreated', 'eligible holder could not create order');
+          assert.strictEqual(logs[0].args.buyer, ELIGIBLE, 'incorrect buyer');
+        } catch (err) { assert.throw(`Error creating buy order: ${err.toString()}`); }
+      });
+    });
+  });
+
+  describe('Whitelist approvals expire', () => {
+    it('Records an expiry of now + validityPeriod', async () => {
+      try {
+        const { logs } = await kyc.whitelistHolder(ADDRESS_TO_WHITELIST, { from: NEW_ADMIN });
+        const { event, args } = logs[0];
+        const now = await latestTime();
+        const expiry = await kyc.whitelistExpiry.call(ADDRESS_TO_WHITELIST);
+        assert.strictEqual(event, 'LogWhitelistHolder', 'Wrong event fired');
+        assert.strictEqual(Number(args.expiry), now + KYC_VALIDITY_PERIOD, 'incorrect expiry logged');
+        assert.strictEqual(Number(expiry), now + KYC_VALIDITY_PERIOD, 'incorrect expiry stored');
+        assert.strictEqual(await kyc.isWhitelistedHolder.call(ADDRESS_TO_WHITELIST), true, 'holder is not whitelisted');
+      } catch (err) { assert.throw(`Error checking whitelist expiry: ${err.toString()}`); }
+    });
+
+    it('Cannot change the validity period from a whitelister address', async () => {
+      try {
+        await kyc.setValidityPeriod(1, { from: NEW_ADMIN });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      const validityPeriod = await kyc.validityPeriod.call();
+      assert.strictEqual(Number(validityPeriod), KYC_VALIDITY_PERIOD, 'validity period changed');
+    });
+
+    it('Reports the expiry when a holder is unwhitelisted', async () => {
+      try {
+        const expiry = await kyc.whitelistExpiry.call(ADDRESS_TO_WHITELIST);
+        const { logs } = await kyc.unWhitelistHolder(ADDRESS_TO_WHITELIST, { from: NEW_ADMIN });
+        const { event, args } = logs[0];
+        assert.strictEqual(event, 'LogUnwhitelistHolder', 'Wrong event fired');
+        assert.strictEqual(Number(args.expiry), Number(expiry), 'incorrect expiry logged');
+        assert.strictEqual(await kyc.isWhitelistedHolder.call(ADDRESS_TO_WHITELIST), false, 'holder is still whitelisted');
+      } catch (err) { assert.throw(`Error unwhitelisting holder: ${err.toString()}`); }
+    });
+  });
+
+  describe('Signed attestations', () => {
+    let attestation;
+
+    before('Sign an attestation off-chain', async () => {
+      const expiry = (await latestTime()) + 3600;
+      attestation = await signAttestation({ kycAddress: kyc.address, holder: ADDRESS_TO_WHITELIST, expiry, nonce: 42, signer: NEW_ADMIN });
+    });
+
+    it('Computes the same hash as the contract', async () => {
+      const { holder, expiry, nonce } = attestation;
+      const hash = await kyc.getAttestationHash.call(holder, expiry, nonce);
+      assert.strictEqual(getAttestationHash({ kycAddress: kyc.address, holder, expiry, nonce }), hash, 'hashes do not match');
+    });
+
+    it('Cannot be submitted by another address', async () => {
+      const { expiry, nonce, v, r, s } = attestation;
+      try {
+        await kyc.whitelistWithAttestation(expiry, nonce, v, r, s, { from: RANDOM });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(await kyc.isWhitelistedHolder.call(RANDOM), false, 'RANDOM was whitelisted');
+    });
+
+    it('Holder can whitelist itself with the attestation', async () => {
+      const { expiry, nonce, v, r, s } = attestation;
+      try {
+        const { logs } = await kyc.whitelistWithAttestation(expiry, nonce, v, r, s, { from: ADDRESS_TO_WHITELIST });
+        const attestationLog = logs.find(l => l.event === 'LogAttestationUsed');
+        assert.strictEqual(attestationLog.args.signer, NEW_ADMIN, 'incorrect signer logged');
+        assert.strictEqual(attestationLog.args.holder, ADDRESS_TO_WHITELIST, 'incorrect holder logged');
+        assert.strictEqual(Number(await kyc.whitelistExpiry.call(ADDRESS_TO_WHITELIST)), expiry, 'incorrect expiry stored');
+        assert.strictEqual(await kyc.usedAttestationNonces.call(NEW_ADMIN, nonce), true, 'nonce not marked as used');
+      } catch (err) { assert.throw(`Error whitelisting with attestation: ${err.toString()}`); }
+    });
+
+    it('Nonces cannot be reused', async () => {
+      const { expiry, nonce, v, r, s } = attestation;
+      await kyc.unWhitelistHolder(ADDRESS_TO_WHITELIST, { from: NEW_ADMIN });
+      try {
+        await kyc.whitelistWithAttestation(expiry, nonce, v, r, s, { from: ADDRESS_TO_WHITELIST });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(await kyc.isWhitelistedHolder.call(ADDRESS_TO_WHITELIST), false, 'attestation was replayed');
+    });
+
+    it('Rejects attestations from signers without the whitelister role', async () => {
+      const expiry = (await latestTime()) + 3600;
+      const { v, r, s } = await signAttestation({ kycAddress: kyc.address, holder: RANDOM, expiry, nonce: 1, signer: RANDOM });
+      try {
+        await kyc.whitelistWithAttestation(expiry, 1, v, r, s, { from: RANDOM });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(await kyc.isWhitelistedHolder.call(RANDOM), false, 'RANDOM was whitelisted');
+    });
+
+    it('Rejects expiries beyond the validity period', async () => {
+      const expiry = (await latestTime()) + KYC_VALIDITY_PERIOD + 3600;
+      const { v, r, s } = await signAttestation({ kycAddress: kyc.address, holder: RANDOM, expiry, nonce: 2, signer: NEW_ADMIN });
+      try {
+        await kyc.whitelistWithAttestation(expiry, 2, v, r, s, { from: RANDOM });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(await kyc.isWhitelistedHolder.call(RANDOM), false, 'RANDOM was whitelisted');
+    });
+  });
+
+  const listHolders = async () => {
+    const count = Number(await kyc.getWhitelistedHolderCount.call());
+    const [holders] = await kyc.getWhitelistedHolders.call(0, count);
+    return holders;
+  };
+
+  describe('Enumerable whitelist', () => {
+    it('Lists every whitelisted holder once', async () => {
+      const holders = await listHolders();
+      assert.strictEqual(new Set(holders).size, holders.length, 'holders listed more than once');
+      assert.include(holders, ELIGIBLE, 'whitelisted holder not listed');
+      const expiries = await Promise.all(holders.map(h => kyc.whitelistExpiry.call(h)));
+      expiries.forEach(e => assert.isAbove(Number(e), 0, 'unwhitelisted holder listed'));
+    });
+
+    it('Reads the list in pages', async () => {
+      const holders = await listHolders();
+      const [lastPage, lastExpiries] = await kyc.getWhitelistedHolders.call(holders.length - 1, 10);
+      assert.deepEqual(lastPage, holders.slice(-1), 'incorrect last page');
+      assert.strictEqual(Number(lastExpiries[0]), Number(await kyc.whitelistExpiry.call(lastPage[0])), 'incorrect expiry');
+      const [emptyPage] = await kyc.getWhitelistedHolders.call(holders.length, 10);
+      assert.strictEqual(emptyPage.length, 0, 'page beyond the end is not empty');
+    });
+
+    it('Adds and removes holders as they are whitelisted and unwhitelisted', async () => {
+      try {
+        const countBefore = Number(await kyc.getWhitelistedHolderCount.call());
+        await kyc.whitelistHolder(RANDOM, { from: NEW_ADMIN });
+        assert.include(await listHolders(), RANDOM, 'new holder not listed');
+        await kyc.whitelistHolder(RANDOM, { from: NEW_ADMIN });
+        assert.strictEqual(Number(await kyc.getWhitelistedHolderCount.call()), countBefore + 1, 'renewal listed the holder again');
+
+        await kyc.unWhitelistHolder(RANDOM, { from: NEW_ADMIN });
+        assert.notInclude(await listHolders(), RANDOM, 'unwhitelisted holder still listed');
+        assert.strictEqual(Number(await kyc.getWhitelistedHolderCount.call()), countBefore, 'incorrect holder count');
+      } catch (err) { assert.throw(`Error updating the holder list: ${err.toString()}`); }
+    });
+  });
+
+  describe('Whitelist export script', () => {
+    let snapshotBlock, holdersAtSnapshot;
+
+    before('Whitelist a holder after the snapshot block', async () => {
+      try {
+        holdersAtSnapshot = await listHolders();
+        snapshotBlock = await web3.eth.getBlockNumberPromise();
+        await kyc.whitelistHolder(RANDOM, { from: NEW_ADMIN });
+      } catch (err) { assert.throw(`Error whitelisting holder: ${err.toString()}`); }
+    });
+
+    it('Exports the whitelist as it stood at a past block', async () => {
+      const snapshot = await getWhitelistSnapshot({ kycAddress: kyc.address, block: snapshotBlock });
+      const { timestamp } = await web3.eth.getBlockPromise(snapshotBlock);
+      assert.strictEqual(snapshot.blockNumber, snapshotBlock, 'incorrect block');
+      assert.strictEqual(snapshot.date, new Date(timestamp * 1000).toISOString().slice(0, 10), 'incorrect date');
+      assert.notInclude(snapshot.holders.map(h => h.address), RANDOM, 'later holder included');
+      assert.deepEqual(snapshot.holders.map(h => h.address), holdersAtSnapshot, 'snapshot does not match the list');
+    });
+
+    it('Exports the latest whitelist as CSV', async () => {
+      const snapshot = await getWhitelistSnapshot({ kycAddress: kyc.address });
+      const holder = snapshot.holders.find(h => h.address === RANDOM);
+      assert.strictEqual(holder.whitelisted, true, 'holder not reported as whitelisted');
+      const [header, ...rows] = toCsv(snapshot).split('\n');
+      assert.strictEqual(header, 'address,expiry,expiryDate,whitelisted', 'incorrect header');
+      assert.strictEqual(rows.length, snapshot.holders.length, 'incorrect number of rows');
+    });
+
+    after('Remove the holder again', async () => {
+      await kyc.unWhitelistHolder(RANDOM, { from: NEW_ADMIN });
+    });
+  });
+
+  describe('Lapsed holders', () => {
+    const SHORT_VALIDITY_PERIOD = 100;
+    const amount = 2e18;
+    let shortKyc, tokenA, basket;
+
+    before('Deploy a short-lived KYC and a basket that uses it', async () => {
+      try {
+        const basketFactory = await BasketFactory.deployed();
+        shortKyc = await constructors.KYC(ADMINISTRATOR, KYC_ADMIN, SHORT_VALIDITY_PERIOD);
+        tokenA = await constructors.TestToken(HOLDER, 'Token A', 'TOKA', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+
+        const fee = await basketFactory.productionFee.call();
+        const txObj = await basketFactory.createBasket(
+          'A1', 'BASK', [tokenA.address], [1e18], ADMINISTRATOR, 0, shortKyc.address, 0, 0, 0, 0, 0,
+          { from: ADMINISTRATOR, value: Number(fee) },
+        );
+        basket = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+        Promise.promisifyAll(basket, { suffix: 'Promise' });
+
+        await shortKyc.whitelistHolder(HOLDER, { from: KYC_ADMIN });
+        await tokenA.approve(basket.address, amount * 2, { from: HOLDER });
+        await basket.depositAndBundlePromise(amount, { from: HOLDER, gas: 1e6 });
+        await increaseTime(SHORT_VALIDITY_PERIOD + 1);
+      } catch (err) { assert.throw(`Error setting up lapsed holder: ${err.toString()}`); }
+    });
+
+    it('Holder is no longer whitelisted once the expiry passes', async () => {
+      const isWhitelisted = await shortKyc.isWhitelistedHolder.call(HOLDER);
+      assert.strictEqual(isWhitelisted, false, 'lapsed holder is still whitelisted');
+    });
+
+    it('Lapsed holder cannot bundle new baskets', async () => {
+      try {
+        await basket.depositAndBundlePromise(amount, { from: HOLDER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      const balance = await basket.balanceOfPromise(HOLDER);
+      assert.strictEqual(Number(balance), amount, 'lapsed holder received new basket tokens');
+    });
+
+    it('Lapsed holder can still debundle and withdraw', async () => {
+      try {
+        await basket.debundleAndWithdrawPromise(amount, { from: HOLDER, gas: 1e6 });
+        const balance = await basket.balanceOfPromise(HOLDER);
+        const tokenBalance = await tokenA.balanceOf(HOLDER);
+        assert.strictEqual(Number(balance), 0, 'basket balance did not decrease');
+        assert.strictEqual(Number(tokenBalance), INITIAL_SUPPLY, 'component tokens were not returned');
+      } catch (err) { assert.throw(`Error debundling as lapsed holder: ${err.toString()}`); }
+    });
+
+    it('Renewal from a random address is rejected', async () => {
+      try {
+        await shortKyc.renewHolders([HOLDER], { from: RANDOM });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(await shortKyc.isWhitelistedHolder.call(HOLDER), false, 'holder was renewed');
+    });
+
+    it('Cannot renew an address that was never whitelisted', async () => {
+      try {
+        await shortKyc.renewHolders([HOLDER, RANDOM], { from: KYC_ADMIN });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(await shortKyc.isWhitelistedHolder.call(RANDOM), false, 'random address was whitelisted');
+    });
+
+    it('Admin can renew lapsed holders in batch', async () => {
+      try {
+        const { logs } = await shortKyc.renewHolders([HOLDER], { from: KYC_ADMIN });
+        const now = await latestTime();
+        assert.strictEqual(logs[0].event, 'LogWhitelistHolder', 'Wrong event fired');
+        assert.strictEqual(Number(logs[0].args.expiry), now + SHORT_VALIDITY_PERIOD, 'incorrect expiry logged');
+        assert.strictEqual(await shortKyc.isWhitelistedHolder.call(HOLDER), true, 'holder was not renewed');
+      } catch (err) { assert.throw(`Error renewing holders: ${err.toString()}`); }
+    });
+  });
+
+  describe('Frozen accounts and forced transfers', () => {
+    const amount = 2e18;
+    const REASON_LOST_KEYS = 'lost keys';
+    let freezeKyc, tokenA, basket, ROLE_COMPLIANCE_OFFICER;
+
+    before('Deploy a KYC with a compliance officer and a basket that uses it', async () => {
+      try {
+        const basketFactory = await BasketFactory.deployed();
+        freezeKyc = await constructors.KYC(ADMINISTRATOR, KYC_ADMIN, KYC_VALIDITY_PERIOD);
+        ROLE_COMPLIANCE_OFFICER = await freezeKyc.ROLE_COMPLIANCE_OFFICER.call();
+        await freezeKyc.grantRole(NEW_ADMIN, ROLE_COMPLIANCE_OFFICER, { from: ADMINISTRATOR });
+        tokenA = await constructors.TestToken(HOLDER, 'Token A', 'TOKA', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+
+        const fee = await basketFactory.productionFee.call();
+        const txObj = await basketFactory.createBasket(
+          'A1', 'BASK', [tokenA.address], [1e18], ADMINISTRATOR, 0, freezeKyc.address, 0, 0, 0, 0, 0,
+          { from: ADMINISTRATOR, value: Number(fee) },
+        );
+        basket = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+        Promise.promisifyAll(basket, { suffix: 'Promise' });
+
+        await freezeKyc.whitelistHolders([HOLDER, BATCH_A], { from: KYC_ADMIN });
+        await tokenA.approve(basket.address, amount * 2, { from: HOLDER });
+        await basket.depositAndBundlePromise(amount, { from: HOLDER, gas: 1e6 });
+        await basket.approvePromise(RANDOM, amount, { from: HOLDER });
+      } catch (err) { assert.throw(`Error setting up frozen holder: ${err.toString()}`); }
+    });
+
+    it('Only the owner or a compliance officer can freeze accounts', async () => {
+      try {
+        await freezeKyc.freezeHolder(HOLDER, { from: KYC_ADMIN });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(await freezeKyc.isFrozen.call(HOLDER), false, 'whitelister froze an account');
+    });
+
+    it('Compliance officer can freeze an account', async () => {
+      try {
+        const { logs } = await freezeKyc.freezeHolder(HOLDER, { from: NEW_ADMIN });
+        assert.strictEqual(logs[0].event, 'LogFreezeHolder', 'Wrong event fired');
+        assert.strictEqual(logs[0].args.holder, HOLDER, 'incorrect holder logged');
+        assert.strictEqual(logs[0].args.frozenBy, NEW_ADMIN, 'incorrect officer logged');
+        assert.strictEqual(await basket.isFrozenPromise(HOLDER), true, 'basket does not see the freeze');
+        assert.strictEqual(await basket.isWhitelistedHolderPromise(HOLDER), false, 'frozen holder can still receive');
+      } catch (err) { assert.throw(`Error freezing holder: ${err.toString()}`); }
+    });
+
+    it('Frozen holder cannot transfer', async () => {
+      try {
+        await basket.transferPromise(BATCH_A, 1e18, { from: HOLDER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      try {
+        await basket.transferFromPromise(HOLDER, BATCH_A, 1e18, { from: RANDOM, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER)), amount, 'frozen holder balance changed');
+    });
+
+    it('Frozen holder cannot bundle or debundle', async () => {
+      try {
+        await basket.depositAndBundlePromise(amount, { from: HOLDER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      try {
+        await basket.debundleAndWithdrawPromise(amount, { from: HOLDER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      try {
+        await basket.burnPromise(amount, { from: HOLDER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER)), amount, 'frozen holder balance changed');
+    });
+
+    it('Cannot force transfer from a random address or the KYC whitelister', async () => {
+      try {
+        await basket.forceTransferPromise(HOLDER, RANDOM, amount, REASON_LOST_KEYS, { from: RANDOM, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      try {
+        await basket.forceTransferPromise(HOLDER, BATCH_A, amount, REASON_LOST_KEYS, { from: KYC_ADMIN, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER)), amount, 'frozen holder balance changed');
+    });
+
+    it('Cannot force transfer to an account that is not whitelisted', async () => {
+      try {
+        await basket.forceTransferPromise(HOLDER, RANDOM, amount, REASON_LOST_KEYS, { from: NEW_ADMIN, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.balanceOfPromise(RANDOM)), 0, 'recipient received basket tokens');
+    });
+
+    it('Compliance officer can move tokens from a frozen account to a replacement account', async () => {
+      try {
+        const txHash = await basket.forceTransferPromise(HOLDER, BATCH_A, amount, REASON_LOST_KEYS, { from: NEW_ADMIN, gas: 1e6 });
+        const receipt = await web3.eth.getTransactionReceiptPromise(txHash);
+        assert.strictEqual(receipt.logs.length, 2, 'Transfer and LogForceTransfer were not emitted');
+        assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER)), 0, 'frozen holder balance did not decrease');
+        assert.strictEqual(Number(await basket.balanceOfPromise(BATCH_A)), amount, 'replacement account balance did not increase');
+
+        const forceTransferEvent = basket.LogForceTransfer({ officer: NEW_ADMIN }, { fromBlock: receipt.blockNumber, toBlock: receipt.blockNumber });
+        const [{ args }] = await Promise.promisify(forceTransferEvent.get, { context: forceTransferEvent })();
+        assert.strictEqual(args.from, HOLDER, 'incorrect source logged');
+        assert.strictEqual(args.to, BATCH_A, 'incorrect recipient logged');
+        assert.strictEqual(web3.toUtf8(args.reasonCode), REASON_LOST_KEYS, 'incorrect reason code logged');
+      } catch (err) { assert.throw(`Error forcing transfer: ${err.toString()}`); }
+    });
+
+    it('Unfrozen holder can transact again', async () => {
+      try {
+        await freezeKyc.unfreezeHolder(HOLDER, { from: NEW_ADMIN });
+        await basket.transferPromise(HOLDER, 1e18, { from: BATCH_A, gas: 1e6 });
+        await basket.debundleAndWithdrawPromise(1e18, { from: HOLDER, gas: 1e6 });
+        assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER)), 0, 'holder could not debundle');
+      } catch (err) { assert.throw(`Error transacting after unfreeze: ${err.toString()}`); }
+    });
+  });
+
   describe('Fallback', () => {
     let initialKYCBalance;
 
@@ -80,7 +80,7 @@ contract('Stress test', (accounts) => {
           tokenAddressArray.push(token.address);
           weightArray.push(1e18);
           const txObj = await basketFactory.createBasket(
-            'A1B1', 'BASK', tokenAddressArray, weightArray, ARRANGER, 0, kyc.address,
+            'A1B1', 'BASK', tokenAddressArray, weightArray, ARRANGER, 0, kyc.address, 0, 0, 0, 0, 0,
             // charge 0 arranger fee
             { from: ARRANGER },
           );
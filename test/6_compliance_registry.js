@@ -0,0 +1,264 @@
+const path = require('path');
+const Promise = require('bluebird');
+
+const BasketEscrow = artifacts.require('./BasketEscrow.sol');
+const BasketFactory = artifacts.require('./BasketFactory.sol');
+const { abi: basketAbi } = require('../build/contracts/Basket.json');
+const { constructors } = require('../migrations/constructors.js');
+const { web3 } = require('../utils/web3');
+const { increaseTime, latestTime } = require('../utils/evm');
+const {
+  DECIMALS,
+  INITIAL_SUPPLY,
+  FAUCET_AMOUNT,
+  KYC_VALIDITY_PERIOD,
+} = require('../config');
+
+const doesRevert = err => err.message.includes('revert');
+
+contract('ComplianceRegistry', (accounts) => {
+  // Accounts
+  const [ADMINISTRATOR, ARRANGER, HOLDER_A, HOLDER_B, SANCTIONED, RANDOM, OFFICER] = accounts.slice(0, 7);
+
+  // Contract instances
+  let complianceRegistry, vendorA, vendorB, sanctionsList;
+  let ALL_OF, ANY_OF;
+
+  before('Deploy two KYC vendors, a sanctions list and a compliance registry', async () => {
+    console.log(`  ================= START TEST [ ${path.basename(__filename)} ] =================`);
+
+    try {
+      vendorA = await constructors.KYC(ADMINISTRATOR, ADMINISTRATOR, KYC_VALIDITY_PERIOD);
+      vendorB = await constructors.KYC(ADMINISTRATOR, ADMINISTRATOR, KYC_VALIDITY_PERIOD);
+      sanctionsList = await constructors.KYC(ADMINISTRATOR, ADMINISTRATOR, KYC_VALIDITY_PERIOD);
+      await vendorA.whitelistHolders([HOLDER_A, HOLDER_B, SANCTIONED], { from: ADMINISTRATOR });
+      await vendorB.whitelistHolders([HOLDER_A, SANCTIONED], { from: ADMINISTRATOR });
+
+      complianceRegistry = await constructors.ComplianceRegistry(ARRANGER, 0);
+      ALL_OF = Number(await complianceRegistry.ALL_OF.call());
+      ANY_OF = Number(await complianceRegistry.ANY_OF.call());
+    } catch (err) { assert.throw(`Failed to deploy contracts: ${err.toString()}`); }
+  });
+
+  describe('Managing providers', () => {
+    it('Does not approve anyone before providers are added', async () => {
+      assert.strictEqual(await complianceRegistry.isWhitelistedHolder.call(HOLDER_A), false, 'holder approved without providers');
+    });
+
+    it('Cannot add providers from random address', async () => {
+      try {
+        await complianceRegistry.addProvider(vendorA.address, { from: RANDOM });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await complianceRegistry.getProviderCount.call()), 0, 'provider was added');
+    });
+
+    it('Arranger can add providers', async () => {
+      try {
+        const { logs } = await complianceRegistry.addProvider(vendorA.address, { from: ARRANGER });
+        await complianceRegistry.addProvider(vendorB.address, { from: ARRANGER });
+        assert.strictEqual(logs[0].event, 'LogProviderAdded', 'Wrong event fired');
+        assert.strictEqual(logs[0].args.provider, vendorA.address, 'incorrect provider logged');
+        assert.strictEqual(Number(await complianceRegistry.getProviderCount.call()), 2, 'incorrect provider count');
+      } catch (err) { assert.throw(`Error adding providers: ${err.toString()}`); }
+    });
+
+    it('Cannot add the same provider twice', async () => {
+      try {
+        await complianceRegistry.addProvider(vendorA.address, { from: ARRANGER });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await complianceRegistry.getProviderCount.call()), 2, 'provider was added twice');
+    });
+  });
+
+  describe('Combining providers', () => {
+    it('All-of requires approval from every provider', async () => {
+      assert.strictEqual(Number(await complianceRegistry.mode.call()), ALL_OF, 'incorrect initial mode');
+      assert.strictEqual(await complianceRegistry.isWhitelistedHolder.call(HOLDER_A), true, 'approved holder rejected');
+      assert.strictEqual(await complianceRegistry.isWhitelistedHolder.call(HOLDER_B), false, 'partially approved holder accepted');
+    });
+
+    it('Cannot change the mode from random address', async () => {
+      try {
+        await complianceRegistry.setMode(ANY_OF, { from: RANDOM });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await complianceRegistry.mode.call()), ALL_OF, 'mode changed');
+    });
+
+    it('Any-of requires approval from at least one provider', async () => {
+      try {
+        const { logs } = await complianceRegistry.setMode(ANY_OF, { from: ARRANGER });
+        assert.strictEqual(logs[0].event, 'LogModeChange', 'Wrong event fired');
+        assert.strictEqual(await complianceRegistry.isWhitelistedHolder.call(HOLDER_B), true, 'partially approved holder rejected');
+        assert.strictEqual(await complianceRegistry.isWhitelistedHolder.call(RANDOM), false, 'unapproved holder accepted');
+      } catch (err) { assert.throw(`Error changing mode: ${err.toString()}`); }
+    });
+  });
+
+  describe('Deny lists', () => {
+    it('Arranger can add a deny list', async () => {
+      try {
+        const { logs } = await complianceRegistry.addDenyList(sanctionsList.address, { from: ARRANGER });
+        assert.strictEqual(logs[0].event, 'LogDenyListAdded', 'Wrong event fired');
+        assert.strictEqual(logs[0].args.denyList, sanctionsList.address, 'incorrect deny list logged');
+      } catch (err) { assert.throw(`Error adding deny list: ${err.toString()}`); }
+    });
+
+    it('Deny lists override provider approvals', async () => {
+      assert.strictEqual(await complianceRegistry.isWhitelistedHolder.call(SANCTIONED), true, 'approved holder rejected');
+      await sanctionsList.whitelistHolder(SANCTIONED, { from: ADMINISTRATOR });
+      assert.strictEqual(await complianceRegistry.isDenied.call(SANCTIONED), true, 'holder not denied');
+      assert.strictEqual(await complianceRegistry.isWhitelistedHolder.call(SANCTIONED), false, 'denied holder accepted');
+      assert.strictEqual(await complianceRegistry.isFrozen.call(SANCTIONED), true, 'denied holder not frozen');
+    });
+  });
+
+  describe('Basket using the compliance registry', () => {
+    let tokenA, basket;
+
+    before('Deploy a basket pointing at the compliance registry', async () => {
+      try {
+        const basketFactory = await BasketFactory.deployed();
+        const fee = await basketFactory.productionFee.call();
+        tokenA = await constructors.TestToken(HOLDER_A, 'Token A', 'TOKA', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+        const txObj = await basketFactory.createBasket(
+          'A1', 'BASK', [tokenA.address], [1e18], ARRANGER, 0, complianceRegistry.address, 0, 0, 0, 0, 0,
+          { from: ARRANGER, value: Number(fee) },
+        );
+        basket = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+        Promise.promisifyAll(basket, { suffix: 'Promise' });
+      } catch (err) { assert.throw(`Error deploying basket: ${err.toString()}`); }
+    });
+
+    it('Approved holder can bundle and transfer to another approved holder', async () => {
+      try {
+        await tokenA.approve(basket.address, 2e18, { from: HOLDER_A });
+        await basket.depositAndBundlePromise(2e18, { from: HOLDER_A, gas: 1e6 });
+        await basket.transferPromise(HOLDER_B, 1e18, { from: HOLDER_A, gas: 1e6 });
+        assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER_B)), 1e18, 'transfer failed');
+      } catch (err) { assert.throw(`Error bundling and transferring: ${err.toString()}`); }
+    });
+
+    it('Cannot transfer to a denied holder', async () => {
+      try {
+        await basket.transferPromise(SANCTIONED, 1e18, { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.balanceOfPromise(SANCTIONED)), 0, 'denied holder received baskets');
+    });
+
+    it('Escrow checks order creators against the registry', async () => {
+      const basketEscrow = await BasketEscrow.deployed();
+      const expiration = (await latestTime()) + 86400;
+      try {
+        await basketEscrow.createBuyOrder(basket.address, 1e18, expiration, 1, { from: SANCTIONED, value: 1e17, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+
+      try {
+        const { logs } = await basketEscrow.createBuyOrder(basket.address, 1e18, expiration, 1, { from: HOLDER_B, value: 1e17, gas: 1e6 });
+        assert.strictEqual(logs[0].args.buyer, HOLDER_B, 'approved holder could not create order');
+      } catch (err) { assert.throw(`Error creating buy order: ${err.toString()}`); }
+    });
+
+    it('Officers of a provider that has not approved a holder cannot force transfers from it', async () => {
+      await vendorB.grantRole(OFFICER, await vendorB.ROLE_COMPLIANCE_OFFICER.call(), { from: ADMINISTRATOR });
+      assert.strictEqual(await complianceRegistry.isComplianceOfficerFor.call(OFFICER, HOLDER_A), true, 'officer of approving provider rejected');
+      assert.strictEqual(await complianceRegistry.isComplianceOfficerFor.call(OFFICER, HOLDER_B), false, 'officer of other provider accepted');
+      try {
+        await basket.forceTransferPromise(HOLDER_B, HOLDER_A, 1e18, 'lost keys', { from: OFFICER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER_B)), 1e18, 'tokens were moved');
+    });
+
+    it('Registry owner can force transfers from any holder', async () => {
+      try {
+        await basket.forceTransferPromise(HOLDER_B, HOLDER_A, 5e17, 'lost keys', { from: ARRANGER, gas: 1e6 });
+        assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER_B)), 5e17, 'tokens not moved');
+      } catch (err) { assert.throw(`Error forcing transfer: ${err.toString()}`); }
+    });
+
+    it('Removing a provider takes effect immediately', async () => {
+      try {
+        await complianceRegistry.setMode(ALL_OF, { from: ARRANGER });
+        assert.strictEqual(await basket.isWhitelistedHolderPromise(HOLDER_B), false, 'partially approved holder accepted');
+
+        const { logs } = await complianceRegistry.removeProvider(vendorB.address, { from: ARRANGER });
+        assert.strictEqual(logs[0].event, 'LogProviderRemoved', 'Wrong event fired');
+        assert.strictEqual(Number(await complianceRegistry.getProviderCount.call()), 1, 'incorrect provider count');
+        assert.strictEqual(await basket.isWhitelistedHolderPromise(HOLDER_B), true, 'holder approved by remaining provider rejected');
+      } catch (err) { assert.throw(`Error removing provider: ${err.toString()}`); }
+    });
+
+    it('Removing a deny list lifts its denials', async () => {
+      try {
+        const { logs } = await complianceRegistry.removeDenyList(sanctionsList.address, { from: ARRANGER });
+        assert.strictEqual(logs[0].event, 'LogDenyListRemoved', 'Wrong event fired');
+        assert.strictEqual(await basket.isWhitelistedHolderPromise(SANCTIONED), true, 'holder still denied');
+      } catch (err) { assert.throw(`Error removing deny list: ${err.toString()}`); }
+    });
+  });
+
+  describe('Legacy providers', () => {
+    let legacyRegistry, legacyVendor;
+
+    before('Deploy a provider that only implements isWhitelistedHolder', async () => {
+      try {
+        legacyVendor = await constructors.MockLegacyKYC(ADMINISTRATOR);
+        await legacyVendor.whitelistHolder(HOLDER_A, { from: ADMINISTRATOR });
+        legacyRegistry = await constructors.ComplianceRegistry(ARRANGER, ALL_OF);
+      } catch (err) { assert.throw(`Failed to deploy contracts: ${err.toString()}`); }
+    });
+
+    it('Are detected when added', async () => {
+      try {
+        await legacyRegistry.addProvider(legacyVendor.address, { from: ARRANGER });
+        await legacyRegistry.addProvider(vendorA.address, { from: ARRANGER });
+        assert.strictEqual(await legacyRegistry.legacyProvider.call(legacyVendor.address), true, 'legacy provider not detected');
+        assert.strictEqual(await legacyRegistry.legacyProvider.call(vendorA.address), false, 'provider detected as legacy');
+      } catch (err) { assert.throw(`Error adding providers: ${err.toString()}`); }
+    });
+
+    it('Are asked isWhitelistedHolder instead of reverting', async () => {
+      assert.strictEqual(await legacyRegistry.isWhitelistedHolder.call(HOLDER_A), true, 'approved holder rejected');
+      assert.strictEqual(await legacyRegistry.isWhitelistedHolder.call(HOLDER_B), false, 'partially approved holder accepted');
+      assert.strictEqual(await legacyRegistry.isFrozen.call(HOLDER_A), false, 'holder reported as frozen');
+      assert.strictEqual(await legacyRegistry.isComplianceOfficerFor.call(ADMINISTRATOR, HOLDER_A), true, 'officer rejected');
+    });
+
+    it('Do not approve holders for eligibility rules on their own', async () => {
+      try {
+        await legacyRegistry.setMode(ANY_OF, { from: ARRANGER });
+        await legacyRegistry.removeProvider(vendorA.address, { from: ARRANGER });
+        assert.strictEqual(await legacyRegistry.isEligibleHolder.call(HOLDER_A, 0), true, 'whitelisted holder rejected');
+        assert.strictEqual(await legacyRegistry.isEligibleHolder.call(HOLDER_A, 1), false, 'unchecked rule approved');
+      } catch (err) { assert.throw(`Error checking eligibility: ${err.toString()}`); }
+    });
+  });
+
+  describe('Deny lists after the validity period', () => {
+    it('Keep denying holders whose listing has lapsed', async () => {
+      try {
+        await complianceRegistry.addDenyList(sanctionsList.address, { from: ARRANGER });
+        await increaseTime(KYC_VALIDITY_PERIOD + 1);
+        assert.strictEqual(await sanctionsList.isWhitelistedHolder.call(SANCTIONED), false, 'listing did not lapse');
+        assert.strictEqual(await complianceRegistry.isDenied.call(SANCTIONED), true, 'denial lapsed');
+        assert.strictEqual(await complianceRegistry.isFrozen.call(SANCTIONED), true, 'denied holder not frozen');
+      } catch (err) { assert.throw(`Error checking deny list: ${err.toString()}`); }
+    });
+
+    it('Lift a denial once the holder is removed from the list', async () => {
+      try {
+        await sanctionsList.unWhitelistHolder(SANCTIONED, { from: ADMINISTRATOR });
+        assert.strictEqual(await complianceRegistry.isDenied.call(SANCTIONED), false, 'holder still denied');
+      } catch (err) { assert.throw(`Error checking deny list: ${err.toString()}`); }
+    });
+  });
+
+  describe('Fallback', () => {
+    it('Rejects any ether sent to contract', async () => {
+      try {
+        await web3.eth.sendTransactionPromise({ from: RANDOM, to: complianceRegistry.address, value: 1e18 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      const balance = await web3.eth.getBalancePromise(complianceRegistry.address);
+      assert.strictEqual(Number(balance), 0, 'registry accepted ether');
+    });
+  });
+});
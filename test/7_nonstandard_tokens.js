@@ -0,0 +1,201 @@
+const path = require('path');
+const Promise = require('bluebird');
+
+const KYC = artifacts.require('./KYC.sol');
+const BasketFactory = artifacts.require('./BasketFactory.sol');
+const BasketRegistry = artifacts.require('./BasketRegistry.sol');
+const { abi: basketAbi } = require('../build/contracts/Basket.json');
+const { constructors } = require('../migrations/constructors.js');
+const { web3 } = require('../utils/web3');
+const { increaseTime } = require('../utils/evm');
+const { DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT } = require('../config');
+
+const doesRevert = err => err.message.includes('revert');
+
+contract('Non-standard component tokens', (accounts) => {
+  // Accounts
+  const [ARRANGER, HOLDER] = accounts.slice(1, 3);
+
+  // Contract instances
+  let basketFactory, basketRegistry;
+  let noReturnToken, falseReturnToken;
+  let basket;
+
+  before('Deploy misbehaving tokens and a basket holding both', async () => {
+    console.log(`  ================= START TEST [ ${path.basename(__filename)} ] =================`);
+
+    try {
+      const kyc = await KYC.deployed();
+      await kyc.whitelistHolder(HOLDER);
+      basketFactory = await BasketFactory.deployed();
+      basketRegistry = await BasketRegistry.deployed();
+      noReturnToken = await constructors.NoReturnToken(HOLDER, 'No Return Token', 'NRT', DECIMALS, INITIAL_SUPPLY);
+      falseReturnToken = await constructors.FalseReturnToken(HOLDER, 'False Return Token', 'FRT', DECIMALS, INITIAL_SUPPLY);
+
+      const fee = await basketFactory.productionFee.call();
+      const txObj = await basketFactory.createBasket(
+        'NRT1FRT1', 'BASK', [noReturnToken.address, falseReturnToken.address], [1e18, 1e18], ARRANGER, 0, kyc.address, 0, 0, 0, 0, 0,
+        { from: ARRANGER, value: Number(fee) },
+      );
+      basket = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+      Promise.promisifyAll(basket, { suffix: 'Promise' });
+    } catch (err) { assert.throw(`Failed to deploy contracts: ${err.toString()}`); }
+  });
+
+  describe('Tokens returning false', () => {
+    it('does not mint baskets when a component transfer returns false', async () => {
+      try {
+        await noReturnToken.approve(basket.address, 1e18, { from: HOLDER });
+        await basket.depositAndBundlePromise(1e18, { from: HOLDER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER)), 0, 'baskets minted without a deposit');
+      assert.strictEqual(Number(await noReturnToken.balanceOf(basket.address)), 0, 'deposit not rolled back');
+    });
+  });
+
+  describe('Tokens returning nothing', () => {
+    it('bundles components that return no value', async () => {
+      try {
+        await noReturnToken.approve(basket.address, 1e18, { from: HOLDER });
+        await falseReturnToken.approve(basket.address, 1e18, { from: HOLDER });
+        await basket.depositAndBundlePromise(1e18, { from: HOLDER, gas: 1e6 });
+
+        assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER)), 1e18, 'baskets not minted');
+        assert.strictEqual(Number(await noReturnToken.balanceOf(basket.address)), 1e18, 'component not deposited');
+      } catch (err) { assert.throw(`Error bundling: ${err.toString()}`); }
+    });
+
+    it('debundles components that return no value', async () => {
+      try {
+        const initialBalance = Number(await noReturnToken.balanceOf(HOLDER));
+        await basket.debundleAndWithdrawPromise(1e18, { from: HOLDER, gas: 1e6 });
+
+        assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER)), 0, 'baskets not burned');
+        assert.strictEqual(Number(await noReturnToken.balanceOf(HOLDER)) - initialBalance, 1e18, 'component not returned');
+      } catch (err) { assert.throw(`Error debundling: ${err.toString()}`); }
+    });
+  });
+
+  describe('Components without code', () => {
+    it('does not create baskets with a component that is not a contract', async () => {
+      const fee = await basketFactory.productionFee.call();
+      const basketCount = Number(await basketRegistry.getBasketCount.call());
+      try {
+        await basketFactory.createBasket(
+          'EOA1', 'BASK', [ARRANGER], [1e18], ARRANGER, 0, 0, 0, 0, 0, 0, 0,
+          { from: ARRANGER, value: Number(fee) },
+        );
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketRegistry.getBasketCount.call()), basketCount, 'basket was created');
+    });
+  });
+
+  describe('Fee-on-transfer tokens', () => {
+    let feeToken;
+
+    const deployBasket = async (balanceCheckedMask) => {
+      const kyc = await KYC.deployed();
+      const fee = await basketFactory.productionFee.call();
+      const txObj = await basketFactory.createBasket(
+        'FOT1', 'BASK', [feeToken.address], [1e18], ARRANGER, 0, kyc.address, 0, 0, balanceCheckedMask, 0, 0,
+        { from: ARRANGER, value: Number(fee) },
+      );
+      const feeBasket = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+      Promise.promisifyAll(feeBasket, { suffix: 'Promise' });
+      return feeBasket;
+    };
+
+    before('Deploy a fee-on-transfer token', async () => {
+      try {
+        feeToken = await constructors.FeeOnTransferToken(HOLDER, 'Fee On Transfer Token', 'FOT', DECIMALS, INITIAL_SUPPLY);
+      } catch (err) { assert.throw(`Failed to deploy token: ${err.toString()}`); }
+    });
+
+    it('does not mint baskets when a balance-checked component arrives short', async () => {
+      const feeBasket = await deployBasket(1);
+      assert.strictEqual(await feeBasket.balanceCheckedPromise(feeToken.address), true, 'component not flagged');
+      try {
+        await feeToken.approve(feeBasket.address, 1e18, { from: HOLDER });
+        await feeBasket.depositAndBundlePromise(1e18, { from: HOLDER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await feeBasket.balanceOfPromise(HOLDER)), 0, 'under-collateralized baskets minted');
+    });
+
+    it('reports the shortfall of an unchecked component in getHoldings', async () => {
+      try {
+        const feeBasket = await deployBasket(0);
+        await feeToken.approve(feeBasket.address, 1e18, { from: HOLDER });
+        await feeBasket.depositAndBundlePromise(1e18, { from: HOLDER, gas: 1e6 });
+
+        const [_tokens, _held, _required] = await feeBasket.getHoldingsPromise();
+        assert.deepEqual(_tokens, [feeToken.address], 'incorrect tokens');
+        assert.strictEqual(Number(_required[0]), 1e18, 'incorrect quantity required');
+        assert.strictEqual(Number(_held[0]), 0.99e18, 'incorrect quantity held');
+      } catch (err) { assert.throw(`Error reading holdings: ${err.toString()}`); }
+    });
+
+    it('does not allow components to be flagged once tokens are minted', async () => {
+      const feeBasket = await deployBasket(0);
+      try {
+        await feeToken.approve(feeBasket.address, 1e18, { from: HOLDER });
+        await feeBasket.depositAndBundlePromise(1e18, { from: HOLDER, gas: 1e6 });
+        await feeBasket.setBalanceCheckedComponentsPromise(1, { from: ARRANGER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(await feeBasket.balanceCheckedPromise(feeToken.address), false, 'component flagged after minting');
+    });
+
+    describe('Components brought in by a rebalance', () => {
+      let standardToken, rebalancedBasket;
+
+      before('deploy a basket of a standard token and mint', async () => {
+        try {
+          const kyc = await KYC.deployed();
+          standardToken = await constructors.TestToken(HOLDER, 'Token A', 'TOKA', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+          const fee = await basketFactory.productionFee.call();
+          const txObj = await basketFactory.createBasket(
+            'A1', 'BASK', [standardToken.address], [1e18], ARRANGER, 0, kyc.address, 0, 0, 0, 0, 0,
+            { from: ARRANGER, value: Number(fee) },
+          );
+          rebalancedBasket = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+          Promise.promisifyAll(rebalancedBasket, { suffix: 'Promise' });
+          await standardToken.approve(rebalancedBasket.address, 1e18, { from: HOLDER });
+          await rebalancedBasket.depositAndBundlePromise(1e18, { from: HOLDER, gas: 1e6 });
+        } catch (err) { assert.throw(`Failed to deploy basket: ${err.toString()}`); }
+      });
+
+      it('does not allow a component the basket holds to be flagged', async () => {
+        try {
+          await rebalancedBasket.setBalanceCheckedTokenPromise(standardToken.address, true, { from: ARRANGER, gas: 1e6 });
+        } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+        assert.strictEqual(await rebalancedBasket.balanceCheckedPromise(standardToken.address), false, 'held component flagged');
+      });
+
+      it('does not allow anyone but the arranger to flag a token', async () => {
+        try {
+          await rebalancedBasket.setBalanceCheckedTokenPromise(feeToken.address, true, { from: HOLDER, gas: 1e6 });
+        } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+        assert.strictEqual(await rebalancedBasket.balanceCheckedPromise(feeToken.address), false, 'token flagged');
+      });
+
+      it('checks the deposit of a flagged component when the rebalance is executed', async () => {
+        try {
+          const timelock = Number(await rebalancedBasket.REBALANCE_TIMELOCKPromise());
+          await rebalancedBasket.proposeRebalancePromise(
+            [standardToken.address, feeToken.address], [1e18, 1e18],
+            { from: ARRANGER, gas: 1e6 },
+          );
+          await rebalancedBasket.setBalanceCheckedTokenPromise(feeToken.address, true, { from: ARRANGER, gas: 1e6 });
+          assert.strictEqual(await rebalancedBasket.balanceCheckedPromise(feeToken.address), true, 'incoming component not flagged');
+          await increaseTime(timelock + 1);
+          await feeToken.approve(rebalancedBasket.address, 1e18, { from: HOLDER });
+        } catch (err) { assert.throw(`Error proposing rebalance: ${err.toString()}`); }
+
+        try {
+          await rebalancedBasket.executeRebalancePromise({ from: HOLDER, gas: 1e6 });
+        } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+        const [_tokens] = await rebalancedBasket.getCompositionPromise();
+        assert.deepEqual(_tokens, [standardToken.address], 'rebalanced into an under-collateralized component');
+      });
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const path = require('path');
+const Promise = require('bluebird');
+
+const KYC = artifacts.require('./KYC.sol');
+const OracleRegistry = artifacts.require('./OracleRegistry.sol');
+const BasketFactory = artifacts.require('./BasketFactory.sol');
+const { abi: basketAbi } = require('../build/contracts/Basket.json');
+const { constructors } = require('../migrations/constructors.js');
+const { web3 } = require('../utils/web3');
+const { latestTime } = require('../utils/evm');
+const { signMetaTransaction } = require('../utils/metaTransaction');
+const { createRelayer } = require('../scripts/relayer');
+const {
+  DECIMALS,
+  INITIAL_SUPPLY,
+  FAUCET_AMOUNT,
+} = require('../config');
+
+const doesRevert = err => err.message.includes('revert');
+
+contract('Meta-transactions', (accounts) => {
+  // Accounts
+  const [ADMINISTRATOR, ARRANGER, RELAYER, SIGNER, RECEIVER, UNWHITELISTED] = accounts.slice(0, 6);
+
+  // Contract instances
+  let basket, tokenA, relayer, expiry;
+  let nonce = 0;
+
+  const relay = async (fields) => {
+    nonce += 1;
+    const request = await signMetaTransaction(Object.assign({
+      basketAddress: basket.address, signer: SIGNER, to: RECEIVER, relayerFee: 0, expiry, nonce,
+    }, fields));
+    const id = relayer.enqueue(request);
+    await relayer.processQueue();
+    return relayer.getRequest(id);
+  };
+
+  before('Deploy a basket and whitelist the signer, receiver and relayer', async () => {
+    console.log(`  ================= START TEST [ ${path.basename(__filename)} ] =================`);
+
+    try {
+      const kyc = await KYC.deployed();
+      await kyc.whitelistHolders([SIGNER, RECEIVER, RELAYER], { from: ADMINISTRATOR });
+      tokenA = await constructors.TestToken(SIGNER, 'Token A', 'TOKA', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+
+      const basketFactory = await BasketFactory.deployed();
+      const fee = await basketFactory.productionFee.call();
+      const txObj = await basketFactory.createBasket(
+        'A1', 'BASK', [tokenA.address], [1e18], ARRANGER, 0, kyc.address, 0, 0, 0, 0, 0,
+        { from: ARRANGER, value: Number(fee) },
+      );
+      basket = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+      Promise.promisifyAll(basket, { suffix: 'Promise' });
+      await tokenA.approve(basket.address, 10e18, { from: SIGNER });
+
+      // price the basket at 0.1 ETH, so relayer fees can be valued against the gas they pay for
+      const oracle = await constructors.MockPriceOracle(ADMINISTRATOR);
+      await (await OracleRegistry.deployed()).setOracle(tokenA.address, oracle.address, { from: ADMINISTRATOR });
+      await oracle.setPrice(tokenA.address, 1e17, { from: ADMINISTRATOR });
+
+      relayer = createRelayer({ from: RELAYER });
+      expiry = (await latestTime()) + 3600;
+    } catch (err) { assert.throw(`Failed to deploy contracts: ${err.toString()}`); }
+  });
+
+  describe('Relayed requests', () => {
+    it('bundles for the signer and pays the relayer', async () => {
+      const { status } = await relay({ action: 'bundle', quantity: 5e18, relayerFee: 1e17 });
+      assert.strictEqual(status, 'mined', 'request not mined');
+      assert.strictEqual(Number(await basket.balanceOfPromise(SIGNER)), 5e18 - 1e17, 'incorrect signer balance');
+      assert.strictEqual(Number(await basket.balanceOfPromise(RELAYER)), 1e17, 'relayer not paid');
+      assert.strictEqual(Number(await tokenA.balanceOf(basket.address)), 5e18, 'components not taken from signer');
+    });
+
+    it('transfers on behalf of the signer', async () => {
+      const { status } = await relay({ action: 'transfer', quantity: 1e18, relayerFee: 1e17 });
+      assert.strictEqual(status, 'mined', 'request not mined');
+      assert.strictEqual(Number(await basket.balanceOfPromise(RECEIVER)), 1e18, 'receiver did not receive baskets');
+      assert.strictEqual(Number(await basket.balanceOfPromise(RELAYER)), 2e17, 'relayer not paid');
+    });
+
+    it('debundles on behalf of the signer', async () => {
+      const initialBalance = Number(await tokenA.balanceOf(SIGNER));
+      const { status } = await relay({ action: 'debundle', quantity: 1e18, relayerFee: 1e17 });
+      assert.strictEqual(status, 'mined', 'request not mined');
+      assert.strictEqual(Number(await tokenA.balanceOf(SIGNER)) - initialBalance, 1e18, 'components not returned to signer');
+    });
+  });
+
+  describe('Rejected requests', () => {
+    it('rejects a replayed request', async () => {
+      const request = await signMetaTransaction({
+        basketAddress: basket.address, action: 'transfer', signer: SIGNER, to: RECEIVER, quantity: 1e17, relayerFee: 1e17, expiry, nonce: 100,
+      });
+      const first = relayer.enqueue(request);
+      const second = relayer.enqueue(request);
+      await relayer.processQueue();
+      assert.strictEqual(relayer.getRequest(first).status, 'mined', 'first request not mined');
+      assert.match(relayer.getRequest(second).status, /^rejected/, 'replayed request not rejected');
+    });
+
+    it('rejects a request whose relayer fee does not cover the gas', async () => {
+      const { status } = await relay({ action: 'transfer', quantity: 1e17, relayerFee: 1e12 });
+      assert.match(status, /^rejected: relayer fee does not cover/, 'unprofitable request not rejected');
+    });
+
+    it('rejects a request signed by someone else', async () => {
+      const request = await signMetaTransaction({
+        basketAddress: basket.address, action: 'transfer', signer: RECEIVER, to: RECEIVER, quantity: 1e17, relayerFee: 0, expiry, nonce: 101,
+      });
+      const id = relayer.enqueue(Object.assign({}, request, { signer: SIGNER }));
+      await relayer.processQueue();
+      assert.match(relayer.getRequest(id).status, /^rejected/, 'forged request not rejected');
+    });
+
+    it('rejects an expired request', async () => {
+      const { status } = await relay({ action: 'transfer', quantity: 1e17, expiry: (await latestTime()) - 1 });
+      assert.match(status, /^rejected/, 'expired request not rejected');
+    });
+
+    it('applies the whitelist to the signer, not the relayer', async () => {
+      await tokenA.transfer(UNWHITELISTED, 1e18, { from: SIGNER });
+      await tokenA.approve(basket.address, 1e18, { from: UNWHITELISTED });
+      const { status } = await relay({ action: 'bundle', signer: UNWHITELISTED, quantity: 1e18 });
+      assert.match(status, /^rejected/, 'unwhitelisted signer was able to bundle');
+      assert.strictEqual(Number(await basket.balanceOfPromise(UNWHITELISTED)), 0, 'unwhitelisted signer received baskets');
+    });
+  });
+
+  describe('Paused basket', () => {
+    before('Pause the basket', async () => {
+      await basket.pausePromise({ from: ARRANGER, gas: 1e6 });
+    });
+
+    it('does not pay relayers in basket tokens while paused', async () => {
+      const request = await signMetaTransaction({
+        basketAddress: basket.address, action: 'debundle', signer: SIGNER, quantity: 1e18, relayerFee: 1e17, expiry, nonce: 200,
+      });
+      try {
+        await basket.debundleAndWithdrawBySigPromise(
+          SIGNER, request.quantity, request.relayerFee, expiry, request.nonce, request.signature,
+          { from: RELAYER, gas: 1e6 },
+        );
+        assert.throw('should have thrown');
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+    });
+
+    it('still relays redemptions without a relayer fee', async () => {
+      const initialBalance = Number(await tokenA.balanceOf(SIGNER));
+      const request = await signMetaTransaction({
+        basketAddress: basket.address, action: 'debundle', signer: SIGNER, quantity: 1e18, relayerFee: 0, expiry, nonce: 201,
+      });
+      await basket.debundleAndWithdrawBySigPromise(
+        SIGNER, request.quantity, request.relayerFee, expiry, request.nonce, request.signature,
+        { from: RELAYER, gas: 1e6 },
+      );
+      assert.strictEqual(Number(await tokenA.balanceOf(SIGNER)) - initialBalance, 1e18, 'components not returned to signer');
+    });
+
+    it('does not relay zero-fee redemptions from the relayer script unless the basket is sponsored', async () => {
+      const { status } = await relay({ action: 'debundle', quantity: 1e18 });
+      assert.match(status, /^rejected/, 'unsponsored zero-fee request relayed');
+
+      const initialBalance = Number(await tokenA.balanceOf(SIGNER));
+      const sponsoringRelayer = createRelayer({ from: RELAYER, sponsored: [basket.address] });
+      nonce += 1;
+      const request = await signMetaTransaction({
+        basketAddress: basket.address, action: 'debundle', signer: SIGNER, quantity: 1e18, relayerFee: 0, expiry, nonce,
+      });
+      const id = sponsoringRelayer.enqueue(request);
+      await sponsoringRelayer.processQueue();
+      assert.strictEqual(sponsoringRelayer.getRequest(id).status, 'mined', 'sponsored request not mined');
+      assert.strictEqual(Number(await tokenA.balanceOf(SIGNER)) - initialBalance, 1e18, 'components not returned to signer');
+    });
+  });
+});
@@ -0,0 +1,199 @@
+const path = require('path');
+const Promise = require('bluebird');
+
+const KYC = artifacts.require('./KYC.sol');
+const BasketRegistry = artifacts.require('./BasketRegistry.sol');
+const BasketEscrow = artifacts.require('./BasketEscrow.sol');
+const BasketFactory = artifacts.require('./BasketFactory.sol');
+const { abi: basketAbi } = require('../build/contracts/Basket.json');
+const { constructors } = require('../migrations/constructors.js');
+const { web3 } = require('../utils/web3');
+const { latestTime } = require('../utils/evm');
+const {
+  DECIMALS,
+  INITIAL_SUPPLY,
+  FAUCET_AMOUNT,
+} = require('../config');
+
+const doesRevert = err => err.message.includes('revert');
+
+contract('Emergency pause and shutdown', (accounts) => {
+  // Accounts
+  const [ADMINISTRATOR, ARRANGER, HOLDER_A, HOLDER_B, RANDOM] = accounts.slice(0, 5);
+
+  // Contract instances
+  let basketRegistry, basketEscrow, basket, tokenA;
+  let ACTIVE, PAUSED, SHUTDOWN;
+  let expiration;
+
+  const sellOrder = () => [basket.address, 1e18, 1e17, expiration, 1];
+
+  before('Deploy a basket and bundle for two holders', async () => {
+    console.log(`  ================= START TEST [ ${path.basename(__filename)} ] =================`);
+
+    try {
+      const kyc = await KYC.deployed();
+      basketRegistry = await BasketRegistry.deployed();
+      basketEscrow = await BasketEscrow.deployed();
+      await kyc.whitelistHolders([HOLDER_A, HOLDER_B, basketEscrow.address], { from: ADMINISTRATOR });
+      tokenA = await constructors.TestToken(HOLDER_A, 'Token A', 'TOKA', DECIMALS, INITIAL_SUPPLY, FAUCET_AMOUNT);
+
+      const basketFactory = await BasketFactory.deployed();
+      const fee = await basketFactory.productionFee.call();
+      const txObj = await basketFactory.createBasket(
+        'A1', 'BASK', [tokenA.address], [1e18], ARRANGER, 0, kyc.address, 0, 0, 0, 0, 0,
+        { from: ARRANGER, value: Number(fee) },
+      );
+      basket = web3.eth.contract(basketAbi).at(txObj.logs[0].args.basketAddress);
+      Promise.promisifyAll(basket, { suffix: 'Promise' });
+
+      ACTIVE = Number(await basket.ACTIVEPromise());
+      PAUSED = Number(await basket.PAUSEDPromise());
+      SHUTDOWN = Number(await basket.SHUTDOWNPromise());
+
+      await tokenA.approve(basket.address, 10e18, { from: HOLDER_A });
+      await basket.depositAndBundlePromise(4e18, { from: HOLDER_A, gas: 1e6 });
+      await basket.approvePromise(basketEscrow.address, 2e18, { from: HOLDER_A, gas: 1e6 });
+      expiration = (await latestTime()) + 86400;
+    } catch (err) { assert.throw(`Failed to deploy contracts: ${err.toString()}`); }
+  });
+
+  describe('Pausing a basket', () => {
+    it('Cannot pause from random address', async () => {
+      try {
+        await basket.pausePromise({ from: RANDOM, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.statusPromise()), ACTIVE, 'basket was paused');
+    });
+
+    it('Escrowed sell orders can be created while the basket is active', async () => {
+      try {
+        await basketEscrow.createSellOrder(...sellOrder(), { from: HOLDER_A, gas: 1e6 });
+        assert.strictEqual(Number(await basket.balanceOfPromise(basketEscrow.address)), 1e18, 'baskets not escrowed');
+      } catch (err) { assert.throw(`Error creating sell order: ${err.toString()}`); }
+    });
+
+    it('Arranger can pause, which is recorded in the registry', async () => {
+      try {
+        const txHash = await basket.pausePromise({ from: ARRANGER, gas: 1e6 });
+        const { logs } = await web3.eth.getTransactionReceiptPromise(txHash);
+        const topic = web3.sha3('LogStatusChange(uint256,uint256,address)');
+        assert.strictEqual(logs.some(l => l.topics[0] === topic), true, 'status change not logged');
+        assert.strictEqual(Number(await basket.statusPromise()), PAUSED, 'basket not paused');
+        assert.strictEqual(Number(await basketRegistry.getBasketStatus.call(basket.address)), PAUSED, 'registry not updated');
+      } catch (err) { assert.throw(`Error pausing basket: ${err.toString()}`); }
+    });
+
+    it('Cannot bundle or transfer while paused', async () => {
+      try {
+        await basket.depositAndBundlePromise(1e18, { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      try {
+        await basket.transferPromise(HOLDER_B, 1e18, { from: HOLDER_A, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.totalSupplyPromise()), 4e18, 'baskets were minted');
+      assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER_B)), 0, 'baskets were transferred');
+    });
+
+    it('Escrow refuses new orders for a paused basket', async () => {
+      try {
+        await basketEscrow.createBuyOrder(basket.address, 1e18, expiration, 2, { from: HOLDER_B, value: 1e17, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketEscrow.balances.call(HOLDER_B, 0)), 0, 'buy order was created');
+    });
+
+    it('Holders can still redeem while paused', async () => {
+      try {
+        const initialBalance = await tokenA.balanceOf(HOLDER_A);
+        await basket.debundleAndWithdrawPromise(1e18, { from: HOLDER_A, gas: 1e6 });
+        const balance = await tokenA.balanceOf(HOLDER_A);
+        assert.strictEqual(Number(balance.minus(initialBalance)), 1e18, 'components not returned');
+      } catch (err) { assert.throw(`Error redeeming: ${err.toString()}`); }
+    });
+
+    it('Protocol admin can unpause', async () => {
+      try {
+        await basket.unpausePromise({ from: ADMINISTRATOR, gas: 1e6 });
+        assert.strictEqual(Number(await basket.statusPromise()), ACTIVE, 'basket not unpaused');
+        assert.strictEqual(Number(await basketRegistry.getBasketStatus.call(basket.address)), ACTIVE, 'registry not updated');
+
+        await basket.transferPromise(HOLDER_B, 1e18, { from: HOLDER_A, gas: 1e6 });
+        assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER_B)), 1e18, 'transfer failed after unpausing');
+      } catch (err) { assert.throw(`Error unpausing basket: ${err.toString()}`); }
+    });
+  });
+
+  describe('Shutting down a basket', () => {
+    it('Protocol admin can shut down', async () => {
+      try {
+        await basket.shutdownPromise({ from: ADMINISTRATOR, gas: 1e6 });
+        assert.strictEqual(Number(await basket.statusPromise()), SHUTDOWN, 'basket not shut down');
+        assert.strictEqual(Number(await basketRegistry.getBasketStatus.call(basket.address)), SHUTDOWN, 'registry not updated');
+      } catch (err) { assert.throw(`Error shutting down basket: ${err.toString()}`); }
+    });
+
+    it('Shutdown is permanent', async () => {
+      try {
+        await basket.unpausePromise({ from: ARRANGER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      try {
+        await basket.pausePromise({ from: ARRANGER, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.statusPromise()), SHUTDOWN, 'basket left shutdown');
+    });
+
+    it('Cannot transfer after shutdown', async () => {
+      try {
+        await basket.transferPromise(HOLDER_A, 1e18, { from: HOLDER_B, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basket.balanceOfPromise(HOLDER_B)), 1e18, 'baskets were transferred');
+    });
+
+    it('Cancelling an escrowed sell order redeems the baskets to the seller', async () => {
+      try {
+        const initialBalance = await tokenA.balanceOf(HOLDER_A);
+        await basketEscrow.cancelSellOrder(...sellOrder(), { from: HOLDER_A, gas: 1e6 });
+        const balance = await tokenA.balanceOf(HOLDER_A);
+        assert.strictEqual(Number(balance.minus(initialBalance)), 1e18, 'components not sent to seller');
+        assert.strictEqual(Number(await basket.balanceOfPromise(basketEscrow.address)), 0, 'baskets left in escrow');
+      } catch (err) { assert.throw(`Error cancelling sell order: ${err.toString()}`); }
+    });
+
+    it('Holders can still redeem after shutdown', async () => {
+      try {
+        await basket.debundleAndWithdrawPromise(1e18, { from: HOLDER_B, gas: 1e6 });
+        assert.strictEqual(Number(await tokenA.balanceOf(HOLDER_B)), 1e18, 'components not returned');
+      } catch (err) { assert.throw(`Error redeeming: ${err.toString()}`); }
+    });
+  });
+
+  describe('Pausing the escrow', () => {
+    it('Cannot pause the escrow from random address', async () => {
+      try {
+        await basketEscrow.pause({ from: RANDOM });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(await basketEscrow.paused.call(), false, 'escrow was paused');
+    });
+
+    it('Admin can pause the escrow, which refuses new orders', async () => {
+      try {
+        const { logs } = await basketEscrow.pause({ from: ADMINISTRATOR });
+        assert.strictEqual(logs[0].event, 'LogPause', 'Wrong event fired');
+        assert.strictEqual(await basketEscrow.paused.call(), true, 'escrow not paused');
+      } catch (err) { assert.throw(`Error pausing escrow: ${err.toString()}`); }
+
+      try {
+        await basketEscrow.createBuyOrder(basket.address, 1e18, expiration, 3, { from: HOLDER_B, value: 1e17, gas: 1e6 });
+      } catch (err) { assert.equal(doesRevert(err), true, 'did not revert as expected'); }
+      assert.strictEqual(Number(await basketEscrow.balances.call(HOLDER_B, 0)), 0, 'buy order was created');
+    });
+
+    it('Admin can unpause the escrow', async () => {
+      try {
+        const { logs } = await basketEscrow.unpause({ from: ADMINISTRATOR });
+        assert.strictEqual(logs[0].event, 'LogUnpause', 'Wrong event fired');
+        assert.strictEqual(await basketEscrow.paused.call(), false, 'escrow still paused');
+      } catch (err) { assert.throw(`Error unpausing escrow: ${err.toString()}`); }
+    });
+  });
+});
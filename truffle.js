@@ -1,11 +1,17 @@
 const { DEPLOYER_ADDRESS, KYC_ADMIN } = require('./config');
 
 module.exports = {
+  solc: {
+    optimizer: {
+      enabled: true,            // Keeps BasketDeployer, which embeds Basket, under the 24KB contract size limit
+      runs: 200,
+    },
+  },
   networks: {
     ropsten: {
       host: 'localhost',
       port: 7545,
-      gas: 4700000,             // Current Ropsten limit is approx 4712388
+      gas: 6500000,             // Covers BasketDeployer and baskets of up to 10 components; see README
       gasPrice: 20e9,           // 20 GWei
       network_id: '3',
       from: DEPLOYER_ADDRESS,
@@ -33,7 +39,7 @@ module.exports = {
     parrot: {
       host: '192.168.1.103',
       port: 7545,
-      gas: 4712388,             // Current Ropsten limit is approx 4712388
+      gas: 6500000,             // Under ganache's default block gas limit of 6721975
       gasPrice: 30e9,           // 30 GWei
       network_id: '3',
     },
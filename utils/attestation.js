@@ -0,0 +1,43 @@
+const Promise = require('bluebird');
+const { web3 } = require('./web3');
+const { strip0x, toUint256 } = require('./hex');
+
+/**
+ * @dev Hash of an attestation, identical to KYC.getAttestationHash
+ * @param  kycAddress    Address of the KYC contract the attestation is valid for
+ * @param  holder        Address to be whitelisted
+ * @param  expiry        Unix timestamp at which the approval lapses
+ * @param  nonce         Number used once per signer
+ */
+const getAttestationHash = ({ kycAddress, holder, expiry, nonce }) => {
+  const packed = [strip0x(kycAddress), strip0x(holder), toUint256(expiry), toUint256(nonce)].join('');
+  return web3.sha3(packed.toLowerCase(), { encoding: 'hex' });
+};
+
+/**
+ * @dev Split a 65-byte hex signature into the v, r and s arguments of KYC.whitelistWithAttestation
+ */
+const splitSignature = (signature) => {
+  const sig = strip0x(signature);
+  const v = parseInt(sig.slice(128, 130), 16);
+  return {
+    r: `0x${sig.slice(0, 64)}`,
+    s: `0x${sig.slice(64, 128)}`,
+    v: v < 27 ? v + 27 : v,
+  };
+};
+
+/**
+ * @dev Sign an attestation with an account unlocked on the node; no transaction is sent
+ * @param  signer        KYC owner or whitelister account
+ * @return { holder, expiry, nonce, v, r, s } to hand to the holder
+ */
+const signAttestation = ({ kycAddress, holder, expiry, nonce, signer }) => new Promise((resolve, reject) => {
+  const hash = getAttestationHash({ kycAddress, holder, expiry, nonce });
+  web3.eth.sign(signer, hash, (err, signature) => {
+    if (err) return reject(err);
+    return resolve(Object.assign({ holder, expiry, nonce }, splitSignature(signature)));
+  });
+});
+
+module.exports = { getAttestationHash, splitSignature, signAttestation };
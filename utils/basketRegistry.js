@@ -0,0 +1,63 @@
+const Promise = require('bluebird');
+const { web3 } = require('./web3');
+const { abi: registryAbi } = require('../build/contracts/BasketRegistry.json');
+
+// Identical to Basket.ACTIVE, Basket.PAUSED and Basket.SHUTDOWN
+const STATUSES = ['active', 'paused', 'shutdown'];
+
+// Number of baskets read per call by the getAll* functions
+const PAGE_SIZE = 100;
+
+/**
+ * @dev Decode the parallel arrays returned by the registry's paged queries
+ * @return [{ address, arranger, totalMinted, totalBurned, status }], with quantities as decimal strings
+ */
+const toSummaries = ([baskets, arrangers, totalMinted, totalBurned, statuses]) => baskets.map((address, i) => ({
+  address,
+  arranger: arrangers[i],
+  totalMinted: totalMinted[i].toString(10),
+  totalBurned: totalBurned[i].toString(10),
+  status: STATUSES[Number(statuses[i])],
+}));
+
+/**
+ * @dev Client for the basket queries of a BasketRegistry
+ * @param  registryAddress Address of the BasketRegistry
+ * @return Functions resolving to lists of basket summaries; `start` and `count` select a page, the getAll*
+ *         functions read every page
+ */
+const basketRegistryClient = (registryAddress) => {
+  const registry = web3.eth.contract(registryAbi).at(registryAddress);
+  const call = name => Promise.promisify(registry[name].call, { context: registry[name] });
+
+  const readAll = async (count, readPage) => {
+    let summaries = [];
+    for (let start = 0; start < count; start += PAGE_SIZE) {
+      summaries = summaries.concat(await readPage(start, PAGE_SIZE));
+    }
+    return summaries;
+  };
+
+  const getBaskets = (start, count) => call('getBaskets')(start, count).then(toSummaries);
+  const getBasketsByArranger = (arranger, start, count) =>
+    call('getBasketsByArranger')(arranger, start, count).then(toSummaries);
+  const getBasketsByToken = (token, start, count) => call('getBasketsByToken')(token, start, count).then(toSummaries);
+
+  return {
+    getBasketCount: () => call('getBasketCount')().then(Number),
+    getBaskets,
+    getBasketsByArranger,
+    getBasketsByToken,
+    getAllBaskets: async () => readAll(Number(await call('getBasketCount')()), getBaskets),
+    getAllBasketsByArranger: async arranger => readAll(
+      Number(await call('arrangerBasketCount')(arranger)),
+      (start, count) => getBasketsByArranger(arranger, start, count),
+    ),
+    getAllBasketsByToken: async token => readAll(
+      Number(await call('getTokenBasketCount')(token)),
+      (start, count) => getBasketsByToken(token, start, count),
+    ),
+  };
+};
+
+module.exports = { STATUSES, toSummaries, basketRegistryClient };
@@ -0,0 +1,24 @@
+const Promise = require('bluebird');
+const { web3 } = require('./web3');
+
+/**
+ * @dev Send a raw JSON-RPC request to the test chain (ganache / testrpc only)
+ */
+const rpc = (method, params = []) => new Promise((resolve, reject) => {
+  web3.currentProvider.sendAsync({ jsonrpc: '2.0', method, params, id: Date.now() }, (err, res) => {
+    if (err) return reject(err);
+    return resolve(res.result);
+  });
+});
+
+/**
+ * @dev Move the chain clock forward and mine a block so that `now` reflects the change
+ */
+const increaseTime = seconds => rpc('evm_increaseTime', [seconds]).then(() => rpc('evm_mine'));
+
+/**
+ * @dev Timestamp of the latest block
+ */
+const latestTime = () => web3.eth.getBlockPromise('latest').then(block => block.timestamp);
+
+module.exports = { increaseTime, latestTime };
@@ -0,0 +1,13 @@
+const { web3 } = require('./web3');
+
+/**
+ * @dev Remove the 0x prefix of a hex string, e.g. to tightly pack addresses
+ */
+const strip0x = hex => hex.replace(/^0x/, '');
+
+/**
+ * @dev Encode a number as 32 bytes of hex without prefix, as Solidity packs a uint256
+ */
+const toUint256 = value => web3.toBigNumber(value).toString(16).padStart(64, '0');
+
+module.exports = { strip0x, toUint256 };
@@ -0,0 +1,44 @@
+const Promise = require('bluebird');
+const { web3 } = require('./web3');
+const { strip0x, toUint256 } = require('./hex');
+
+// Actions, identical to Basket.META_BUNDLE, META_DEBUNDLE and META_TRANSFER
+const ACTIONS = { bundle: 1, debundle: 2, transfer: 3 };
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * @dev Hash of a meta-transaction, identical to Basket.getMetaTransactionHash
+ * @param  basketAddress Address of the basket the request is valid for
+ * @param  action        'bundle', 'debundle' or 'transfer'
+ * @param  to            Transfer receiver (ignored for other actions)
+ * @param  quantity      Quantity of basket tokens to mint, debundle or transfer
+ * @param  relayerFee    Quantity of basket tokens paid to the relayer
+ * @param  expiry        Unix timestamp after which the request can not be submitted
+ * @param  nonce         Number used once per signer
+ */
+const getMetaTransactionHash = ({ basketAddress, action, to, quantity, relayerFee, expiry, nonce }) => {
+  const packed = [
+    strip0x(basketAddress),
+    toUint256(ACTIONS[action]),
+    strip0x(action === 'transfer' ? to : ZERO_ADDRESS),
+    toUint256(quantity),
+    toUint256(relayerFee),
+    toUint256(expiry),
+    toUint256(nonce),
+  ].join('');
+  return web3.sha3(packed.toLowerCase(), { encoding: 'hex' });
+};
+
+/**
+ * @dev Sign a meta-transaction with an account unlocked on the node; no transaction is sent
+ * @param  signer        Holder on whose behalf the relayer acts
+ * @return The request fields plus { signer, signature }, ready to hand to a relayer
+ */
+const signMetaTransaction = request => new Promise((resolve, reject) => {
+  web3.eth.sign(request.signer, getMetaTransactionHash(request), (err, signature) => {
+    if (err) return reject(err);
+    return resolve(Object.assign({}, request, { signature }));
+  });
+});
+
+module.exports = { ACTIONS, getMetaTransactionHash, signMetaTransaction };
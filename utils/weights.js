@@ -0,0 +1,60 @@
+const Promise = require('bluebird');
+const { web3 } = require('./web3');
+const { abi: tokenAbi } = require('../build/contracts/TestToken.json');
+
+// Identical to Basket.decimals; weights are quoted per 10 ** BASKET_DECIMALS basket base units
+const BASKET_DECIMALS = 18;
+
+/**
+ * @dev Read the decimals of an ERC20 token
+ * @param  tokenAddress  Address of the token
+ */
+const getTokenDecimals = (tokenAddress) => {
+  const token = web3.eth.contract(tokenAbi).at(tokenAddress);
+  return Promise.promisify(token.decimals.call, { context: token.decimals })().then(Number);
+};
+
+/**
+ * @dev Convert a human-readable amount of a token per basket into an on-chain weight
+ * @param  amount        Whole tokens per basket, e.g. '0.5'
+ * @param  decimals      Decimals of the token
+ * @return Weight in the token's base units, as a BigNumber
+ */
+const toWeight = (amount, decimals) => {
+  const weight = web3.toBigNumber(amount).shift(decimals);
+  if (!weight.isInteger() || weight.lte(0)) {
+    throw new Error(`${amount} can not be expressed with ${decimals} decimals`);
+  }
+  return weight;
+};
+
+/**
+ * @dev Smallest creation unit for which no component quantity rounds to zero, identical to
+ *      Basket._minCreationUnit
+ * @param  weights       Component weights in base units
+ * @return Creation unit in basket base units, as a BigNumber
+ */
+const getMinCreationUnit = weights => weights.reduce((unit, weight) => {
+  const needed = web3.toBigNumber(10).pow(BASKET_DECIMALS).dividedBy(weight).ceil();
+  return needed.gt(unit) ? needed : unit;
+}, web3.toBigNumber(1));
+
+/**
+ * @dev Build the tokens, weights and creation unit arguments of BasketFactory.createBasket from human-readable
+ *      amounts, reading each token's decimals from the chain
+ * @param  components    [{ token: address, amount: whole tokens per basket, e.g. '0.5' }]
+ * @return { tokens, weights, creationUnit } with weights and creationUnit as decimal strings
+ */
+const getBasketWeights = async (components) => {
+  const decimals = await Promise.all(components.map(c => getTokenDecimals(c.token)));
+  const weights = components.map((c, i) => toWeight(c.amount, decimals[i]));
+  return {
+    tokens: components.map(c => c.token),
+    weights: weights.map(w => w.toString(10)),
+    creationUnit: getMinCreationUnit(weights).toString(10),
+  };
+};
+
+module.exports = {
+  BASKET_DECIMALS, getTokenDecimals, toWeight, getMinCreationUnit, getBasketWeights,
+};